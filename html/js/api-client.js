@@ -5,8 +5,12 @@
  * Provides all methods for interfacing with the C64U REST API.
  * This is the only file that should make direct REST API calls.
  *
- * Version: 1.0
- * Date: February 6, 2026
+ * All requests go through apiRequest(), which returns a Promise. Every
+ * operation is available as a Promise-returning "...Async" function, plus
+ * the classic callback form (callback, errorCallback) as a thin adapter.
+ *
+ * Version: 1.4
+ * Date: October 19, 2026
  */
 
 // ============================================================================
@@ -54,71 +58,578 @@ function parseApiError(jqXHR) {
     return errorMessages.join('; ');
 }
 
+/**
+ * Create a typed API error.
+ * Rejections from apiRequest() are always created by this function.
+ * @param {string} message - Human readable error message
+ * @param {string} type - 'http' (non-2xx status), 'api' (200 OK with errors[]), 'network' (no response),
+ *                        'timeout', 'cancelled', 'invalid' (bad parameters) or 'verify' (read-back mismatch)
+ * @param {number} status - HTTP status code (0 if no response was received)
+ * @returns {Error} Error object with name 'ApiError' and type/status properties
+ */
+function createApiError(message, type, status) {
+    const error = new Error(message);
+    error.name = 'ApiError';
+    error.type = type;
+    error.status = status || 0;
+    return error;
+}
+
+/**
+ * Check whether an error was produced by the API client.
+ * @param {*} error - Value received in a Promise rejection
+ * @returns {boolean} True if error is an ApiError
+ */
+function isApiError(error) {
+    return !!error && error.name === 'ApiError';
+}
+
 // ============================================================================
-// BUSY STATE MANAGEMENT
+// REQUEST SCHEDULER
 // ============================================================================
 
-let apiClientBusy = false;
+/**
+ * Request priorities. Lower values are sent first; requests with the same
+ * priority are sent in FIFO order.
+ */
+const API_PRIORITY = {
+    USER: 0,        // Explicit user actions (writes, machine control, runners)
+    NAVIGATION: 1,  // Reads that follow navigation in a viewer
+    BACKGROUND: 2   // Polling (auto-refresh, monitors)
+};
+
+const API_DEFAULT_TIMEOUT = 10000;   // ms, per attempt
+const API_UPLOAD_TIMEOUT = 60000;    // ms, for binary uploads
+const API_RETRY_LIMIT = 3;           // Default retries for GET requests
+const API_RETRY_BASE_DELAY = 500;    // ms, doubled after each failed attempt
+const API_RETRY_MAX_DELAY = 8000;    // ms
+
+let apiMaxConcurrency = 1;
+let apiRequestQueue = [];
+let apiRequestsInFlight = [];
+let apiRequestSequence = 0;
+let apiSpinnerRequests = 0;
+let apiQueueTimer = null;
 
 /**
- * Check if an API operation is currently in progress
+ * Check if an API operation is currently queued or in progress
  * @returns {boolean} True if busy, false otherwise
  */
 function isApiBusy() {
-    return apiClientBusy;
+    return apiRequestQueue.length > 0 || apiRequestsInFlight.length > 0;
+}
+
+/**
+ * Set the maximum number of requests sent to the device at the same time.
+ * The C64U HTTP server handles requests one at a time, so the default is 1.
+ * @param {number} max - Maximum concurrent requests (minimum 1)
+ */
+function apiSetMaxConcurrency(max) {
+    apiMaxConcurrency = Math.max(1, Math.floor(max) || 1);
+    apiProcessQueue();
+}
+
+/**
+ * Get the maximum number of concurrent requests.
+ * @returns {number} Maximum concurrent requests
+ */
+function apiGetMaxConcurrency() {
+    return apiMaxConcurrency;
+}
+
+/**
+ * Show the global spinner while at least one request asks for it.
+ * @param {number} delta - +1 when a request starts, -1 when it ends
+ */
+function apiUpdateSpinner(delta) {
+    apiSpinnerRequests = Math.max(0, apiSpinnerRequests + delta);
+    showSpinner(apiSpinnerRequests > 0);
+}
+
+/**
+ * Cancel all pending requests of a channel.
+ * Queued requests are dropped. Requests already sent to the device are left
+ * to complete, but their result is discarded. Callers receive an ApiError of
+ * type 'cancelled'.
+ * @param {string} channel - Channel name (e.g. 'hex', 'disasm')
+ */
+function apiCancelChannel(channel) {
+    const cancelEntry = (entry) => {
+        entry.waiters.forEach(waiter => {
+            if (waiter.channel === channel && !waiter.settled) {
+                apiSettleWaiter(waiter, createApiError('Request cancelled', 'cancelled', 0));
+            }
+        });
+        entry.waiters = entry.waiters.filter(waiter => !waiter.settled);
+    };
+
+    apiRequestQueue.forEach(cancelEntry);
+    apiRequestsInFlight.forEach(cancelEntry);
+    apiRequestQueue = apiRequestQueue.filter(entry => entry.waiters.length > 0);
 }
 
 /**
- * Set the busy state (internal use only)
- * @param {boolean} busy - True to set busy, false to clear
+ * Deliver the result of a request to one caller.
+ * @param {Object} waiter - Caller record created by apiRequest()
+ * @param {Error} error - ApiError, or null on success
+ * @param {*} data - Response data on success
  */
-function setApiBusy(busy) {
-    apiClientBusy = busy;
+function apiSettleWaiter(waiter, error, data) {
+    waiter.settled = true;
+    if (waiter.spinner) apiUpdateSpinner(-1);
+
+    if (error) {
+        if (waiter.reportErrors && error.type !== 'cancelled') {
+            showError(waiter.errorPrefix ? `${waiter.errorPrefix}: ${error.message}` : error.message);
+        }
+        waiter.reject(error);
+    } else {
+        waiter.resolve(data);
+    }
+}
+
+/**
+ * Complete a request that was sent to the device and start the next one.
+ * @param {Object} entry - Scheduler entry
+ * @param {Error} error - ApiError, or null on success
+ * @param {*} data - Response data on success
+ */
+function apiCompleteEntry(entry, error, data) {
+    apiRequestsInFlight = apiRequestsInFlight.filter(e => e !== entry);
+
+    if (error && (error.type === 'network' || error.type === 'timeout')) {
+        apiConnectionLost();
+    } else {
+        apiConnectionRestored();
+    }
+
+    // Retry with exponential backoff while someone still waits for the result
+    if (error && apiIsRetryable(error) && entry.attempt < entry.retries && entry.waiters.length > 0) {
+        const delay = Math.min(API_RETRY_BASE_DELAY * Math.pow(2, entry.attempt), API_RETRY_MAX_DELAY);
+        entry.attempt++;
+        entry.readyAt = Date.now() + delay;
+        console.warn(`API: ${error.message}, retry ${entry.attempt}/${entry.retries} in ${delay} ms: ${entry.settings.url}`);
+        apiRequestQueue.push(entry);
+        apiProcessQueue();
+        return;
+    }
+
+    // Only a request the user is waiting for clears the error box: background
+    // polling succeeds all the time and would hide errors as they appear
+    if (!error && entry.waiters.some(w => w.reportErrors && w.priority <= API_PRIORITY.NAVIGATION)) {
+        hideError();
+    }
+
+    entry.waiters.forEach((waiter, index) => {
+        // Coalesced readers each get their own copy of binary data
+        const result = (index > 0 && data instanceof ArrayBuffer) ? data.slice(0) : data;
+        apiSettleWaiter(waiter, error, result);
+    });
+
+    apiProcessQueue();
+}
+
+/**
+ * Check whether a failed request may succeed if sent again.
+ * @param {Error} error - ApiError
+ * @returns {boolean} True for connection problems and gateway errors
+ */
+function apiIsRetryable(error) {
+    return error.type === 'network' || error.type === 'timeout' ||
+        (error.type === 'http' && [502, 503, 504].includes(error.status));
+}
+
+/**
+ * Send queued requests while below the concurrency limit.
+ * Picks the highest priority first, then the oldest request. Requests
+ * waiting for a retry delay are skipped until their time has come.
+ */
+function apiProcessQueue() {
+    const now = Date.now();
+
+    while (apiRequestsInFlight.length < apiMaxConcurrency) {
+        let next = null;
+        apiRequestQueue.forEach(entry => {
+            if (entry.readyAt > now) return;
+            if (!next || entry.priority < next.priority ||
+                (entry.priority === next.priority && entry.sequence < next.sequence)) {
+                next = entry;
+            }
+        });
+
+        if (!next) break;
+
+        apiRequestQueue = apiRequestQueue.filter(entry => entry !== next);
+        apiRequestsInFlight.push(next);
+        apiSendEntry(next);
+    }
+
+    // Wake up for the next delayed retry
+    if (apiQueueTimer) {
+        clearTimeout(apiQueueTimer);
+        apiQueueTimer = null;
+    }
+    const delayed = apiRequestQueue.filter(entry => entry.readyAt > now);
+    if (delayed.length > 0) {
+        const wakeAt = Math.min(...delayed.map(entry => entry.readyAt));
+        apiQueueTimer = setTimeout(() => {
+            apiQueueTimer = null;
+            apiProcessQueue();
+        }, wakeAt - now);
+    }
+}
+
+/**
+ * Send a scheduler entry to the device.
+ * @param {Object} entry - Scheduler entry
+ */
+function apiSendEntry(entry) {
+    const settings = Object.assign({}, entry.settings);
+
+    settings.success = function(data) {
+        // A successful response can return an empty body or a JSON object.
+        // If it's JSON, the 'errors' array must be empty.
+        if (data && Array.isArray(data.errors) && data.errors.length > 0) {
+            apiCompleteEntry(entry, createApiError(data.errors.join('; '), 'api', 200));
+            return;
+        }
+        apiCompleteEntry(entry, null, data || {});
+    };
+
+    settings.error = function(jqXHR, textStatus) {
+        if (entry.acceptStatus.includes(jqXHR.status)) {
+            apiCompleteEntry(entry, null, {});
+            return;
+        }
+        if (textStatus === 'timeout') {
+            apiCompleteEntry(entry, createApiError('Request timed out', 'timeout', 0));
+        } else if (jqXHR.status === 0) {
+            apiCompleteEntry(entry, createApiError('Device not reachable', 'network', 0));
+        } else {
+            apiCompleteEntry(entry, createApiError(parseApiError(jqXHR), 'http', jqXHR.status));
+        }
+    };
+
+    $.ajax(settings);
+}
+
+// ============================================================================
+// CONNECTION STATE
+// ============================================================================
+
+/**
+ * Connection states, as shown by the header indicator.
+ */
+const API_CONNECTION = {
+    ONLINE: 'online',              // Last request reached the device
+    RECONNECTING: 'reconnecting',  // Device stopped answering, probing
+    OFFLINE: 'offline'             // Several probes failed, still probing
+};
+
+const API_PROBE_URL = '/v1/version';
+const API_PROBE_TIMEOUT = 3000;        // ms
+const API_PROBE_MAX_DELAY = 10000;     // ms
+const API_PROBE_OFFLINE_AFTER = 3;     // Failed probes before 'offline'
+const API_REBOOT_PROBE_DELAY = 3000;   // ms, first probe after a reboot request
+
+let apiConnectionState = API_CONNECTION.ONLINE;
+let apiReconnectListeners = [];
+let apiProbeTimer = null;
+let apiProbeAttempt = 0;
+
+/**
+ * Get the current connection state.
+ * @returns {string} API_CONNECTION value
+ */
+function getApiConnectionState() {
+    return apiConnectionState;
+}
+
+/**
+ * Register a function to call when the device answers again after the
+ * connection was lost (e.g. after a reboot or a Wi-Fi drop).
+ * @param {function} callback - Called without arguments on reconnect
+ */
+function onApiReconnect(callback) {
+    apiReconnectListeners.push(callback);
+}
+
+/**
+ * Change the connection state and update the header indicator.
+ * @param {string} state - API_CONNECTION value
+ */
+function apiSetConnectionState(state) {
+    if (state === apiConnectionState) return;
+
+    const previous = apiConnectionState;
+    apiConnectionState = state;
+    showConnectionState(state);
+    console.log(`API: Connection ${previous} -> ${state}`);
+
+    if (state === API_CONNECTION.ONLINE) {
+        apiReconnectListeners.forEach(callback => callback());
+    }
+}
+
+/**
+ * Called when a request got no answer; starts probing the device.
+ */
+function apiConnectionLost() {
+    // While not online, the probe loop is already running
+    if (apiConnectionState === API_CONNECTION.ONLINE) {
+        apiSetConnectionState(API_CONNECTION.RECONNECTING);
+        apiScheduleProbe(API_RETRY_BASE_DELAY);
+    }
+}
+
+/**
+ * Called when a request got an answer; stops probing.
+ */
+function apiConnectionRestored() {
+    if (apiProbeTimer) {
+        clearTimeout(apiProbeTimer);
+        apiProbeTimer = null;
+    }
+    apiProbeAttempt = 0;
+    apiSetConnectionState(API_CONNECTION.ONLINE);
+}
+
+/**
+ * Expect the device to go away, e.g. after requesting a reboot.
+ * Switches to 'reconnecting' and starts probing after a delay, so the
+ * active tab is refreshed once the device is back.
+ * @param {number} delay - Delay before the first probe in ms
+ */
+function apiExpectReconnect(delay) {
+    apiSetConnectionState(API_CONNECTION.RECONNECTING);
+    apiScheduleProbe(delay);
+}
+
+/**
+ * Schedule a probe request unless one is already pending.
+ * @param {number} delay - Delay in ms
+ */
+function apiScheduleProbe(delay) {
+    if (apiProbeTimer) return;
+
+    apiProbeTimer = setTimeout(() => {
+        apiProbeTimer = null;
+        apiRequest({
+            url: API_PROBE_URL,
+            method: 'GET',
+            priority: API_PRIORITY.BACKGROUND,
+            spinner: false,
+            reportErrors: false,
+            retries: 0,
+            timeout: API_PROBE_TIMEOUT
+        }).catch(() => {
+            // Still no answer: back off and try again
+            apiProbeAttempt++;
+            if (apiProbeAttempt >= API_PROBE_OFFLINE_AFTER) {
+                apiSetConnectionState(API_CONNECTION.OFFLINE);
+            }
+            const nextDelay = Math.min(API_RETRY_BASE_DELAY * Math.pow(2, apiProbeAttempt), API_PROBE_MAX_DELAY);
+            apiScheduleProbe(nextDelay);
+        });
+    }, delay);
+}
+
+// ============================================================================
+// REQUEST CORE
+// ============================================================================
+
+/**
+ * Perform a request against the C64U REST API.
+ *
+ * Requests are queued and sent by the scheduler according to their priority
+ * and the concurrency limit. Identical GET requests that are queued or in
+ * progress are coalesced into a single device request. Each attempt has a
+ * timeout; GET requests are retried with exponential backoff when the device
+ * does not answer.
+ *
+ * Resolves with the response body (parsed JSON, ArrayBuffer for binary
+ * responses, or an empty object for empty bodies). Rejects with an ApiError
+ * when the request fails, when a 200 OK response carries a non-empty
+ * errors[] array, or when the request is cancelled.
+ *
+ * @param {Object} options - Request options
+ * @param {string} options.url - Request URL (e.g. '/v1/machine:reset')
+ * @param {string} options.method - HTTP method (default 'GET')
+ * @param {*} options.data - Request data (query params object, Blob or ArrayBuffer)
+ * @param {string} options.contentType - Content type for binary uploads
+ * @param {Object} options.headers - Additional request headers
+ * @param {boolean} options.binary - True to receive the response as ArrayBuffer
+ * @param {boolean} options.spinner - Show the global spinner (default true)
+ * @param {boolean} options.reportErrors - Show failures in the global error box (default true)
+ * @param {string} options.errorPrefix - Prefix for the error box message (e.g. 'Read error')
+ * @param {Array<number>} options.acceptStatus - HTTP error statuses to treat as success (resolves with {})
+ * @param {number} options.priority - API_PRIORITY value (default API_PRIORITY.USER)
+ * @param {string} options.channel - Cancel pending requests of this channel before queuing
+ * @param {boolean} options.cancelChannel - False to join the channel without cancelling its pending requests (default true)
+ * @param {number} options.timeout - Timeout per attempt in ms (default API_DEFAULT_TIMEOUT, 0 = none)
+ * @param {number} options.retries - Retries on connection errors (default API_RETRY_LIMIT for GET, 0 otherwise)
+ * @returns {Promise<*>} Promise resolving with the response body
+ */
+function apiRequest(options) {
+    const method = options.method || 'GET';
+    const priority = options.priority !== undefined ? options.priority : API_PRIORITY.USER;
+
+    const settings = {
+        url: options.url,
+        method: method,
+        headers: Object.assign({ "X-Password": $('#apiPassword').val() }, options.headers),
+        timeout: options.timeout !== undefined ? options.timeout : API_DEFAULT_TIMEOUT
+    };
+
+    if (options.data !== undefined) {
+        settings.data = options.data;
+    }
+    if (options.contentType) {
+        settings.contentType = options.contentType;
+        settings.processData = false;
+    }
+    if (options.binary) {
+        settings.xhrFields = { responseType: 'arraybuffer' };
+    }
+
+    // Only plain GET requests are safe to share between callers
+    const key = (method === 'GET' && options.data === undefined)
+        ? `${options.binary ? 'bin' : 'json'}:${options.url}`
+        : null;
+
+    return new Promise((resolve, reject) => {
+        const waiter = {
+            resolve: resolve,
+            reject: reject,
+            channel: options.channel || null,
+            priority: priority,
+            spinner: options.spinner !== false,
+            reportErrors: options.reportErrors !== false,
+            errorPrefix: options.errorPrefix || null,
+            settled: false
+        };
+
+        if (waiter.channel && options.cancelChannel !== false) {
+            apiCancelChannel(waiter.channel);
+        }
+
+        if (waiter.spinner) apiUpdateSpinner(1);
+
+        let entry = key && (apiRequestQueue.find(e => e.key === key) ||
+                            apiRequestsInFlight.find(e => e.key === key));
+
+        if (entry) {
+            entry.waiters.push(waiter);
+            entry.priority = Math.min(entry.priority, priority);
+            return;
+        }
+
+        entry = {
+            settings: settings,
+            key: key,
+            priority: priority,
+            sequence: apiRequestSequence++,
+            acceptStatus: options.acceptStatus || [],
+            retries: options.retries !== undefined ? options.retries : (method === 'GET' ? API_RETRY_LIMIT : 0),
+            attempt: 0,
+            readyAt: 0,
+            waiters: [waiter]
+        };
+
+        apiRequestQueue.push(entry);
+        apiProcessQueue();
+    });
+}
+
+/**
+ * Connect a Promise to a classic callback/errorCallback pair.
+ * The error callback receives the error message string. Cancelled requests
+ * call neither callback.
+ * @param {Promise} promise - Promise returned by an "...Async" function
+ * @param {function} callback - Success callback, receives the resolved value
+ * @param {function} errorCallback - Error callback, receives error message string
+ */
+function apiCallbackAdapter(promise, callback, errorCallback) {
+    promise.then(
+        (result) => { if (callback) callback(result); },
+        (error) => {
+            if (isApiError(error) && error.type === 'cancelled') return;
+            if (errorCallback) errorCallback(error.message || String(error));
+        }
+    );
+}
+
+/**
+ * Format an address as 4-digit hex for use in API URLs.
+ * @param {number} address - Memory address (0x0000-0xFFFF)
+ * @returns {string} 4-digit uppercase hex string
+ */
+function apiHexAddress(address) {
+    return address.toString(16).padStart(4, '0').toUpperCase();
 }
 
 // ============================================================================
 // MEMORY OPERATIONS
 // ============================================================================
 
+/**
+ * Read memory from the C64.
+ * @param {number} address - Memory address (0x0000-0xFFFF)
+ * @param {number} length - Number of bytes to read
+ * @param {Object} options - Optional scheduling options: { priority, channel, spinner }
+ * @returns {Promise<ArrayBuffer>} Promise resolving with the raw memory bytes
+ */
+function readMemoryAsync(address, length, options) {
+    return apiRequest(Object.assign({
+        url: `/v1/machine:readmem?address=${apiHexAddress(address)}&length=${length}`,
+        method: 'GET',
+        binary: true,
+        errorPrefix: 'Read error'
+    }, options));
+}
+
 /**
  * Read memory from the C64.
  * @param {number} address - Memory address (0x0000-0xFFFF)
  * @param {number} length - Number of bytes to read
  * @param {function} callback - Success callback, receives ArrayBuffer
  * @param {function} errorCallback - Error callback, receives error message string
+ * @param {Object} options - Optional scheduling options: { priority, channel, spinner }
  */
-function readMemory(address, length, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-    const hexAddr = address.toString(16).padStart(4, '0').toUpperCase();
+function readMemory(address, length, callback, errorCallback, options) {
+    apiCallbackAdapter(readMemoryAsync(address, length, options), callback, errorCallback);
+}
 
-    if (isApiBusy()) {
-        console.warn('readMemory: REST API is already busy!');
-    }
+/**
+ * Write memory to the C64.
+ * Uses PUT method for ≤128 bytes, POST method for >128 bytes.
+ * @param {number} address - Memory address (0x0000-0xFFFF)
+ * @param {Array<number>} dataArray - Array of byte values to write
+ * @param {Object} options - Optional scheduling options: { priority, spinner }
+ * @returns {Promise<Object>} Promise resolving when the write has completed
+ */
+function writeMemoryAsync(address, dataArray, options) {
+    const hexAddr = apiHexAddress(address);
 
-    setApiBusy(true);
-    showSpinner(true);
+    if (dataArray.length <= 128) {
+        // Use PUT for small writes
+        const hexString = dataArray.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join('');
+        return apiRequest(Object.assign({
+            url: `/v1/machine:writemem?address=${hexAddr}&data=${hexString}`,
+            method: 'PUT',
+            errorPrefix: 'Write error'
+        }, options));
+    }
 
-    $.ajax({
-        url: `/v1/machine:readmem?address=${hexAddr}&length=${length}`,
-        method: 'GET',
-        headers: { "X-Password": password },
-        xhrFields: { responseType: 'arraybuffer' },
-        success: function(data) {
-            setApiBusy(false);
-            showSpinner(false);
-            hideError();
-            // On success, the raw ArrayBuffer is passed to the callback.
-            if (callback) callback(data);
-        },
-        error: function(jqXHR) {
-            setApiBusy(false);
-            showSpinner(false);
-            // Use the reusable parser for all errors.
-            const errorMsg = parseApiError(jqXHR);
-            showError(`Read error: ${errorMsg}`);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    // Use POST for large writes
+    return apiRequest(Object.assign({
+        url: `/v1/machine:writemem?address=${hexAddr}`,
+        method: 'POST',
+        data: new Blob([new Uint8Array(dataArray)]),
+        contentType: 'application/octet-stream',
+        timeout: API_UPLOAD_TIMEOUT,
+        errorPrefix: 'Write error'
+    }, options));
 }
 
 /**
@@ -128,65 +639,154 @@ function readMemory(address, length, callback, errorCallback) {
  * @param {Array<number>} dataArray - Array of byte values to write
  * @param {function} callback - Success callback
  * @param {function} errorCallback - Error callback, receives error message string
+ * @param {Object} options - Optional scheduling options: { priority, spinner }
  */
-function writeMemory(address, dataArray, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-    const hexAddr = address.toString(16).padStart(4, '0').toUpperCase();
+function writeMemory(address, dataArray, callback, errorCallback, options) {
+    apiCallbackAdapter(writeMemoryAsync(address, dataArray, options), () => { if (callback) callback(); }, errorCallback);
+}
 
-    const handleSuccess = (response) => {
-        setApiBusy(false);
-        showSpinner(false);
-        hideError();
-        // A successful write can return an empty body or a JSON object.
-        // If it's JSON, we must check the 'errors' array.
-        if (response && response.errors && response.errors.length > 0) {
-            const errorMsg = response.errors.join('; ');
-            showError(`Write error: ${errorMsg}`);
-            if (errorCallback) errorCallback(errorMsg);
-        } else {
-            if (callback) callback();
-        }
-    };
+// ============================================================================
+// BULK MEMORY TRANSFERS
+// ============================================================================
 
-    const handleError = (jqXHR) => {
-        setApiBusy(false);
-        showSpinner(false);
-        const errorMsg = parseApiError(jqXHR);
-        showError(`Write error: ${errorMsg}`);
-        if (errorCallback) errorCallback(errorMsg);
-    };
+const API_BULK_CHUNK_SIZE = 4096;   // Bytes per readmem/writemem request
 
-    if (isApiBusy()) {
-        console.warn('readMemory: REST API is already busy!');
+/**
+ * Split a memory range into segments that do not cross $FFFF.
+ * A range that runs past $FFFF wraps around to $0000.
+ * @param {number} address - Start address (0x0000-0xFFFF)
+ * @param {number} length - Number of bytes (1-65536)
+ * @param {number} chunkSize - Maximum segment length
+ * @returns {Array<Object>} Segments: { address, offset, length } (offset into the range)
+ */
+function apiSplitMemoryRange(address, length, chunkSize) {
+    const segments = [];
+    let offset = 0;
+
+    while (offset < length) {
+        const segAddress = (address + offset) & 0xFFFF;
+        const segLength = Math.min(chunkSize, length - offset, 0x10000 - segAddress);
+        segments.push({ address: segAddress, offset: offset, length: segLength });
+        offset += segLength;
     }
 
-    setApiBusy(true);
-    showSpinner(true);
+    return segments;
+}
 
-    if (dataArray.length <= 128) {
-        // Use PUT for small writes
-        const hexString = dataArray.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join('');
-        $.ajax({
-            url: `/v1/machine:writemem?address=${hexAddr}&data=${hexString}`,
-            method: 'PUT',
-            headers: { "X-Password": password },
-            success: handleSuccess,
-            error: handleError
-        });
-    } else {
-        // Use POST for large writes
-        const blob = new Blob([new Uint8Array(dataArray)]);
-        $.ajax({
-            url: `/v1/machine:writemem?address=${hexAddr}`,
-            method: 'POST',
-            headers: { "X-Password": password },
-            data: blob,
-            processData: false,
-            contentType: 'application/octet-stream',
-            success: handleSuccess,
-            error: handleError
-        });
+/**
+ * Check the parameters of a bulk transfer.
+ * @param {number} address - Start address
+ * @param {number} length - Number of bytes
+ * @returns {Error|null} ApiError if invalid, null if valid
+ */
+function apiValidateMemoryRange(address, length) {
+    if (!Number.isInteger(address) || address < 0 || address > 0xFFFF) {
+        return createApiError(`Invalid address: ${address}`, 'invalid', 0);
+    }
+    if (!Number.isInteger(length) || length < 1 || length > 0x10000) {
+        return createApiError(`Invalid length: ${length} (1-65536 bytes)`, 'invalid', 0);
+    }
+    return null;
+}
+
+/**
+ * Read a memory range of any size up to 64K in chunks.
+ * Ranges that run past $FFFF wrap around to $0000.
+ * @param {number} address - Start address (0x0000-0xFFFF)
+ * @param {number} length - Number of bytes (1-65536)
+ * @param {Object} options - Optional: { chunkSize, onProgress(done, total), priority, channel, spinner }
+ * @returns {Promise<Uint8Array>} Promise resolving with the memory contents
+ */
+async function readMemoryRangeAsync(address, length, options) {
+    options = options || {};
+    const invalid = apiValidateMemoryRange(address, length);
+    if (invalid) throw invalid;
+
+    const result = new Uint8Array(length);
+    const segments = apiSplitMemoryRange(address, length, options.chunkSize || API_BULK_CHUNK_SIZE);
+    const readOptions = { priority: options.priority, channel: options.channel, spinner: options.spinner };
+    let done = 0;
+
+    if (options.onProgress) options.onProgress(0, length);
+
+    for (const segment of segments) {
+        const buffer = await readMemoryAsync(segment.address, segment.length, readOptions);
+        result.set(new Uint8Array(buffer).subarray(0, segment.length), segment.offset);
+        done += segment.length;
+        if (options.onProgress) options.onProgress(done, length);
     }
+
+    return result;
+}
+
+/**
+ * Read a memory range of any size up to 64K in chunks.
+ * @param {number} address - Start address (0x0000-0xFFFF)
+ * @param {number} length - Number of bytes (1-65536)
+ * @param {function} callback - Success callback, receives Uint8Array
+ * @param {function} errorCallback - Error callback, receives error message string
+ * @param {Object} options - Optional: { chunkSize, onProgress(done, total), priority, channel, spinner }
+ */
+function readMemoryRange(address, length, callback, errorCallback, options) {
+    apiCallbackAdapter(readMemoryRangeAsync(address, length, options), callback, errorCallback);
+}
+
+/**
+ * Write a memory range of any size up to 64K in chunks.
+ * Ranges that run past $FFFF wrap around to $0000. With verify enabled, each
+ * chunk is read back and compared; the 6510 port registers $0000-$0001 cannot
+ * be written by DMA and are excluded from verification.
+ * @param {number} address - Start address (0x0000-0xFFFF)
+ * @param {Array<number>|Uint8Array} data - Bytes to write (1-65536)
+ * @param {Object} options - Optional: { chunkSize, verify, onProgress(done, total), priority, spinner }
+ * @returns {Promise<void>} Promise resolving when all chunks are written (and verified)
+ */
+async function writeMemoryRangeAsync(address, data, options) {
+    options = options || {};
+    const invalid = apiValidateMemoryRange(address, data.length);
+    if (invalid) throw invalid;
+
+    const segments = apiSplitMemoryRange(address, data.length, options.chunkSize || API_BULK_CHUNK_SIZE);
+    const requestOptions = { priority: options.priority, spinner: options.spinner };
+    let done = 0;
+
+    if (options.onProgress) options.onProgress(0, data.length);
+
+    for (const segment of segments) {
+        const chunk = Array.from(data.slice(segment.offset, segment.offset + segment.length));
+        await writeMemoryAsync(segment.address, chunk, requestOptions);
+
+        if (options.verify) {
+            const buffer = await readMemoryAsync(segment.address, segment.length, requestOptions);
+            const readBack = new Uint8Array(buffer);
+            for (let i = 0; i < segment.length; i++) {
+                const addr = segment.address + i;
+                if (addr > 0x0001 && readBack[i] !== chunk[i]) {
+                    const error = createApiError(
+                        `Verify failed at $${apiHexAddress(addr)}: wrote $${chunk[i].toString(16).padStart(2, '0').toUpperCase()}, ` +
+                        `read $${(readBack[i] || 0).toString(16).padStart(2, '0').toUpperCase()}`,
+                        'verify', 0);
+                    showError(`Write error: ${error.message}`);
+                    throw error;
+                }
+            }
+        }
+
+        done += segment.length;
+        if (options.onProgress) options.onProgress(done, data.length);
+    }
+}
+
+/**
+ * Write a memory range of any size up to 64K in chunks.
+ * @param {number} address - Start address (0x0000-0xFFFF)
+ * @param {Array<number>|Uint8Array} data - Bytes to write (1-65536)
+ * @param {function} callback - Success callback
+ * @param {function} errorCallback - Error callback, receives error message string
+ * @param {Object} options - Optional: { chunkSize, verify, onProgress(done, total), priority, spinner }
+ */
+function writeMemoryRange(address, data, callback, errorCallback, options) {
+    apiCallbackAdapter(writeMemoryRangeAsync(address, data, options), callback, errorCallback);
 }
 
 // ============================================================================
@@ -262,125 +862,110 @@ function translateByteToChar(byte, charsetPuaBase) {
     return String.fromCodePoint(codepoint);
 }
 
+/**
+ * Encode an ASCII character as PETSCII.
+ * In the unshifted set (uppercase/graphics) letters of both cases map to
+ * uppercase; in the shifted set (lowercase/uppercase) case is preserved.
+ * @param {string} char - Single character
+ * @param {boolean} shifted - True for the lowercase/uppercase character set
+ * @returns {number|null} PETSCII code, or null if the character has no equivalent
+ */
+function encodePetsciiChar(char, shifted) {
+    const code = char.charCodeAt(0);
+
+    if (char >= 'a' && char <= 'z') return code - 0x20;
+    if (char >= 'A' && char <= 'Z') return shifted ? code + 0x80 : code;
+    if (code >= 0x20 && code <= 0x5D) return code;   // Space, digits, punctuation, @ [ ]
+    if (char === '£') return 0x5C;
+    if (char === '↑' || char === '^') return 0x5E;
+    if (char === '←' || char === '_') return 0x5F;
+    return null;
+}
+
+/**
+ * Encode an ASCII character as a C64 screen code (normal video).
+ * @param {string} char - Single character
+ * @param {boolean} shifted - True for the lowercase/uppercase character set
+ * @returns {number|null} Screen code, or null if the character has no equivalent
+ */
+function encodeScreenCodeChar(char, shifted) {
+    const petscii = encodePetsciiChar(char, shifted);
+    if (petscii === null) return null;
+
+    if (petscii >= 0x40 && petscii <= 0x5F) return petscii - 0x40;   // @, letters, [ £ ] ↑ ←
+    if (petscii >= 0xC1 && petscii <= 0xDA) return petscii - 0x80;   // Shifted uppercase letters
+    return petscii;                                                   // Space, digits, punctuation
+}
+
 // ============================================================================
 // SYSTEM INFORMATION
 // ============================================================================
 
+/**
+ * Get system information from the C64U device.
+ * Errors are not shown in the error box - the caller displays them.
+ * @returns {Promise<Object>} Promise resolving with the combined info object
+ */
+function getSystemInfoAsync() {
+    return Promise.all([
+        apiRequest({ url: '/v1/version', method: 'GET', reportErrors: false }),
+        apiRequest({ url: '/v1/info', method: 'GET', reportErrors: false })
+    ]).then(([version, info]) => ({
+        version: version.version,
+        product: info.product,
+        firmware_version: info.firmware_version,
+        fpga_version: info.fpga_version,
+        core_version: info.core_version,
+        hostname: info.hostname,
+        unique_id: info.unique_id
+    }));
+}
+
 /**
  * Get system information from the C64U device.
  * @param {function} callback - Success callback, receives combined info object
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function getSystemInfo(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-    const result = {
-        version: null,
-        info: null
-    };
-
-    let pendingRequests = 2;
-    const checkComplete = () => {
-        pendingRequests--;
-        if (pendingRequests === 0) {
-            showSpinner(false);
-        }
-    };
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/version',
-        method: 'GET',
-        headers: { "X-Password": password },
-        success: function(data) {
-            result.version = data;
-            if (result.info) {
-                const combined = {
-                    version: result.version.version,
-                    product: result.info.product,
-                    firmware_version: result.info.firmware_version,
-                    fpga_version: result.info.fpga_version,
-                    core_version: result.info.core_version,
-                    hostname: result.info.hostname,
-                    unique_id: result.info.unique_id
-                };
-                checkComplete();
-                if (callback) callback(combined);
-            } else {
-                checkComplete();
-            }
-        },
-        error: function(jqXHR) {
-            checkComplete();
-            if (errorCallback) errorCallback(parseApiError(jqXHR));
-        }
-    });
-
-    $.ajax({
-        url: '/v1/info',
-        method: 'GET',
-        headers: { "X-Password": password },
-        success: function(data) {
-            result.info = data;
-            if (result.version) {
-                const combined = {
-                    version: result.version.version,
-                    product: result.info.product,
-                    firmware_version: result.info.firmware_version,
-                    fpga_version: result.info.fpga_version,
-                    core_version: result.info.core_version,
-                    hostname: result.info.hostname,
-                    unique_id: result.info.unique_id
-                };
-                checkComplete();
-                if (callback) callback(combined);
-            } else {
-                checkComplete();
-            }
-        },
-        error: function(jqXHR) {
-            checkComplete();
-            if (errorCallback) errorCallback(parseApiError(jqXHR));
-        }
-    });
+    apiCallbackAdapter(getSystemInfoAsync(), callback, errorCallback);
 }
 
 // ============================================================================
 // MACHINE CONTROL
 // ============================================================================
 
+/**
+ * Send a machine control command.
+ * @param {string} command - Command name (e.g. 'reset', 'pause', 'menu_button')
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machineCommandAsync(command) {
+    return apiRequest({ url: `/v1/machine:${command}`, method: 'PUT' });
+}
+
+/**
+ * Simulate Menu button press.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machineMenuButtonAsync() {
+    return machineCommandAsync('menu_button');
+}
+
 /**
  * Simulate Menu button press.
  * @param {function} callback - Success callback
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machineMenuButton(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:menu_button',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(machineMenuButtonAsync(), callback, errorCallback);
+}
+
+/**
+ * Pause the machine.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machinePauseAsync() {
+    return machineCommandAsync('pause');
 }
 
 /**
@@ -389,32 +974,15 @@ function machineMenuButton(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machinePause(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:pause',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(machinePauseAsync(), callback, errorCallback);
+}
+
+/**
+ * Resume the machine.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machineResumeAsync() {
+    return machineCommandAsync('resume');
 }
 
 /**
@@ -423,32 +991,15 @@ function machinePause(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machineResume(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:resume',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(machineResumeAsync(), callback, errorCallback);
+}
+
+/**
+ * Reset the machine.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machineResetAsync() {
+    return machineCommandAsync('reset');
 }
 
 /**
@@ -457,31 +1008,19 @@ function machineResume(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machineReset(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:reset',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
+    apiCallbackAdapter(machineResetAsync(), callback, errorCallback);
+}
+
+/**
+ * Reboot the machine.
+ * The device stops answering while it reboots; the connection state goes to
+ * 'reconnecting' until it is back, then reconnect listeners are called.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machineRebootAsync() {
+    return machineCommandAsync('reboot').then(data => {
+        apiExpectReconnect(API_REBOOT_PROBE_DELAY);
+        return data;
     });
 }
 
@@ -491,32 +1030,15 @@ function machineReset(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machineReboot(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:reboot',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(machineRebootAsync(), callback, errorCallback);
+}
+
+/**
+ * Power off the machine (U64 only).
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function machinePowerOffAsync() {
+    return machineCommandAsync('poweroff');
 }
 
 /**
@@ -525,38 +1047,53 @@ function machineReboot(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function machinePowerOff(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/machine:poweroff',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(machinePowerOffAsync(), callback, errorCallback);
 }
 
 // ============================================================================
 // MUSIC / PROGRAM RUNNERS
 // ============================================================================
 
+/**
+ * Start a runner with a file from the C64U file system.
+ * @param {string} runner - Runner name (e.g. 'sidplay', 'run_prg')
+ * @param {Object} params - Query parameters, including 'file'
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runnerFromPathAsync(runner, params) {
+    return apiRequest({ url: `/v1/runners:${runner}`, method: 'PUT', data: params });
+}
+
+/**
+ * Upload a file and start a runner with it.
+ * @param {string} runner - Runner name (e.g. 'sidplay', 'run_prg')
+ * @param {ArrayBuffer} fileData - File content as ArrayBuffer
+ * @param {string} filename - Original filename
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runnerUploadAsync(runner, fileData, filename) {
+    return apiRequest({
+        url: `/v1/runners:${runner}`,
+        method: 'POST',
+        data: fileData,
+        contentType: 'application/octet-stream',
+        timeout: API_UPLOAD_TIMEOUT,
+        headers: { "Content-Disposition": `attachment; filename="${filename}"` }
+    });
+}
+
+/**
+ * Play a SID file from C64U file path.
+ * @param {string} path - File path on C64U
+ * @param {number|string} songNr - Song number (optional)
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runSidPlayAsync(path, songNr) {
+    const params = { file: path };
+    if (songNr) params.songnr = songNr;
+    return runnerFromPathAsync('sidplay', params);
+}
+
 /**
  * Play a SID file from C64U file path.
  * @param {string} path - File path on C64U
@@ -565,33 +1102,18 @@ function machinePowerOff(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runSidPlay(path, songNr, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    const params = { file: path };
-    if (songNr) params.songnr = songNr;
+    apiCallbackAdapter(runSidPlayAsync(path, songNr), callback, errorCallback);
+}
 
-    $.ajax({
-        url: '/v1/runners:sidplay',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        data: params,
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+/**
+ * Upload and play a SID file.
+ * @param {ArrayBuffer} fileData - File content as ArrayBuffer
+ * @param {string} filename - Original filename
+ * @param {number|string} songNr - Song number (optional)
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runSidPlayUploadAsync(fileData, filename, songNr) {
+    return runnerUploadAsync('sidplay', fileData, filename);
 }
 
 /**
@@ -603,35 +1125,16 @@ function runSidPlay(path, songNr, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runSidPlayUpload(fileData, filename, songNr, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
+    apiCallbackAdapter(runSidPlayUploadAsync(fileData, filename, songNr), callback, errorCallback);
+}
 
-    $.ajax({
-        url: '/v1/runners:sidplay',
-        method: 'POST',
-        contentType: 'application/octet-stream',
-        processData: false,
-        data: fileData,
-        headers: {
-            "X-Password": password,
-            "Content-Disposition": `attachment; filename="${filename}"`
-        },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+/**
+ * Play a MOD file from C64U file path.
+ * @param {string} path - File path on C64U
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runModPlayAsync(path) {
+    return runnerFromPathAsync('modplay', { file: path });
 }
 
 /**
@@ -641,30 +1144,17 @@ function runSidPlayUpload(fileData, filename, songNr, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runModPlay(path, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/runners:modplay',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        data: { file: path },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(runModPlayAsync(path), callback, errorCallback);
+}
+
+/**
+ * Upload and play a MOD file.
+ * @param {ArrayBuffer} fileData - File content as ArrayBuffer
+ * @param {string} filename - Original filename
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runModPlayUploadAsync(fileData, filename) {
+    return runnerUploadAsync('modplay', fileData, filename);
 }
 
 /**
@@ -675,35 +1165,16 @@ function runModPlay(path, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runModPlayUpload(fileData, filename, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
+    apiCallbackAdapter(runModPlayUploadAsync(fileData, filename), callback, errorCallback);
+}
 
-    $.ajax({
-        url: '/v1/runners:modplay',
-        method: 'POST',
-        contentType: 'application/octet-stream',
-        processData: false,
-        data: fileData,
-        headers: {
-            "X-Password": password,
-            "Content-Disposition": `attachment; filename="${filename}"`
-        },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+/**
+ * Run a PRG file from C64U file path.
+ * @param {string} path - File path on C64U
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runPrgAsync(path) {
+    return runnerFromPathAsync('run_prg', { file: path });
 }
 
 /**
@@ -713,30 +1184,17 @@ function runModPlayUpload(fileData, filename, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runPrg(path, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/runners:run_prg',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        data: { file: path },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(runPrgAsync(path), callback, errorCallback);
+}
+
+/**
+ * Upload and run a PRG file.
+ * @param {ArrayBuffer} fileData - File content as ArrayBuffer
+ * @param {string} filename - Original filename
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runPrgUploadAsync(fileData, filename) {
+    return runnerUploadAsync('run_prg', fileData, filename);
 }
 
 /**
@@ -747,35 +1205,16 @@ function runPrg(path, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runPrgUpload(fileData, filename, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
+    apiCallbackAdapter(runPrgUploadAsync(fileData, filename), callback, errorCallback);
+}
 
-    $.ajax({
-        url: '/v1/runners:run_prg',
-        method: 'POST',
-        contentType: 'application/octet-stream',
-        processData: false,
-        data: fileData,
-        headers: {
-            "X-Password": password,
-            "Content-Disposition": `attachment; filename="${filename}"`
-        },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+/**
+ * Run a CRT cartridge from C64U file path.
+ * @param {string} path - File path on C64U
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runCrtAsync(path) {
+    return runnerFromPathAsync('run_crt', { file: path });
 }
 
 /**
@@ -785,30 +1224,17 @@ function runPrgUpload(fileData, filename, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runCrt(path, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/runners:run_crt',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        data: { file: path },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(runCrtAsync(path), callback, errorCallback);
+}
+
+/**
+ * Upload and run a CRT cartridge.
+ * @param {ArrayBuffer} fileData - File content as ArrayBuffer
+ * @param {string} filename - Original filename
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function runCrtUploadAsync(fileData, filename) {
+    return runnerUploadAsync('run_crt', fileData, filename);
 }
 
 /**
@@ -819,35 +1245,7 @@ function runCrt(path, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function runCrtUpload(fileData, filename, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/runners:run_crt',
-        method: 'POST',
-        contentType: 'application/octet-stream',
-        processData: false,
-        data: fileData,
-        headers: {
-            "X-Password": password,
-            "Content-Disposition": `attachment; filename="${filename}"`
-        },
-        success: function(data) {
-            showSpinner(false);
-            if (data.errors && data.errors.length > 0) {
-                if (errorCallback) errorCallback(data.errors.join('; '));
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(runCrtUploadAsync(fileData, filename), callback, errorCallback);
 }
 
 // ============================================================================
@@ -856,33 +1254,38 @@ function runCrtUpload(fileData, filename, callback, errorCallback) {
 
 /**
  * Get all configuration categories.
- * Uses global spinner.
+ * Does NOT use global spinner.
+ * @returns {Promise<Array<string>>} Promise resolving with the categories array
+ */
+function getConfigCategoriesAsync() {
+    return apiRequest({ url: '/v1/configs', method: 'GET', spinner: false })
+        .then(data => data.categories || []);
+}
+
+/**
+ * Get all configuration categories.
+ * Does NOT use global spinner.
  * @param {function} callback - Success callback, receives categories array
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function getConfigCategories(callback, errorCallback) {
-    const password = $('#apiPassword').val();
+    apiCallbackAdapter(getConfigCategoriesAsync(), callback, errorCallback);
+}
 
-    $.ajax({
-        url: '/v1/configs',
+/**
+ * Get all items for a specific configuration category.
+ * Does NOT use global spinner - caller handles local spinner.
+ * Errors are not shown in the error box - the caller displays them.
+ * @param {string} category - Configuration category name
+ * @returns {Promise<Object>} Promise resolving with the items object
+ */
+function getConfigItemsAsync(category) {
+    return apiRequest({
+        url: `/v1/configs/${encodeURIComponent(category)}`,
         method: 'GET',
-        headers: { "X-Password": password },
-        success: function(data) {
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data.categories || []);
-            }
-        },
-        error: function(jqXHR) {
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+        spinner: false,
+        reportErrors: false
+    }).then(data => data[category] || {});
 }
 
 /**
@@ -893,23 +1296,24 @@ function getConfigCategories(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function getConfigItems(category, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-    const encodedCategory = encodeURIComponent(category);
+    apiCallbackAdapter(getConfigItemsAsync(category), callback, errorCallback);
+}
 
-    $.ajax({
-        url: `/v1/configs/${encodedCategory}`,
+/**
+ * Get detailed information for a specific configuration item.
+ * Does NOT use global spinner - caller handles local spinner.
+ * Errors are not shown in the error box - the caller displays them.
+ * @param {string} category - Configuration category name
+ * @param {string} itemName - Item name
+ * @returns {Promise<Object>} Promise resolving with the item details object
+ */
+function getConfigItemDetailsAsync(category, itemName) {
+    return apiRequest({
+        url: `/v1/configs/${encodeURIComponent(category)}/${encodeURIComponent(itemName)}`,
         method: 'GET',
-        headers: { "X-Password": password },
-        success: function(data) {
-            hideError();
-            const items = data[category];
-            if (callback) callback(items || {});
-        },
-        error: function(jqXHR) {
-            const errorMsg = parseApiError(jqXHR);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+        spinner: false,
+        reportErrors: false
+    }).then(data => data[category] && data[category][itemName]);
 }
 
 /**
@@ -921,23 +1325,23 @@ function getConfigItems(category, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function getConfigItemDetails(category, itemName, callback, errorCallback) {
-    const password = $('#apiPassword').val();
+    apiCallbackAdapter(getConfigItemDetailsAsync(category, itemName), callback, errorCallback);
+}
+
+/**
+ * Set a configuration item value.
+ * Uses global spinner.
+ * @param {string} category - Configuration category name
+ * @param {string} itemName - Item name
+ * @param {string} value - New value to set
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function setConfigItemAsync(category, itemName, value) {
     const encodedCategory = encodeURIComponent(category);
     const encodedItem = encodeURIComponent(itemName);
-
-    $.ajax({
-        url: `/v1/configs/${encodedCategory}/${encodedItem}`,
-        method: 'GET',
-        headers: { "X-Password": password },
-        success: function(data) {
-            hideError();
-            const itemDetails = data[category] && data[category][itemName];
-            if (callback) callback(itemDetails);
-        },
-        error: function(jqXHR) {
-            const errorMsg = parseApiError(jqXHR);
-            if (errorCallback) errorCallback(errorMsg);
-        }
+    return apiRequest({
+        url: `/v1/configs/${encodedCategory}/${encodedItem}?value=${encodeURIComponent(value)}`,
+        method: 'PUT'
     });
 }
 
@@ -951,34 +1355,16 @@ function getConfigItemDetails(category, itemName, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function setConfigItem(category, itemName, value, callback, errorCallback) {
-    const password = $('#apiPassword').val();
-    const encodedCategory = encodeURIComponent(category);
-    const encodedItem = encodeURIComponent(itemName);
-
-    showSpinner(true);
+    apiCallbackAdapter(setConfigItemAsync(category, itemName, value), callback, errorCallback);
+}
 
-    $.ajax({
-        url: `/v1/configs/${encodedCategory}/${encodedItem}?value=${encodeURIComponent(value)}`,
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+/**
+ * Save current configuration to flash memory.
+ * Uses global spinner.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function saveConfigToFlashAsync() {
+    return apiRequest({ url: '/v1/configs:save_to_flash', method: 'PUT' });
 }
 
 /**
@@ -988,32 +1374,17 @@ function setConfigItem(category, itemName, value, callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function saveConfigToFlash(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/configs:save_to_flash',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            const errorMsg = parseApiError(jqXHR);
-            showError(errorMsg);
-            if (errorCallback) errorCallback(errorMsg);
-        }
-    });
+    apiCallbackAdapter(saveConfigToFlashAsync(), callback, errorCallback);
+}
+
+/**
+ * Load configuration from flash memory.
+ * Uses global spinner. The device may answer 502 while it applies the
+ * configuration; this is treated as success.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function loadConfigFromFlashAsync() {
+    return apiRequest({ url: '/v1/configs:load_from_flash', method: 'PUT', acceptStatus: [502] });
 }
 
 /**
@@ -1023,36 +1394,17 @@ function saveConfigToFlash(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function loadConfigFromFlash(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/configs:load_from_flash',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            if (jqXHR.status === 502) {
-                if (callback) callback({});
-            } else {
-                const errorMsg = parseApiError(jqXHR);
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            }
-        }
-    });
+    apiCallbackAdapter(loadConfigFromFlashAsync(), callback, errorCallback);
+}
+
+/**
+ * Reset configuration to factory defaults.
+ * Uses global spinner. The device may answer 502 while it applies the
+ * configuration; this is treated as success.
+ * @returns {Promise<Object>} Promise resolving with the response object
+ */
+function resetConfigToDefaultAsync() {
+    return apiRequest({ url: '/v1/configs:reset_to_default', method: 'PUT', acceptStatus: [502] });
 }
 
 /**
@@ -1062,34 +1414,5 @@ function loadConfigFromFlash(callback, errorCallback) {
  * @param {function} errorCallback - Error callback, receives error message string
  */
 function resetConfigToDefault(callback, errorCallback) {
-    const password = $('#apiPassword').val();
-
-    showSpinner(true);
-
-    $.ajax({
-        url: '/v1/configs:reset_to_default',
-        method: 'PUT',
-        headers: { "X-Password": password },
-        success: function(data) {
-            showSpinner(false);
-            hideError();
-            if (data.errors && data.errors.length > 0) {
-                const errorMsg = data.errors.join('; ');
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            } else {
-                if (callback) callback(data);
-            }
-        },
-        error: function(jqXHR) {
-            showSpinner(false);
-            if (jqXHR.status === 502) {
-                if (callback) callback({});
-            } else {
-                const errorMsg = parseApiError(jqXHR);
-                showError(errorMsg);
-                if (errorCallback) errorCallback(errorMsg);
-            }
-        }
-    });
+    apiCallbackAdapter(resetConfigToDefaultAsync(), callback, errorCallback);
 }
@@ -0,0 +1,979 @@
+/**
+ * asm6502.js
+ * 6502 Assembler
+ *
+ * Two-pass assembler for the assembly paste of the Disassembly Viewer.
+ * Supports:
+ * - Labels ("loop:" or "loop" in the first column), constants ("name = expr")
+ *   and forward references
+ * - Origin: "*= expr" (or ".org expr"); the default origin is given by the caller
+ * - Directives: .byte, .word, .text ("strings" and byte values)
+ * - Expressions: $hex, %binary, decimal, 'c' characters, * (current address),
+ *   + - * / & | ^ << >>, unary - and ~, parentheses, and the < / > low/high
+ *   byte operators (applied to the whole expression: #>label+1)
+ * - All official opcodes and the undocumented ones (SLO, RLA, SRE, RRA, SAX,
+ *   LAX, DCP, ISC, ANC, ALR, ARR, ANE, SBX, SHA, SHX, SHY, TAS, LAS, JAM and
+ *   the NOP variants), also with their common alias spellings (ISB, DCM,
+ *   ASR, AXS, XAA, LXA, AHX, SHS, KIL...). An alias in the first column
+ *   is a label when nothing, a mnemonic or a directive follows it ("top",
+ *   "top LDA #1"), and an instruction when an operand follows ("DCM $10").
+ * - Warnings for the unstable undocumented opcodes (ANE, LAX #imm, SHA, SHX,
+ *   SHY, TAS), whose result depends on the chip, and for JAM
+ *
+ * Forward references are assembled as absolute addresses, since their value
+ * is not known when the instruction size is decided.
+ *
+ * The opcode table also decodes instructions for the disassembly export and
+ * the code analysis of the disassembly regions.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// OPCODES
+// ============================================================================
+
+/**
+ * Addressing modes and their instruction sizes
+ */
+const ASM6502_MODES = {
+    imp: { size: 1, name: 'implied' },
+    acc: { size: 1, name: 'accumulator' },
+    imm: { size: 2, name: 'immediate' },
+    zp:  { size: 2, name: 'zero page' },
+    zpx: { size: 2, name: 'zero page,X' },
+    zpy: { size: 2, name: 'zero page,Y' },
+    abs: { size: 3, name: 'absolute' },
+    abx: { size: 3, name: 'absolute,X' },
+    aby: { size: 3, name: 'absolute,Y' },
+    ind: { size: 3, name: 'indirect' },
+    izx: { size: 2, name: '(indirect,X)' },
+    izy: { size: 2, name: '(indirect),Y' },
+    rel: { size: 2, name: 'relative' }
+};
+
+/**
+ * Opcode of each mnemonic and addressing mode
+ */
+const ASM6502_OPCODES = {
+    // Official
+    ADC: { imm: 0x69, zp: 0x65, zpx: 0x75, abs: 0x6D, abx: 0x7D, aby: 0x79, izx: 0x61, izy: 0x71 },
+    AND: { imm: 0x29, zp: 0x25, zpx: 0x35, abs: 0x2D, abx: 0x3D, aby: 0x39, izx: 0x21, izy: 0x31 },
+    ASL: { acc: 0x0A, zp: 0x06, zpx: 0x16, abs: 0x0E, abx: 0x1E },
+    BCC: { rel: 0x90 },
+    BCS: { rel: 0xB0 },
+    BEQ: { rel: 0xF0 },
+    BIT: { zp: 0x24, abs: 0x2C },
+    BMI: { rel: 0x30 },
+    BNE: { rel: 0xD0 },
+    BPL: { rel: 0x10 },
+    BRK: { imp: 0x00 },
+    BVC: { rel: 0x50 },
+    BVS: { rel: 0x70 },
+    CLC: { imp: 0x18 },
+    CLD: { imp: 0xD8 },
+    CLI: { imp: 0x58 },
+    CLV: { imp: 0xB8 },
+    CMP: { imm: 0xC9, zp: 0xC5, zpx: 0xD5, abs: 0xCD, abx: 0xDD, aby: 0xD9, izx: 0xC1, izy: 0xD1 },
+    CPX: { imm: 0xE0, zp: 0xE4, abs: 0xEC },
+    CPY: { imm: 0xC0, zp: 0xC4, abs: 0xCC },
+    DEC: { zp: 0xC6, zpx: 0xD6, abs: 0xCE, abx: 0xDE },
+    DEX: { imp: 0xCA },
+    DEY: { imp: 0x88 },
+    EOR: { imm: 0x49, zp: 0x45, zpx: 0x55, abs: 0x4D, abx: 0x5D, aby: 0x59, izx: 0x41, izy: 0x51 },
+    INC: { zp: 0xE6, zpx: 0xF6, abs: 0xEE, abx: 0xFE },
+    INX: { imp: 0xE8 },
+    INY: { imp: 0xC8 },
+    JMP: { abs: 0x4C, ind: 0x6C },
+    JSR: { abs: 0x20 },
+    LDA: { imm: 0xA9, zp: 0xA5, zpx: 0xB5, abs: 0xAD, abx: 0xBD, aby: 0xB9, izx: 0xA1, izy: 0xB1 },
+    LDX: { imm: 0xA2, zp: 0xA6, zpy: 0xB6, abs: 0xAE, aby: 0xBE },
+    LDY: { imm: 0xA0, zp: 0xA4, zpx: 0xB4, abs: 0xAC, abx: 0xBC },
+    LSR: { acc: 0x4A, zp: 0x46, zpx: 0x56, abs: 0x4E, abx: 0x5E },
+    NOP: { imp: 0xEA, imm: 0x80, zp: 0x04, zpx: 0x14, abs: 0x0C, abx: 0x1C },
+    ORA: { imm: 0x09, zp: 0x05, zpx: 0x15, abs: 0x0D, abx: 0x1D, aby: 0x19, izx: 0x01, izy: 0x11 },
+    PHA: { imp: 0x48 },
+    PHP: { imp: 0x08 },
+    PLA: { imp: 0x68 },
+    PLP: { imp: 0x28 },
+    ROL: { acc: 0x2A, zp: 0x26, zpx: 0x36, abs: 0x2E, abx: 0x3E },
+    ROR: { acc: 0x6A, zp: 0x66, zpx: 0x76, abs: 0x6E, abx: 0x7E },
+    RTI: { imp: 0x40 },
+    RTS: { imp: 0x60 },
+    SBC: { imm: 0xE9, zp: 0xE5, zpx: 0xF5, abs: 0xED, abx: 0xFD, aby: 0xF9, izx: 0xE1, izy: 0xF1 },
+    SEC: { imp: 0x38 },
+    SED: { imp: 0xF8 },
+    SEI: { imp: 0x78 },
+    STA: { zp: 0x85, zpx: 0x95, abs: 0x8D, abx: 0x9D, aby: 0x99, izx: 0x81, izy: 0x91 },
+    STX: { zp: 0x86, zpy: 0x96, abs: 0x8E },
+    STY: { zp: 0x84, zpx: 0x94, abs: 0x8C },
+    TAX: { imp: 0xAA },
+    TAY: { imp: 0xA8 },
+    TSX: { imp: 0xBA },
+    TXA: { imp: 0x8A },
+    TXS: { imp: 0x9A },
+    TYA: { imp: 0x98 },
+
+    // Undocumented
+    SLO: { zp: 0x07, zpx: 0x17, abs: 0x0F, abx: 0x1F, aby: 0x1B, izx: 0x03, izy: 0x13 },
+    RLA: { zp: 0x27, zpx: 0x37, abs: 0x2F, abx: 0x3F, aby: 0x3B, izx: 0x23, izy: 0x33 },
+    SRE: { zp: 0x47, zpx: 0x57, abs: 0x4F, abx: 0x5F, aby: 0x5B, izx: 0x43, izy: 0x53 },
+    RRA: { zp: 0x67, zpx: 0x77, abs: 0x6F, abx: 0x7F, aby: 0x7B, izx: 0x63, izy: 0x73 },
+    SAX: { zp: 0x87, zpy: 0x97, abs: 0x8F, izx: 0x83 },
+    LAX: { imm: 0xAB, zp: 0xA7, zpy: 0xB7, abs: 0xAF, aby: 0xBF, izx: 0xA3, izy: 0xB3 },
+    DCP: { zp: 0xC7, zpx: 0xD7, abs: 0xCF, abx: 0xDF, aby: 0xDB, izx: 0xC3, izy: 0xD3 },
+    ISC: { zp: 0xE7, zpx: 0xF7, abs: 0xEF, abx: 0xFF, aby: 0xFB, izx: 0xE3, izy: 0xF3 },
+    ANC: { imm: 0x0B },
+    ALR: { imm: 0x4B },
+    ARR: { imm: 0x6B },
+    ANE: { imm: 0x8B },
+    SBX: { imm: 0xCB },
+    SHA: { aby: 0x9F, izy: 0x93 },
+    SHX: { aby: 0x9E },
+    SHY: { abx: 0x9C },
+    TAS: { aby: 0x9B },
+    LAS: { aby: 0xBB },
+    JAM: { imp: 0x02 }
+};
+
+/**
+ * Undocumented opcodes that repeat another opcode (decoding only: the
+ * assembler uses the opcode of ASM6502_OPCODES)
+ */
+const ASM6502_ALTERNATE_OPCODES = {
+    NOP: { imp: [0x1A, 0x3A, 0x5A, 0x7A, 0xDA, 0xFA], imm: [0x82, 0x89, 0xC2, 0xE2],
+           zp: [0x44, 0x64], zpx: [0x34, 0x54, 0x74, 0xD4, 0xF4], abx: [0x3C, 0x5C, 0x7C, 0xDC, 0xFC] },
+    JAM: { imp: [0x12, 0x22, 0x32, 0x42, 0x52, 0x62, 0x72, 0x92, 0xB2, 0xD2, 0xF2] },
+    ANC: { imm: [0x2B] },
+    SBC: { imm: [0xEB] }
+};
+
+const ASM6502_UNDOCUMENTED = new Set([
+    'SLO', 'RLA', 'SRE', 'RRA', 'SAX', 'LAX', 'DCP', 'ISC', 'ANC', 'ALR',
+    'ARR', 'ANE', 'SBX', 'SHA', 'SHX', 'SHY', 'TAS', 'LAS', 'JAM'
+]);
+
+/**
+ * Other spellings of the undocumented mnemonics used by assemblers and
+ * opcode lists. An alias with several mnemonics takes the first one that
+ * supports the addressing mode (AXS #imm is SBX, AXS $zp is SAX).
+ */
+const ASM6502_ALIASES = {
+    ASO: ['SLO'],
+    LSE: ['SRE'],
+    AAX: ['SAX'],
+    AXS: ['SBX', 'SAX'],
+    LXA: ['LAX'],
+    ATX: ['LAX'],
+    OAL: ['LAX'],
+    DCM: ['DCP'],
+    ISB: ['ISC'],
+    INS: ['ISC'],
+    AAC: ['ANC'],
+    ASR: ['ALR'],
+    XAA: ['ANE'],
+    AHX: ['SHA'],
+    AXA: ['SHA'],
+    SXA: ['SHX'],
+    XAS: ['SHX'],
+    SYA: ['SHY'],
+    SAY: ['SHY'],
+    SHS: ['TAS'],
+    LAR: ['LAS'],
+    LAE: ['LAS'],
+    KIL: ['JAM'],
+    HLT: ['JAM'],
+    DOP: ['NOP'],
+    TOP: ['NOP'],
+    SKB: ['NOP'],
+    SKW: ['NOP']
+};
+
+/**
+ * Unstable undocumented opcodes: their result depends on the chip and on
+ * the temperature (ANE, LAX #imm) or they fail when crossing a page (SHA,
+ * SHX, SHY, TAS)
+ */
+const ASM6502_UNSTABLE_OPCODES = new Set([0x8B, 0xAB, 0x93, 0x9F, 0x9E, 0x9C, 0x9B]);
+
+let asm6502DecodeTable = null;   // Built on first use (see asm6502GetOpcodeInfo)
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Get the instruction of an opcode
+ * @param {number} opcode - Opcode byte
+ * @returns {Object} { mnemonic, mode, size, official, alternate, unstable }
+ *   official: documented opcode; alternate: repeats another opcode, so
+ *   assembling the instruction gives a different byte; unstable: see
+ *   ASM6502_UNSTABLE_OPCODES
+ */
+function asm6502GetOpcodeInfo(opcode) {
+    if (!asm6502DecodeTable) {
+        asm6502DecodeTable = new Array(256);
+
+        const add = (code, mnemonic, mode, alternate) => {
+            asm6502DecodeTable[code] = {
+                mnemonic: mnemonic,
+                mode: mode,
+                size: ASM6502_MODES[mode].size,
+                official: !alternate && !ASM6502_UNDOCUMENTED.has(mnemonic) && !(mnemonic === 'NOP' && mode !== 'imp'),
+                alternate: alternate,
+                unstable: ASM6502_UNSTABLE_OPCODES.has(code)
+            };
+        };
+
+        Object.keys(ASM6502_OPCODES).forEach(mnemonic => {
+            Object.keys(ASM6502_OPCODES[mnemonic]).forEach(mode => {
+                add(ASM6502_OPCODES[mnemonic][mode], mnemonic, mode, false);
+            });
+        });
+        Object.keys(ASM6502_ALTERNATE_OPCODES).forEach(mnemonic => {
+            Object.keys(ASM6502_ALTERNATE_OPCODES[mnemonic]).forEach(mode => {
+                ASM6502_ALTERNATE_OPCODES[mnemonic][mode].forEach(code => add(code, mnemonic, mode, true));
+            });
+        });
+    }
+
+    return asm6502DecodeTable[opcode];
+}
+
+/**
+ * Format the operand of an instruction
+ * @param {string} mode - Addressing mode
+ * @param {string} value - Formatted value or name, e.g. "$D020" or "loop"
+ * @returns {string} e.g. "$D020,X" or "(ptr),Y" ('' for implied)
+ */
+function asm6502FormatOperand(mode, value) {
+    switch (mode) {
+        case 'imp': return '';
+        case 'acc': return 'A';
+        case 'imm': return `#${value}`;
+        case 'zpx':
+        case 'abx': return `${value},X`;
+        case 'zpy':
+        case 'aby': return `${value},Y`;
+        case 'ind': return `(${value})`;
+        case 'izx': return `(${value},X)`;
+        case 'izy': return `(${value}),Y`;
+        default: return value;
+    }
+}
+
+/**
+ * Disassemble one instruction
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} offset - Offset of the instruction in bytes
+ * @param {number} address - Address of the instruction
+ * @returns {Object} { address, bytes, assembly, info } (bytes past the end
+ *   of the array are undefined and leave the operand out)
+ */
+function asm6502DisassembleOne(bytes, offset, address) {
+    const info = asm6502GetOpcodeInfo(bytes[offset]);
+    const instrBytes = [];
+    for (let i = 0; i < info.size; i++) {
+        instrBytes.push(bytes[offset + i]);
+    }
+
+    let assembly = info.mnemonic;
+    if (info.size === 1) {
+        const operand = asm6502FormatOperand(info.mode, '');
+        assembly += operand ? ` ${operand}` : '';
+    } else if (!instrBytes.includes(undefined)) {
+        let hex;
+        if (info.mode === 'rel') {
+            const offset8 = instrBytes[1] > 127 ? instrBytes[1] - 256 : instrBytes[1];
+            hex = formatHexWord((address + 2 + offset8) & 0xFFFF);
+        } else if (info.size === 3) {
+            hex = formatHexWord(instrBytes[1] | (instrBytes[2] << 8));
+        } else {
+            hex = formatHexByte(instrBytes[1]);
+        }
+        assembly += ` ${asm6502FormatOperand(info.mode, '$' + hex)}`;
+    }
+
+    return { address: address, bytes: instrBytes, assembly: assembly, info: info };
+}
+
+// ============================================================================
+// ASSEMBLER
+// ============================================================================
+
+/**
+ * Assemble source code
+ * @param {string} text - Source code, one statement per line
+ * @param {Object} options - Optional: { origin, resolve(name) }
+ *   origin: address of the first instruction until "*=" (default $C000)
+ *   resolve: lookup of symbols not defined in the source (returns an address or null)
+ * @returns {Object} { segments: [{ address, bytes }], symbols: Map, errors: [{ line, message }],
+ *   warnings: [{ line, message }] } (warnings: unstable opcodes and JAM)
+ */
+function asm6502Assemble(text, options) {
+    options = options || {};
+
+    const ctx = {
+        symbols: new Map(),
+        resolve: options.resolve || null,
+        pc: options.origin !== undefined ? options.origin : 0xC000,
+        final: false
+    };
+    const errors = [];
+    const warnings = [];
+    const statements = [];
+    const constants = [];
+
+    // Pass 1: parse, decide sizes and define labels
+    text.split(/\r?\n/).forEach((source, index) => {
+        const line = index + 1;
+        try {
+            const statement = asm6502ParseLine(source);
+            statement.line = line;
+
+            if (statement.label) {
+                asm6502Define(ctx, statement.label, ctx.pc);
+            }
+
+            if (statement.kind === 'constant') {
+                const value = asm6502Evaluate(statement.expr, ctx);
+                if (value === undefined) {
+                    constants.push(statement);
+                }
+                asm6502Define(ctx, statement.name, value);
+                return;
+            }
+
+            if (statement.kind === 'origin') {
+                const value = asm6502Evaluate(statement.expr, ctx);
+                if (value === undefined) {
+                    throw new Error('The origin must not use forward references');
+                }
+                asm6502CheckRange(value, 0, 0xFFFF, 'Origin');
+                ctx.pc = value;
+                return;
+            }
+
+            if (statement.kind === 'instruction') {
+                const operand = asm6502SelectInstruction(statement, ctx);
+                statement.mnemonic = operand.mnemonic;
+                statement.mode = operand.mode;
+                statement.expr = operand.expr;
+                statement.size = ASM6502_MODES[operand.mode].size;
+            } else if (statement.kind === 'data') {
+                statement.size = asm6502GetDataSize(statement);
+            } else {
+                return;
+            }
+
+            statement.address = ctx.pc;
+            ctx.pc += statement.size;
+            if (ctx.pc > 0x10000) {
+                throw new Error('Code goes past $FFFF');
+            }
+            statements.push(statement);
+        } catch (e) {
+            errors.push({ line: line, message: e.message });
+        }
+    });
+
+    // Constants with forward references, resolved until nothing changes:
+    // a constant may depend on a later one (A = B+1, B = C+1, C = label)
+    let pending = constants;
+    let resolved = true;
+    while (pending.length > 0 && resolved) {
+        resolved = false;
+        pending = pending.filter(statement => {
+            try {
+                const value = asm6502Evaluate(statement.expr, ctx);
+                if (value === undefined) return true;
+                ctx.symbols.set(statement.name, value);
+                resolved = true;
+            } catch (e) {
+                errors.push({ line: statement.line, message: e.message });
+            }
+            return false;
+        });
+    }
+
+    // The unresolved ones are errors
+    ctx.final = true;
+    pending.forEach(statement => {
+        try {
+            ctx.symbols.set(statement.name, asm6502Evaluate(statement.expr, ctx));
+        } catch (e) {
+            errors.push({ line: statement.line, message: e.message });
+        }
+    });
+
+    // Pass 2: encode
+    const segments = [];
+    let segment = null;
+
+    statements.forEach(statement => {
+        let bytes;
+        try {
+            ctx.pc = statement.address;
+            bytes = statement.kind === 'instruction'
+                ? asm6502EncodeInstruction(statement, ctx)
+                : asm6502EncodeData(statement, ctx);
+        } catch (e) {
+            errors.push({ line: statement.line, message: e.message });
+            bytes = new Array(statement.size).fill(0);
+        }
+
+        if (statement.kind === 'instruction') {
+            const warning = asm6502GetWarning(statement, bytes[0]);
+            if (warning) {
+                warnings.push({ line: statement.line, message: warning });
+            }
+        }
+
+        if (!segment || segment.address + segment.bytes.length !== statement.address) {
+            segment = { address: statement.address, bytes: [] };
+            segments.push(segment);
+        }
+        segment.bytes.push(...bytes);
+    });
+
+    errors.sort((a, b) => a.line - b.line);
+
+    return { segments: segments, symbols: ctx.symbols, errors: errors, warnings: warnings };
+}
+
+/**
+ * Get the warning of an assembled instruction
+ * @param {Object} statement - Instruction statement
+ * @param {number} opcode - Opcode byte
+ * @returns {string|null} Warning, or null if the instruction is reliable
+ */
+function asm6502GetWarning(statement, opcode) {
+    const spelling = statement.spelling;
+    if (ASM6502_UNSTABLE_OPCODES.has(opcode)) {
+        return `${spelling} ($${formatHexByte(opcode)}) is an unstable opcode: its result depends on the chip`;
+    }
+    if (statement.mnemonic === 'JAM') {
+        return `${spelling} ($${formatHexByte(opcode)}) halts the CPU`;
+    }
+    return null;
+}
+
+/**
+ * Format assembly errors or warnings, one per line
+ * @param {Array<Object>} errors - Errors: { line, message }
+ * @returns {string} e.g. "Line 3: Unknown instruction: LDQ"
+ */
+function asm6502FormatErrors(errors) {
+    return errors.map(e => `Line ${e.line}: ${e.message}`).join('\n');
+}
+
+/**
+ * Define a label or constant
+ * @param {Object} ctx - Assembly context
+ * @param {string} name - Symbol name
+ * @param {number|undefined} value - Value (undefined if not known yet)
+ */
+function asm6502Define(ctx, name, value) {
+    if (ctx.symbols.has(name)) {
+        throw new Error(`Symbol already defined: ${name}`);
+    }
+    ctx.symbols.set(name, value);
+}
+
+/**
+ * Check that a value is in range
+ * @param {number} value - Value
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {string} what - Description for the error message
+ */
+function asm6502CheckRange(value, min, max, what) {
+    if (value < min || value > max) {
+        throw new Error(`${what} out of range: ${value}`);
+    }
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse a source line
+ * @param {string} source - Source line
+ * @returns {Object} Statement: { label, kind: 'empty'|'constant'|'origin'|'instruction'|'data', ... }
+ */
+function asm6502ParseLine(source) {
+    let rest = asm6502StripComment(source).replace(/\s+$/, '');
+    const statement = { label: null, kind: 'empty' };
+    let match;
+
+    // Origin: *= expr
+    if ((match = rest.match(/^\s*\*\s*=\s*(.+)$/))) {
+        statement.kind = 'origin';
+        statement.expr = match[1];
+        return statement;
+    }
+
+    // Constant: name = expr
+    if ((match = rest.match(/^\s*([A-Za-z_.@][\w.@]*)\s*=\s*(.+)$/))) {
+        statement.kind = 'constant';
+        statement.name = match[1];
+        statement.expr = match[2];
+        return statement;
+    }
+
+    // Label: "name:" anywhere, or a name in the first column that is not an
+    // instruction. An alias spelling is a label unless an operand follows it.
+    if ((match = rest.match(/^\s*([A-Za-z_.@][\w.@]*):/))) {
+        statement.label = match[1];
+        rest = rest.substring(match[0].length);
+    } else if ((match = rest.match(/^([A-Za-z_@][\w.@]*)(?=\s|$)/)) && !ASM6502_OPCODES[match[1].toUpperCase()]) {
+        const next = rest.substring(match[0].length).trim().split(/\s/)[0].toUpperCase();
+        if (!ASM6502_ALIASES[match[1].toUpperCase()] ||
+            next === '' || next.startsWith('.') || ASM6502_OPCODES[next] || ASM6502_ALIASES[next]) {
+            statement.label = match[1];
+            rest = rest.substring(match[0].length);
+        }
+    }
+
+    rest = rest.trim();
+    if (rest === '') {
+        return statement;
+    }
+
+    // Directives
+    if ((match = rest.match(/^\.([A-Za-z]+)\b\s*(.*)$/))) {
+        const directive = match[1].toLowerCase();
+        const args = match[2].trim();
+
+        if (directive === 'org') {
+            statement.kind = 'origin';
+            statement.expr = args;
+        } else if (directive === 'byte' || directive === 'text' || directive === 'word') {
+            if (args === '') {
+                throw new Error(`.${directive} needs at least one value`);
+            }
+            statement.kind = 'data';
+            statement.directive = directive;
+            statement.args = asm6502SplitArgs(args);
+        } else {
+            throw new Error(`Unknown directive: .${match[1]}`);
+        }
+        return statement;
+    }
+
+    // Instructions (mnemonic or alias, resolved with the addressing mode)
+    if ((match = rest.match(/^([A-Za-z]{3})\b\s*(.*)$/)) &&
+        (ASM6502_OPCODES[match[1].toUpperCase()] || ASM6502_ALIASES[match[1].toUpperCase()])) {
+        statement.kind = 'instruction';
+        statement.spelling = match[1].toUpperCase();
+        statement.operand = match[2].trim();
+        return statement;
+    }
+
+    throw new Error(`Unknown instruction: ${rest.split(/\s/)[0]}`);
+}
+
+/**
+ * Remove the comment of a line (";" outside quotes)
+ * @param {string} source - Source line
+ * @returns {string} Line without comment
+ */
+function asm6502StripComment(source) {
+    let quote = null;
+    for (let i = 0; i < source.length; i++) {
+        const c = source.charAt(i);
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === ';') {
+            return source.substring(0, i);
+        }
+    }
+    return source;
+}
+
+/**
+ * Split directive arguments at the commas outside quotes and parentheses
+ * @param {string} args - Arguments
+ * @returns {Array<string>} Trimmed arguments
+ */
+function asm6502SplitArgs(args) {
+    const result = [];
+    let quote = null;
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < args.length; i++) {
+        const c = args.charAt(i);
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            result.push(args.substring(start, i).trim());
+            start = i + 1;
+        }
+    }
+    result.push(args.substring(start).trim());
+
+    return result;
+}
+
+/**
+ * Check if an operand is wrapped in a single pair of parentheses: "(expr)"
+ * but not "(a)+(b)"
+ * @param {string} operand - Operand
+ * @returns {boolean} True if wrapped
+ */
+function asm6502IsWrapped(operand) {
+    if (operand.charAt(0) !== '(') return false;
+
+    let depth = 0;
+    for (let i = 0; i < operand.length; i++) {
+        const c = operand.charAt(i);
+        if (c === '(') depth++;
+        if (c === ')') depth--;
+        if (depth === 0) return i === operand.length - 1;
+    }
+    return false;
+}
+
+/**
+ * Decide the mnemonic and addressing mode of an instruction written with a
+ * mnemonic or an alias
+ * @param {Object} statement - Instruction statement: { spelling, operand }
+ * @param {Object} ctx - Assembly context
+ * @returns {Object} { mnemonic, mode, expr }
+ */
+function asm6502SelectInstruction(statement, ctx) {
+    const spelling = statement.spelling;
+    if (ASM6502_OPCODES[spelling]) {
+        return Object.assign({ mnemonic: spelling }, asm6502SelectMode(spelling, statement.operand, ctx));
+    }
+
+    let firstError = null;
+    for (const mnemonic of ASM6502_ALIASES[spelling]) {
+        try {
+            return Object.assign({ mnemonic: mnemonic }, asm6502SelectMode(mnemonic, statement.operand, ctx));
+        } catch (e) {
+            firstError = firstError || e;
+        }
+    }
+    throw new Error(`${firstError.message.replace(/^[A-Z]{3}\b/, spelling)} (${spelling} is ${ASM6502_ALIASES[spelling].join('/')})`);
+}
+
+/**
+ * Decide the addressing mode of an instruction
+ * @param {string} mnemonic - Mnemonic (uppercase)
+ * @param {string} operand - Operand text
+ * @param {Object} ctx - Assembly context
+ * @returns {Object} { mode, expr }
+ */
+function asm6502SelectMode(mnemonic, operand, ctx) {
+    const modes = ASM6502_OPCODES[mnemonic];
+    let match;
+
+    const use = (mode, expr) => {
+        if (modes[mode] === undefined) {
+            throw new Error(`${mnemonic} does not support ${ASM6502_MODES[mode].name} addressing`);
+        }
+        return { mode: mode, expr: expr };
+    };
+
+    // Zero page when the value is known to fit, absolute otherwise
+    const zeroPageOrAbsolute = (zpMode, absMode, expr) => {
+        const value = asm6502Evaluate(expr, ctx);
+        if (modes[zpMode] !== undefined && value !== undefined && value >= 0 && value <= 0xFF) {
+            return { mode: zpMode, expr: expr };
+        }
+        if (modes[absMode] !== undefined) {
+            return { mode: absMode, expr: expr };
+        }
+        return use(zpMode, expr);
+    };
+
+    if (operand === '') {
+        return modes.imp === undefined && modes.acc !== undefined ? use('acc', null) : use('imp', null);
+    }
+    if (/^a$/i.test(operand) && modes.acc !== undefined) {
+        return use('acc', null);
+    }
+    if (operand.charAt(0) === '#') {
+        return use('imm', operand.substring(1).trim());
+    }
+    if (modes.rel !== undefined) {
+        return use('rel', operand);
+    }
+    if (asm6502IsWrapped(operand) && (match = operand.match(/^\((.+),\s*x\s*\)$/i))) {
+        return use('izx', match[1].trim());
+    }
+
+    if ((match = operand.match(/^(.+?)\s*,\s*([xy])$/i))) {
+        const base = match[1];
+        if (match[2].toUpperCase() === 'Y') {
+            if (asm6502IsWrapped(base) && modes.izy !== undefined) {
+                return use('izy', base.substring(1, base.length - 1).trim());
+            }
+            return zeroPageOrAbsolute('zpy', 'aby', base);
+        }
+        return zeroPageOrAbsolute('zpx', 'abx', base);
+    }
+
+    if (asm6502IsWrapped(operand) && modes.ind !== undefined) {
+        return use('ind', operand.substring(1, operand.length - 1).trim());
+    }
+
+    return zeroPageOrAbsolute('zp', 'abs', operand);
+}
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Encode an instruction
+ * @param {Object} statement - Instruction statement with the mode decided in pass 1
+ * @param {Object} ctx - Assembly context
+ * @returns {Array<number>} Bytes
+ */
+function asm6502EncodeInstruction(statement, ctx) {
+    const opcode = ASM6502_OPCODES[statement.mnemonic][statement.mode];
+    if (statement.size === 1) {
+        return [opcode];
+    }
+
+    let value = asm6502Evaluate(statement.expr, ctx);
+
+    if (statement.mode === 'rel') {
+        const offset = value - (statement.address + 2);
+        if (offset < -128 || offset > 127) {
+            throw new Error(`Branch target too far (${offset} bytes)`);
+        }
+        return [opcode, offset & 0xFF];
+    }
+
+    if (statement.size === 2) {
+        asm6502CheckRange(value, statement.mode === 'imm' ? -128 : 0, 0xFF, 'Byte value');
+        return [opcode, value & 0xFF];
+    }
+
+    asm6502CheckRange(value, 0, 0xFFFF, 'Address');
+    return [opcode, value & 0xFF, value >> 8];
+}
+
+/**
+ * Get the size of a data directive
+ * @param {Object} statement - Data statement
+ * @returns {number} Size in bytes
+ */
+function asm6502GetDataSize(statement) {
+    if (statement.directive === 'word') {
+        return statement.args.length * 2;
+    }
+    return statement.args.reduce((size, arg) => size + (asm6502ParseString(arg) || [0]).length, 0);
+}
+
+/**
+ * Encode a data directive
+ * @param {Object} statement - Data statement
+ * @param {Object} ctx - Assembly context
+ * @returns {Array<number>} Bytes
+ */
+function asm6502EncodeData(statement, ctx) {
+    const bytes = [];
+
+    statement.args.forEach(arg => {
+        if (statement.directive === 'word') {
+            const value = asm6502Evaluate(arg, ctx);
+            asm6502CheckRange(value, -0x8000, 0xFFFF, 'Word value');
+            bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+            return;
+        }
+
+        const text = asm6502ParseString(arg);
+        if (text) {
+            bytes.push(...text);
+            return;
+        }
+
+        const value = asm6502Evaluate(arg, ctx);
+        asm6502CheckRange(value, -128, 0xFF, 'Byte value');
+        bytes.push(value & 0xFF);
+    });
+
+    return bytes;
+}
+
+/**
+ * Parse a "string" argument
+ * @param {string} arg - Argument
+ * @returns {Array<number>|null} Character codes, or null if not a string
+ */
+function asm6502ParseString(arg) {
+    const match = arg.match(/^"([^"]*)"$/);
+    if (!match) return null;
+    return Array.from(match[1]).map(c => c.charCodeAt(0) & 0xFF);
+}
+
+// ============================================================================
+// EXPRESSIONS
+// ============================================================================
+
+/**
+ * Split an expression into tokens
+ * @param {string} expr - Expression
+ * @returns {Array<Object>} Tokens: { type: 'number'|'symbol'|'op', value }
+ */
+function asm6502Tokenize(expr) {
+    const pattern = /\s*(?:\$([0-9A-Fa-f]+)|0x([0-9A-Fa-f]+)|%([01]+)|([0-9]+)|'(.)'|([A-Za-z_.@][\w.@]*)|(<<|>>|[-+*/&|^~<>()]))/y;
+    const tokens = [];
+    let match;
+
+    expr = expr.trim();
+    pattern.lastIndex = 0;
+
+    while (pattern.lastIndex < expr.length) {
+        const position = pattern.lastIndex;
+        if (!(match = pattern.exec(expr))) {
+            throw new Error(`Syntax error in expression: ${expr.substring(position).trim()}`);
+        }
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseInt(match[1], 16) });
+        else if (match[2] !== undefined) tokens.push({ type: 'number', value: parseInt(match[2], 16) });
+        else if (match[3] !== undefined) tokens.push({ type: 'number', value: parseInt(match[3], 2) });
+        else if (match[4] !== undefined) tokens.push({ type: 'number', value: parseInt(match[4], 10) });
+        else if (match[5] !== undefined) tokens.push({ type: 'number', value: match[5].charCodeAt(0) & 0xFF });
+        else if (match[6] !== undefined) tokens.push({ type: 'symbol', value: match[6] });
+        else tokens.push({ type: 'op', value: match[7] });
+    }
+
+    return tokens;
+}
+
+/**
+ * Evaluate an expression
+ * @param {string} expr - Expression
+ * @param {Object} ctx - Assembly context: { symbols, resolve, pc, final }
+ * @returns {number|undefined} Value, or undefined if it uses symbols not defined yet (pass 1)
+ */
+function asm6502Evaluate(expr, ctx) {
+    const tokens = asm6502Tokenize(expr);
+    if (tokens.length === 0) {
+        throw new Error('Missing value');
+    }
+
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].type === 'op' ? tokens[pos].value : null;
+
+    // Operators by precedence, lowest first
+    const levels = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/']];
+
+    const apply = (op, a, b) => {
+        if (a === undefined || b === undefined) return undefined;
+        switch (op) {
+            case '|': return a | b;
+            case '^': return a ^ b;
+            case '&': return a & b;
+            case '<<': return a << b;
+            case '>>': return a >> b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/':
+                if (b === 0) throw new Error('Division by zero');
+                return Math.trunc(a / b);
+        }
+    };
+
+    // < and > apply to the whole expression that follows
+    const parseExpression = () => {
+        const op = peek();
+        if (op === '<' || op === '>') {
+            pos++;
+            const value = parseBinary(0);
+            if (value === undefined) return undefined;
+            return op === '<' ? value & 0xFF : (value >> 8) & 0xFF;
+        }
+        return parseBinary(0);
+    };
+
+    const parseBinary = (level) => {
+        if (level === levels.length) return parseUnary();
+
+        let value = parseBinary(level + 1);
+        while (levels[level].includes(peek())) {
+            const op = tokens[pos++].value;
+            value = apply(op, value, parseBinary(level + 1));
+        }
+        return value;
+    };
+
+    const parseUnary = () => {
+        const token = tokens[pos++];
+        if (!token) throw new Error(`Incomplete expression: ${expr}`);
+
+        if (token.type === 'number') return token.value;
+        if (token.type === 'symbol') return asm6502Lookup(token.value, ctx);
+
+        switch (token.value) {
+            case '*': return ctx.pc;
+            case '-': {
+                const value = parseUnary();
+                return value === undefined ? undefined : -value;
+            }
+            case '~': {
+                const value = parseUnary();
+                return value === undefined ? undefined : ~value & 0xFFFF;
+            }
+            case '<':
+            case '>': {
+                const value = parseUnary();
+                if (value === undefined) return undefined;
+                return token.value === '<' ? value & 0xFF : (value >> 8) & 0xFF;
+            }
+            case '(': {
+                const value = parseExpression();
+                if (peek() !== ')') throw new Error(`Missing ')' in expression: ${expr}`);
+                pos++;
+                return value;
+            }
+        }
+        throw new Error(`Unexpected '${token.value}' in expression: ${expr}`);
+    };
+
+    const value = parseExpression();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected '${tokens[pos].value}' in expression: ${expr}`);
+    }
+    return value;
+}
+
+/**
+ * Get the value of a symbol
+ * @param {string} name - Symbol name
+ * @param {Object} ctx - Assembly context
+ * @returns {number|undefined} Value, or undefined if not defined yet (pass 1)
+ */
+function asm6502Lookup(name, ctx) {
+    if (ctx.symbols.has(name)) {
+        const value = ctx.symbols.get(name);
+        if (value !== undefined || !ctx.final) return value;
+    } else if (ctx.resolve) {
+        const value = ctx.resolve(name);
+        if (value !== null && value !== undefined) return value;
+    }
+
+    if (ctx.final) {
+        throw new Error(`Undefined symbol: ${name}`);
+    }
+    return undefined;
+}
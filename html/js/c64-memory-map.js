@@ -0,0 +1,443 @@
+/**
+ * c64-memory-map.js
+ * C64 Memory Map Knowledge Base
+ *
+ * Built-in names for the regions of the C64 memory map and for well-known
+ * addresses: zero page variables, the OS work area, BASIC and KERNAL
+ * vectors, VIC-II/SID/CIA registers and BASIC/KERNAL ROM entry points.
+ *
+ * Used for the region names in the address subheaders, the byte tooltips
+ * of the Hex Viewer and the symbolic operands of the Disassembly Viewer
+ * (STA $D020 → STA VIC_BORDER).
+ *
+ * Names follow "Mapping the Commodore 64" where one exists. The chip
+ * registers are prefixed with the chip name (VIC_, SID_, CIA1_, CIA2_).
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// MEMORY MAP DATA
+// ============================================================================
+
+/**
+ * Memory regions, ascending and covering the whole 64K
+ */
+const C64_MEMORY_REGIONS = [
+    { start: 0x0000, end: 0x00FF, name: 'Zero page' },
+    { start: 0x0100, end: 0x01FF, name: 'Stack' },
+    { start: 0x0200, end: 0x03FF, name: 'OS and BASIC work area' },
+    { start: 0x0400, end: 0x07FF, name: 'Screen RAM' },
+    { start: 0x0800, end: 0x9FFF, name: 'BASIC program area' },
+    { start: 0xA000, end: 0xBFFF, name: 'BASIC ROM' },
+    { start: 0xC000, end: 0xCFFF, name: 'Upper RAM' },
+    { start: 0xD000, end: 0xD3FF, name: 'VIC-II registers' },
+    { start: 0xD400, end: 0xD7FF, name: 'SID registers' },
+    { start: 0xD800, end: 0xDBFF, name: 'Color RAM' },
+    { start: 0xDC00, end: 0xDCFF, name: 'CIA 1 registers' },
+    { start: 0xDD00, end: 0xDDFF, name: 'CIA 2 registers' },
+    { start: 0xDE00, end: 0xDEFF, name: 'I/O 1 (expansion port)' },
+    { start: 0xDF00, end: 0xDFFF, name: 'I/O 2 (expansion port)' },
+    { start: 0xE000, end: 0xFFFF, name: 'KERNAL ROM' }
+];
+
+/**
+ * Labeled addresses: [address, size in bytes, name, description]
+ */
+const C64_MEMORY_LABELS = [
+    // Zero page
+    [0x0000, 1, 'D6510', '6510 data direction register'],
+    [0x0001, 1, 'R6510', '6510 I/O port (memory configuration)'],
+    [0x0003, 2, 'ADRAY1', 'Vector: float to integer routine'],
+    [0x0005, 2, 'ADRAY2', 'Vector: integer to float routine'],
+    [0x000A, 1, 'VERCK', 'BASIC LOAD/VERIFY flag'],
+    [0x000D, 1, 'VALTYP', 'BASIC data type flag'],
+    [0x0013, 1, 'CHANNL', 'Current BASIC I/O channel'],
+    [0x0014, 2, 'LINNUM', 'BASIC integer line number'],
+    [0x002B, 2, 'TXTTAB', 'Pointer: start of BASIC program'],
+    [0x002D, 2, 'VARTAB', 'Pointer: start of BASIC variables'],
+    [0x002F, 2, 'ARYTAB', 'Pointer: start of BASIC arrays'],
+    [0x0031, 2, 'STREND', 'Pointer: end of BASIC arrays'],
+    [0x0033, 2, 'FRETOP', 'Pointer: bottom of string storage'],
+    [0x0037, 2, 'MEMSIZ', 'Pointer: top of BASIC memory'],
+    [0x0039, 2, 'CURLIN', 'Current BASIC line number'],
+    [0x0041, 2, 'DATPTR', 'Pointer: current DATA item'],
+    [0x0061, 6, 'FAC1', 'Floating point accumulator 1'],
+    [0x0069, 6, 'FAC2', 'Floating point accumulator 2'],
+    [0x0073, 24, 'CHRGET', 'Routine: get next BASIC text character'],
+    [0x007A, 2, 'TXTPTR', 'Pointer: current BASIC text byte'],
+    [0x0090, 1, 'STATUS', 'KERNAL I/O status (ST)'],
+    [0x0091, 1, 'STKEY', 'STOP key flag'],
+    [0x0098, 1, 'LDTND', 'Number of open files'],
+    [0x0099, 1, 'DFLTN', 'Default input device'],
+    [0x009A, 1, 'DFLTO', 'Default output device'],
+    [0x009D, 1, 'MSGFLG', 'KERNAL message control'],
+    [0x00A0, 3, 'TIME', 'Jiffy clock'],
+    [0x00AE, 2, 'EAL', 'Pointer: end address of LOAD/SAVE'],
+    [0x00B7, 1, 'FNLEN', 'File name length'],
+    [0x00B8, 1, 'LA', 'Current logical file number'],
+    [0x00B9, 1, 'SA', 'Current secondary address'],
+    [0x00BA, 1, 'FA', 'Current device number'],
+    [0x00BB, 2, 'FNADR', 'Pointer: file name'],
+    [0x00C1, 2, 'STAL', 'Pointer: start address of LOAD/SAVE'],
+    [0x00C5, 1, 'LSTX', 'Matrix code of the last key pressed'],
+    [0x00C6, 1, 'NDX', 'Number of characters in the keyboard buffer'],
+    [0x00C7, 1, 'RVS', 'Reverse character flag'],
+    [0x00CB, 1, 'SFDX', 'Matrix code of the current key'],
+    [0x00CC, 1, 'BLNSW', 'Cursor blink enable'],
+    [0x00D1, 2, 'PNT', 'Pointer: current screen line'],
+    [0x00D3, 1, 'PNTR', 'Cursor column'],
+    [0x00D4, 1, 'QTSW', 'Quote mode flag'],
+    [0x00D6, 1, 'TBLX', 'Cursor row'],
+    [0x00D8, 1, 'INSRT', 'Pending inserts'],
+    [0x00F3, 2, 'USER', 'Pointer: current color RAM line'],
+    [0x00FB, 4, 'FREEZP', 'Free zero page bytes'],
+
+    // OS and BASIC work area
+    [0x0200, 89, 'BUF', 'BASIC input buffer'],
+    [0x0277, 10, 'KEYD', 'Keyboard buffer'],
+    [0x0286, 1, 'COLOR', 'Current text color'],
+    [0x0288, 1, 'HIBASE', 'Screen memory page for the KERNAL'],
+    [0x0289, 1, 'XMAX', 'Keyboard buffer size'],
+    [0x028A, 1, 'RPTFLG', 'Key repeat flag'],
+    [0x028D, 1, 'SHFLAG', 'SHIFT/CTRL/C= key flags'],
+    [0x0291, 1, 'MODE', 'SHIFT+C= charset switch enable'],
+    [0x02A6, 1, 'PALNTS', 'PAL/NTSC flag'],
+
+    // BASIC vectors
+    [0x0300, 2, 'IERROR', 'Vector: BASIC error message'],
+    [0x0302, 2, 'IMAIN', 'Vector: BASIC warm start'],
+    [0x0304, 2, 'ICRNCH', 'Vector: tokenize BASIC text'],
+    [0x0306, 2, 'IQPLOP', 'Vector: list BASIC token'],
+    [0x0308, 2, 'IGONE', 'Vector: execute BASIC token'],
+    [0x030A, 2, 'IEVAL', 'Vector: evaluate BASIC expression'],
+    [0x030C, 1, 'SAREG', 'SYS storage: A register'],
+    [0x030D, 1, 'SXREG', 'SYS storage: X register'],
+    [0x030E, 1, 'SYREG', 'SYS storage: Y register'],
+    [0x030F, 1, 'SPREG', 'SYS storage: status register'],
+    [0x0311, 2, 'USRADD', 'USR function address'],
+
+    // KERNAL vectors
+    [0x0314, 2, 'CINV', 'Vector: IRQ handler'],
+    [0x0316, 2, 'CBINV', 'Vector: BRK handler'],
+    [0x0318, 2, 'NMINV', 'Vector: NMI handler'],
+    [0x031A, 2, 'IOPEN', 'Vector: KERNAL OPEN'],
+    [0x031C, 2, 'ICLOSE', 'Vector: KERNAL CLOSE'],
+    [0x031E, 2, 'ICHKIN', 'Vector: KERNAL CHKIN'],
+    [0x0320, 2, 'ICKOUT', 'Vector: KERNAL CHKOUT'],
+    [0x0322, 2, 'ICLRCH', 'Vector: KERNAL CLRCHN'],
+    [0x0324, 2, 'IBASIN', 'Vector: KERNAL CHRIN'],
+    [0x0326, 2, 'IBSOUT', 'Vector: KERNAL CHROUT'],
+    [0x0328, 2, 'ISTOP', 'Vector: KERNAL STOP'],
+    [0x032A, 2, 'IGETIN', 'Vector: KERNAL GETIN'],
+    [0x032C, 2, 'ICLALL', 'Vector: KERNAL CLALL'],
+    [0x032E, 2, 'USRCMD', 'Vector: user-defined command'],
+    [0x0330, 2, 'ILOAD', 'Vector: KERNAL LOAD'],
+    [0x0332, 2, 'ISAVE', 'Vector: KERNAL SAVE'],
+    [0x033C, 192, 'TBUFFR', 'Cassette buffer'],
+    [0x07F8, 8, 'SPRPTR', 'Sprite pointers (default screen)'],
+
+    // VIC-II
+    [0xD000, 1, 'VIC_SP0X', 'Sprite 0 X position'],
+    [0xD001, 1, 'VIC_SP0Y', 'Sprite 0 Y position'],
+    [0xD002, 1, 'VIC_SP1X', 'Sprite 1 X position'],
+    [0xD003, 1, 'VIC_SP1Y', 'Sprite 1 Y position'],
+    [0xD004, 1, 'VIC_SP2X', 'Sprite 2 X position'],
+    [0xD005, 1, 'VIC_SP2Y', 'Sprite 2 Y position'],
+    [0xD006, 1, 'VIC_SP3X', 'Sprite 3 X position'],
+    [0xD007, 1, 'VIC_SP3Y', 'Sprite 3 Y position'],
+    [0xD008, 1, 'VIC_SP4X', 'Sprite 4 X position'],
+    [0xD009, 1, 'VIC_SP4Y', 'Sprite 4 Y position'],
+    [0xD00A, 1, 'VIC_SP5X', 'Sprite 5 X position'],
+    [0xD00B, 1, 'VIC_SP5Y', 'Sprite 5 Y position'],
+    [0xD00C, 1, 'VIC_SP6X', 'Sprite 6 X position'],
+    [0xD00D, 1, 'VIC_SP6Y', 'Sprite 6 Y position'],
+    [0xD00E, 1, 'VIC_SP7X', 'Sprite 7 X position'],
+    [0xD00F, 1, 'VIC_SP7Y', 'Sprite 7 Y position'],
+    [0xD010, 1, 'VIC_MSIGX', 'Sprite X position bit 8'],
+    [0xD011, 1, 'VIC_CR1', 'Control register 1 (Y scroll, rows, mode, raster bit 8)'],
+    [0xD012, 1, 'VIC_RASTER', 'Raster line'],
+    [0xD013, 1, 'VIC_LPENX', 'Light pen X position'],
+    [0xD014, 1, 'VIC_LPENY', 'Light pen Y position'],
+    [0xD015, 1, 'VIC_SPENA', 'Sprite enable'],
+    [0xD016, 1, 'VIC_CR2', 'Control register 2 (X scroll, columns, multicolor)'],
+    [0xD017, 1, 'VIC_YXPAND', 'Sprite Y expansion'],
+    [0xD018, 1, 'VIC_VMCSB', 'Memory pointers (screen and charset)'],
+    [0xD019, 1, 'VIC_IRQ', 'Interrupt status'],
+    [0xD01A, 1, 'VIC_IRQMASK', 'Interrupt enable'],
+    [0xD01B, 1, 'VIC_SPBGPR', 'Sprite to background priority'],
+    [0xD01C, 1, 'VIC_SPMC', 'Sprite multicolor enable'],
+    [0xD01D, 1, 'VIC_XXPAND', 'Sprite X expansion'],
+    [0xD01E, 1, 'VIC_SPSPCL', 'Sprite to sprite collision'],
+    [0xD01F, 1, 'VIC_SPBGCL', 'Sprite to background collision'],
+    [0xD020, 1, 'VIC_BORDER', 'Border color'],
+    [0xD021, 1, 'VIC_BG0', 'Background color 0'],
+    [0xD022, 1, 'VIC_BG1', 'Background color 1'],
+    [0xD023, 1, 'VIC_BG2', 'Background color 2'],
+    [0xD024, 1, 'VIC_BG3', 'Background color 3'],
+    [0xD025, 1, 'VIC_SPMC0', 'Sprite multicolor 0'],
+    [0xD026, 1, 'VIC_SPMC1', 'Sprite multicolor 1'],
+    [0xD027, 1, 'VIC_SP0COL', 'Sprite 0 color'],
+    [0xD028, 1, 'VIC_SP1COL', 'Sprite 1 color'],
+    [0xD029, 1, 'VIC_SP2COL', 'Sprite 2 color'],
+    [0xD02A, 1, 'VIC_SP3COL', 'Sprite 3 color'],
+    [0xD02B, 1, 'VIC_SP4COL', 'Sprite 4 color'],
+    [0xD02C, 1, 'VIC_SP5COL', 'Sprite 5 color'],
+    [0xD02D, 1, 'VIC_SP6COL', 'Sprite 6 color'],
+    [0xD02E, 1, 'VIC_SP7COL', 'Sprite 7 color'],
+
+    // SID
+    [0xD400, 1, 'SID_FRELO1', 'Voice 1 frequency low'],
+    [0xD401, 1, 'SID_FREHI1', 'Voice 1 frequency high'],
+    [0xD402, 1, 'SID_PWLO1', 'Voice 1 pulse width low'],
+    [0xD403, 1, 'SID_PWHI1', 'Voice 1 pulse width high'],
+    [0xD404, 1, 'SID_VCREG1', 'Voice 1 control (waveform, gate)'],
+    [0xD405, 1, 'SID_ATDCY1', 'Voice 1 attack/decay'],
+    [0xD406, 1, 'SID_SUREL1', 'Voice 1 sustain/release'],
+    [0xD407, 1, 'SID_FRELO2', 'Voice 2 frequency low'],
+    [0xD408, 1, 'SID_FREHI2', 'Voice 2 frequency high'],
+    [0xD409, 1, 'SID_PWLO2', 'Voice 2 pulse width low'],
+    [0xD40A, 1, 'SID_PWHI2', 'Voice 2 pulse width high'],
+    [0xD40B, 1, 'SID_VCREG2', 'Voice 2 control (waveform, gate)'],
+    [0xD40C, 1, 'SID_ATDCY2', 'Voice 2 attack/decay'],
+    [0xD40D, 1, 'SID_SUREL2', 'Voice 2 sustain/release'],
+    [0xD40E, 1, 'SID_FRELO3', 'Voice 3 frequency low'],
+    [0xD40F, 1, 'SID_FREHI3', 'Voice 3 frequency high'],
+    [0xD410, 1, 'SID_PWLO3', 'Voice 3 pulse width low'],
+    [0xD411, 1, 'SID_PWHI3', 'Voice 3 pulse width high'],
+    [0xD412, 1, 'SID_VCREG3', 'Voice 3 control (waveform, gate)'],
+    [0xD413, 1, 'SID_ATDCY3', 'Voice 3 attack/decay'],
+    [0xD414, 1, 'SID_SUREL3', 'Voice 3 sustain/release'],
+    [0xD415, 1, 'SID_CUTLO', 'Filter cutoff frequency low (bits 0-2)'],
+    [0xD416, 1, 'SID_CUTHI', 'Filter cutoff frequency high'],
+    [0xD417, 1, 'SID_RESON', 'Filter resonance and routing'],
+    [0xD418, 1, 'SID_SIGVOL', 'Filter mode and volume'],
+    [0xD419, 1, 'SID_POTX', 'Paddle X'],
+    [0xD41A, 1, 'SID_POTY', 'Paddle Y'],
+    [0xD41B, 1, 'SID_RANDOM', 'Voice 3 oscillator output'],
+    [0xD41C, 1, 'SID_ENV3', 'Voice 3 envelope output'],
+
+    // CIA 1
+    [0xDC00, 1, 'CIA1_PRA', 'Port A (keyboard columns, joystick 2)'],
+    [0xDC01, 1, 'CIA1_PRB', 'Port B (keyboard rows, joystick 1)'],
+    [0xDC02, 1, 'CIA1_DDRA', 'Port A data direction'],
+    [0xDC03, 1, 'CIA1_DDRB', 'Port B data direction'],
+    [0xDC04, 1, 'CIA1_TALO', 'Timer A low'],
+    [0xDC05, 1, 'CIA1_TAHI', 'Timer A high'],
+    [0xDC06, 1, 'CIA1_TBLO', 'Timer B low'],
+    [0xDC07, 1, 'CIA1_TBHI', 'Timer B high'],
+    [0xDC08, 1, 'CIA1_TOD10TH', 'Time of day: tenths'],
+    [0xDC09, 1, 'CIA1_TODSEC', 'Time of day: seconds'],
+    [0xDC0A, 1, 'CIA1_TODMIN', 'Time of day: minutes'],
+    [0xDC0B, 1, 'CIA1_TODHRS', 'Time of day: hours'],
+    [0xDC0C, 1, 'CIA1_SDR', 'Serial data register'],
+    [0xDC0D, 1, 'CIA1_ICR', 'Interrupt control (IRQ)'],
+    [0xDC0E, 1, 'CIA1_CRA', 'Timer A control'],
+    [0xDC0F, 1, 'CIA1_CRB', 'Timer B control'],
+
+    // CIA 2
+    [0xDD00, 1, 'CIA2_PRA', 'Port A (VIC bank, serial bus)'],
+    [0xDD01, 1, 'CIA2_PRB', 'Port B (user port)'],
+    [0xDD02, 1, 'CIA2_DDRA', 'Port A data direction'],
+    [0xDD03, 1, 'CIA2_DDRB', 'Port B data direction'],
+    [0xDD04, 1, 'CIA2_TALO', 'Timer A low'],
+    [0xDD05, 1, 'CIA2_TAHI', 'Timer A high'],
+    [0xDD06, 1, 'CIA2_TBLO', 'Timer B low'],
+    [0xDD07, 1, 'CIA2_TBHI', 'Timer B high'],
+    [0xDD08, 1, 'CIA2_TOD10TH', 'Time of day: tenths'],
+    [0xDD09, 1, 'CIA2_TODSEC', 'Time of day: seconds'],
+    [0xDD0A, 1, 'CIA2_TODMIN', 'Time of day: minutes'],
+    [0xDD0B, 1, 'CIA2_TODHRS', 'Time of day: hours'],
+    [0xDD0C, 1, 'CIA2_SDR', 'Serial data register'],
+    [0xDD0D, 1, 'CIA2_ICR', 'Interrupt control (NMI)'],
+    [0xDD0E, 1, 'CIA2_CRA', 'Timer A control'],
+    [0xDD0F, 1, 'CIA2_CRB', 'Timer B control'],
+
+    // BASIC ROM
+    [0xA000, 2, 'BASIC_COLD', 'Vector: BASIC cold start'],
+    [0xA002, 2, 'BASIC_WARM', 'Vector: BASIC warm start'],
+    [0xA474, 1, 'READY', 'Print READY. and enter the BASIC main loop'],
+    [0xAB1E, 1, 'STROUT', 'Print the zero-terminated string at A/Y'],
+    [0xB7F7, 1, 'GETADR', 'Convert FAC1 to a 16-bit address'],
+    [0xBDCD, 1, 'LINPRT', 'Print the unsigned integer in X/A'],
+
+    // KERNAL ROM
+    [0xE394, 1, 'BASIC_INIT', 'BASIC cold start'],
+    [0xE544, 1, 'CLSR', 'Clear the screen'],
+    [0xE566, 1, 'HOME', 'Move the cursor home'],
+    [0xEA31, 1, 'KERNAL_IRQ', 'Default IRQ handler'],
+    [0xEA81, 1, 'KERNAL_IRQ_EXIT', 'Restore registers and return from IRQ'],
+    [0xFCE2, 1, 'KERNAL_RESET', 'Reset routine'],
+    [0xFE47, 1, 'KERNAL_NMI', 'Default NMI handler'],
+
+    // KERNAL jump table
+    [0xFF81, 3, 'CINT', 'Initialize the screen editor and VIC-II'],
+    [0xFF84, 3, 'IOINIT', 'Initialize I/O devices'],
+    [0xFF87, 3, 'RAMTAS', 'Test and initialize RAM'],
+    [0xFF8A, 3, 'RESTOR', 'Restore the default I/O vectors'],
+    [0xFF8D, 3, 'VECTOR', 'Read or set the I/O vectors'],
+    [0xFF90, 3, 'SETMSG', 'Control KERNAL messages'],
+    [0xFF93, 3, 'SECOND', 'Send secondary address after LISTEN'],
+    [0xFF96, 3, 'TKSA', 'Send secondary address after TALK'],
+    [0xFF99, 3, 'MEMTOP', 'Read or set the top of memory'],
+    [0xFF9C, 3, 'MEMBOT', 'Read or set the bottom of memory'],
+    [0xFF9F, 3, 'SCNKEY', 'Scan the keyboard'],
+    [0xFFA2, 3, 'SETTMO', 'Set the IEEE bus timeout'],
+    [0xFFA5, 3, 'ACPTR', 'Read a byte from the serial bus'],
+    [0xFFA8, 3, 'CIOUT', 'Send a byte to the serial bus'],
+    [0xFFAB, 3, 'UNTLK', 'Send UNTALK'],
+    [0xFFAE, 3, 'UNLSN', 'Send UNLISTEN'],
+    [0xFFB1, 3, 'LISTEN', 'Send LISTEN'],
+    [0xFFB4, 3, 'TALK', 'Send TALK'],
+    [0xFFB7, 3, 'READST', 'Read the I/O status'],
+    [0xFFBA, 3, 'SETLFS', 'Set logical file, device and secondary address'],
+    [0xFFBD, 3, 'SETNAM', 'Set the file name'],
+    [0xFFC0, 3, 'OPEN', 'Open a logical file'],
+    [0xFFC3, 3, 'CLOSE', 'Close a logical file'],
+    [0xFFC6, 3, 'CHKIN', 'Set the input channel'],
+    [0xFFC9, 3, 'CHKOUT', 'Set the output channel'],
+    [0xFFCC, 3, 'CLRCHN', 'Restore the default channels'],
+    [0xFFCF, 3, 'CHRIN', 'Read a character from the input channel'],
+    [0xFFD2, 3, 'CHROUT', 'Write a character to the output channel'],
+    [0xFFD5, 3, 'LOAD', 'Load or verify a file'],
+    [0xFFD8, 3, 'SAVE', 'Save a file'],
+    [0xFFDB, 3, 'SETTIM', 'Set the jiffy clock'],
+    [0xFFDE, 3, 'RDTIM', 'Read the jiffy clock'],
+    [0xFFE1, 3, 'STOP', 'Check the STOP key'],
+    [0xFFE4, 3, 'GETIN', 'Get a character from the keyboard buffer'],
+    [0xFFE7, 3, 'CLALL', 'Close all files'],
+    [0xFFEA, 3, 'UDTIM', 'Update the jiffy clock'],
+    [0xFFED, 3, 'SCREEN', 'Return the screen size'],
+    [0xFFF0, 3, 'PLOT', 'Read or set the cursor position'],
+    [0xFFF3, 3, 'IOBASE', 'Return the I/O base address'],
+
+    // Hardware vectors
+    [0xFFFA, 2, 'NMI_VECTOR', 'Hardware vector: NMI'],
+    [0xFFFC, 2, 'RESET_VECTOR', 'Hardware vector: RESET'],
+    [0xFFFE, 2, 'IRQ_VECTOR', 'Hardware vector: IRQ/BRK']
+];
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+let c64MemoryMapState = {
+    labelMap: null           // Map address -> label covering it (built on first use)
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Get the label map, building it on first use.
+ * Smaller labels win over larger ones they overlap (TXTPTR inside CHRGET).
+ * @returns {Map<number, Object>} Map address -> { address, size, name, description }
+ */
+function c64MemoryMapGetLabelMap() {
+    if (c64MemoryMapState.labelMap) return c64MemoryMapState.labelMap;
+
+    const map = new Map();
+    const labels = C64_MEMORY_LABELS
+        .map(([address, size, name, description]) => ({ address, size, name, description }))
+        .sort((a, b) => b.size - a.size);
+
+    labels.forEach(label => {
+        for (let i = 0; i < label.size; i++) {
+            map.set(label.address + i, label);
+        }
+    });
+
+    c64MemoryMapState.labelMap = map;
+    return map;
+}
+
+/**
+ * Get the memory region of an address
+ * @param {number} address - Address
+ * @returns {Object} Region: { start, end, name }
+ */
+function c64MemoryMapGetRegion(address) {
+    return C64_MEMORY_REGIONS.find(r => address >= r.start && address <= r.end);
+}
+
+/**
+ * Get the names of the regions spanned by an address range
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ * @returns {string} e.g. "Zero page / Stack"
+ */
+function c64MemoryMapGetRegionNames(start, end) {
+    return C64_MEMORY_REGIONS
+        .filter(r => r.start <= end && r.end >= start)
+        .map(r => r.name)
+        .join(' / ');
+}
+
+/**
+ * Get the label covering an address
+ * @param {number} address - Address
+ * @returns {Object|null} Label: { address, size, name, description }, or null
+ */
+function c64MemoryMapGetLabel(address) {
+    return c64MemoryMapGetLabelMap().get(address) || null;
+}
+
+/**
+ * Get the address of a label name
+ * @param {string} name - Label name, e.g. "VIC_BORDER" (case-insensitive)
+ * @returns {number|null} Address, or null if there is no such label
+ */
+function c64MemoryMapGetAddress(name) {
+    const upper = name.toUpperCase();
+    const label = C64_MEMORY_LABELS.find(l => l[2] === upper);
+    return label ? label[0] : null;
+}
+
+/**
+ * Get the symbolic name of an address
+ * @param {number} address - Address
+ * @returns {string|null} e.g. "VIC_BORDER" or "CINV+1", or null if not labeled
+ */
+function c64MemoryMapGetSymbol(address) {
+    const label = c64MemoryMapGetLabel(address);
+    if (!label) return null;
+
+    const offset = address - label.address;
+    return offset === 0 ? label.name : `${label.name}+${offset}`;
+}
+
+/**
+ * Describe an address for tooltips
+ * @param {number} address - Address
+ * @returns {string} e.g. "$D020 VIC_BORDER: Border color" or "$C000: Upper RAM"
+ */
+function c64MemoryMapDescribe(address) {
+    const label = c64MemoryMapGetLabel(address);
+    const hex = `$${formatHexWord(address)}`;
+
+    if (label) {
+        return `${hex} ${c64MemoryMapGetSymbol(address)}: ${label.description}`;
+    }
+    return `${hex}: ${c64MemoryMapGetRegion(address).name}`;
+}
+
+/**
+ * Replace the address operand of a disassembled instruction with its name.
+ * Immediate operands are not changed.
+ * @param {string} assembly - e.g. "STA $D020" or "JMP ($0314)"
+ * @param {function} lookup - Optional lookup(address) returning a name or null
+ *   (default: c64MemoryMapGetSymbol)
+ * @returns {string} e.g. "STA VIC_BORDER" or "JMP (CINV)"
+ */
+function c64MemoryMapSymbolize(assembly, lookup) {
+    lookup = lookup || c64MemoryMapGetSymbol;
+
+    return assembly.replace(/(^|[^#])\$([0-9A-Fa-f]{4}|[0-9A-Fa-f]{2})(?![0-9A-Fa-f])/, (match, prefix, hex) => {
+        const symbol = lookup(parseInt(hex, 16));
+        return symbol ? prefix + symbol : match;
+    });
+}
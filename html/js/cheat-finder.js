@@ -0,0 +1,398 @@
+/**
+ * cheat-finder.js
+ * Cheat Finder Component
+ *
+ * Iterative value search in C64 memory. A new scan reads all RAM and keeps
+ * every address as a candidate (or only those equal to a known value).
+ * Each following scan reads memory again and keeps the candidates whose
+ * value matches a condition (equal to, increased, decreased, unchanged...),
+ * until only the address of the wanted value (lives, energy, score) remains.
+ * Found values can be frozen by adding them to the trainer (trainer.js).
+ *
+ * Values can be 8-bit, 16-bit (little endian) or BCD (packed decimal, as
+ * used by many games for scores; 16-bit BCD stores the low digits first).
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.1
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const CHEAT_FINDER_MAX_ROWS = 200;           // Candidate rows rendered in the list
+
+/**
+ * Value types: size in bytes, maximum value, and decode(data, address)
+ * returning the value or null if the bytes are not a valid value.
+ */
+const CHEAT_FINDER_TYPES = {
+    byte:  { label: '8-bit',      size: 1, max: 0xFF,   decode: (d, a) => d[a] },
+    word:  { label: '16-bit',     size: 2, max: 0xFFFF, decode: (d, a) => d[a] | (d[a + 1] << 8) },
+    bcd:   { label: 'BCD 8-bit',  size: 1, max: 99,     decode: (d, a) => cheatFinderDecodeBcd(d[a]) },
+    bcd16: { label: 'BCD 16-bit', size: 2, max: 9999,   decode: (d, a) => cheatFinderDecodeBcd16(d[a], d[a + 1]) }
+};
+
+/**
+ * Scan conditions: test(oldValue, newValue, value) returns true to keep a
+ * candidate. Conditions with usesPrevious need a previous scan.
+ */
+const CHEAT_FINDER_CONDITIONS = {
+    any:         { label: 'Any value',     needsValue: false, usesPrevious: false, test: () => true },
+    equal:       { label: 'Equal to',      needsValue: true,  usesPrevious: false, test: (o, n, v) => n === v },
+    notEqual:    { label: 'Not equal to',  needsValue: true,  usesPrevious: false, test: (o, n, v) => n !== v },
+    unchanged:   { label: 'Unchanged',     needsValue: false, usesPrevious: true,  test: (o, n) => n === o },
+    changed:     { label: 'Changed',       needsValue: false, usesPrevious: true,  test: (o, n) => n !== o },
+    increased:   { label: 'Increased',     needsValue: false, usesPrevious: true,  test: (o, n) => n > o },
+    decreased:   { label: 'Decreased',     needsValue: false, usesPrevious: true,  test: (o, n) => n < o },
+    increasedBy: { label: 'Increased by',  needsValue: true,  usesPrevious: true,  test: (o, n, v) => n - o === v },
+    decreasedBy: { label: 'Decreased by',  needsValue: true,  usesPrevious: true,  test: (o, n, v) => o - n === v }
+};
+
+let cheatFinderState = {
+    container: null,
+    type: 'byte',
+    includeIo: false,
+    candidates: null,        // Array of candidate addresses (null if no search started)
+    previousData: null,      // Uint8Array - memory of the scan before the last one
+    currentData: null,       // Uint8Array - memory of the last scan
+    scanCount: 0,
+    busy: false              // Scan in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the cheat finder
+ * @param {jQuery} container - Container element for the candidate list
+ */
+function cheatFinderInit(container) {
+    cheatFinderState.container = container;
+    cheatFinderRender();
+
+    console.log('CheatFinder: Initialized');
+}
+
+// ============================================================================
+// VALUE ENCODING
+// ============================================================================
+
+/**
+ * Decode a packed BCD byte
+ * @param {number} byte - Byte value
+ * @returns {number|null} Value 0-99, or null if not valid BCD
+ */
+function cheatFinderDecodeBcd(byte) {
+    const high = byte >> 4;
+    const low = byte & 0x0F;
+    if (high > 9 || low > 9) return null;
+    return high * 10 + low;
+}
+
+/**
+ * Decode a 16-bit packed BCD value (low digits first)
+ * @param {number} lowByte - Byte with the two lower digits
+ * @param {number} highByte - Byte with the two upper digits
+ * @returns {number|null} Value 0-9999, or null if not valid BCD
+ */
+function cheatFinderDecodeBcd16(lowByte, highByte) {
+    const low = cheatFinderDecodeBcd(lowByte);
+    const high = cheatFinderDecodeBcd(highByte);
+    if (low === null || high === null) return null;
+    return high * 100 + low;
+}
+
+/**
+ * Encode a value into the bytes of a value type
+ * @param {string} type - Value type (key of CHEAT_FINDER_TYPES)
+ * @param {number} value - Value
+ * @returns {Array<number>} Bytes, in memory order
+ */
+function cheatFinderEncodeValue(type, value) {
+    const toBcd = (v) => (Math.floor(v / 10) << 4) | (v % 10);
+
+    switch (type) {
+        case 'word':  return [value & 0xFF, (value >> 8) & 0xFF];
+        case 'bcd':   return [toBcd(value)];
+        case 'bcd16': return [toBcd(value % 100), toBcd(Math.floor(value / 100))];
+        default:      return [value & 0xFF];
+    }
+}
+
+/**
+ * Parse a value for a value type: decimal ("100") or hex with $ prefix ("$64").
+ * BCD values are entered as the decimal number shown by the game.
+ * @param {string} text - Value text
+ * @param {string} type - Value type (key of CHEAT_FINDER_TYPES)
+ * @returns {number|null} Value, or null if invalid
+ */
+function cheatFinderParseValue(text, type) {
+    text = text.trim();
+
+    let value;
+    if (/^\$[0-9A-Fa-f]{1,4}$/.test(text)) {
+        value = parseInt(text.substring(1), 16);
+    } else if (/^[0-9]{1,5}$/.test(text)) {
+        value = parseInt(text, 10);
+    } else {
+        return null;
+    }
+
+    return value <= CHEAT_FINDER_TYPES[type].max ? value : null;
+}
+
+/**
+ * Format a value for display
+ * @param {string} type - Value type
+ * @param {number} value - Value
+ * @returns {string} e.g. "100 ($0064)"
+ */
+function cheatFinderFormatValue(type, value) {
+    if (type === 'byte') return `${value} ($${formatHexByte(value)})`;
+    if (type === 'word') return `${value} ($${formatHexWord(value)})`;
+    return String(value);
+}
+
+// ============================================================================
+// SCANNING
+// ============================================================================
+
+/**
+ * Read memory for a scan, pausing the machine during the read if requested
+ * so that all values come from the same moment.
+ * @param {Array<Object>} ranges - Ranges to read: { address, length }
+ * @param {Object} options - { pause, onProgress(done, total) }
+ * @returns {Promise<Uint8Array>} Promise resolving with a 64K memory image
+ */
+async function cheatFinderReadAsync(ranges, options) {
+    const data = new Uint8Array(0x10000);
+    const total = ranges.reduce((sum, r) => sum + r.length, 0);
+    let done = 0;
+    let paused = false;
+
+    try {
+        if (options.pause) {
+            await machinePauseAsync();
+            paused = true;
+        }
+
+        for (const range of ranges) {
+            const bytes = await readMemoryRangeAsync(range.address, range.length, {
+                onProgress: (rangeDone) => {
+                    if (options.onProgress) options.onProgress(done + rangeDone, total);
+                }
+            });
+            data.set(bytes, range.address);
+            done += range.length;
+        }
+    } finally {
+        if (paused) {
+            await machineResumeAsync().catch(() => {});
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Check the condition and value of a scan
+ * @param {Object} options - { condition, value }
+ * @param {string} type - Value type of the search
+ * @param {boolean} firstScan - True for a new scan
+ */
+function cheatFinderValidateScan(options, type, firstScan) {
+    const condition = CHEAT_FINDER_CONDITIONS[options.condition];
+
+    if (firstScan && condition.usesPrevious) {
+        throw new Error(`"${condition.label}" needs a previous scan. Start with "Any value" or "Equal to".`);
+    }
+    if (condition.needsValue && options.value === null) {
+        throw new Error(`Enter a valid ${CHEAT_FINDER_TYPES[type].label} value`);
+    }
+}
+
+/**
+ * Start a new search: read all RAM and collect the candidates
+ * @param {Object} options - { type, includeIo, pause, condition, value, onProgress(done, total) }
+ * @returns {Promise<number>} Promise resolving with the number of candidates
+ */
+async function cheatFinderStartAsync(options) {
+    if (cheatFinderState.busy) {
+        throw new Error('A scan is already in progress');
+    }
+
+    cheatFinderValidateScan(options, options.type, true);
+    cheatFinderState.busy = true;
+
+    try {
+        const type = CHEAT_FINDER_TYPES[options.type];
+        const test = CHEAT_FINDER_CONDITIONS[options.condition].test;
+        const ranges = memCompareGetReadRanges(0x0000, 0xFFFF, options.includeIo);
+        const data = await cheatFinderReadAsync(ranges, options);
+        const candidates = [];
+
+        // Values must lie completely inside a read range
+        ranges.forEach(range => {
+            const last = range.address + range.length - type.size;
+            for (let address = range.address; address <= last; address++) {
+                const value = type.decode(data, address);
+                if (value !== null && test(null, value, options.value)) {
+                    candidates.push(address);
+                }
+            }
+        });
+
+        cheatFinderState.type = options.type;
+        cheatFinderState.includeIo = !!options.includeIo;
+        cheatFinderState.candidates = candidates;
+        cheatFinderState.previousData = null;
+        cheatFinderState.currentData = data;
+        cheatFinderState.scanCount = 1;
+
+        cheatFinderRender();
+        return candidates.length;
+    } finally {
+        cheatFinderState.busy = false;
+    }
+}
+
+/**
+ * Narrow the candidates with a new scan
+ * @param {Object} options - { pause, condition, value, onProgress(done, total) }
+ * @returns {Promise<number>} Promise resolving with the number of remaining candidates
+ */
+async function cheatFinderNextAsync(options) {
+    if (cheatFinderState.busy) {
+        throw new Error('A scan is already in progress');
+    }
+    if (!cheatFinderState.candidates) {
+        throw new Error('Start a new scan first');
+    }
+
+    cheatFinderValidateScan(options, cheatFinderState.type, false);
+    cheatFinderState.busy = true;
+
+    try {
+        const type = CHEAT_FINDER_TYPES[cheatFinderState.type];
+        const test = CHEAT_FINDER_CONDITIONS[options.condition].test;
+        const candidates = cheatFinderState.candidates;
+        const oldData = cheatFinderState.currentData;
+
+        // Only read the span holding the remaining candidates
+        let data = new Uint8Array(0x10000);
+        if (candidates.length > 0) {
+            const start = candidates[0];
+            const end = candidates[candidates.length - 1] + type.size - 1;
+            data = await cheatFinderReadAsync(memCompareGetReadRanges(start, end, cheatFinderState.includeIo), options);
+        }
+
+        cheatFinderState.candidates = candidates.filter(address => {
+            const newValue = type.decode(data, address);
+            return newValue !== null && test(type.decode(oldData, address), newValue, options.value);
+        });
+        cheatFinderState.previousData = oldData;
+        cheatFinderState.currentData = data;
+        cheatFinderState.scanCount++;
+
+        cheatFinderRender();
+        return cheatFinderState.candidates.length;
+    } finally {
+        cheatFinderState.busy = false;
+    }
+}
+
+/**
+ * Discard the current search
+ */
+function cheatFinderReset() {
+    cheatFinderState.candidates = null;
+    cheatFinderState.previousData = null;
+    cheatFinderState.currentData = null;
+    cheatFinderState.scanCount = 0;
+    cheatFinderRender();
+}
+
+/**
+ * Get the value of a candidate in the last scan
+ * @param {number} address - Candidate address
+ * @returns {number|null} Value, or null if there is no scan
+ */
+function cheatFinderGetValue(address) {
+    if (!cheatFinderState.currentData) return null;
+    return CHEAT_FINDER_TYPES[cheatFinderState.type].decode(cheatFinderState.currentData, address);
+}
+
+// ============================================================================
+// FREEZE
+// ============================================================================
+
+/**
+ * Freeze a value by adding it to the trainer
+ * @param {number} address - Address of the value
+ * @param {number} value - Value to keep (of the current search type)
+ * @returns {Object} The trainer poke
+ */
+function cheatFinderFreeze(address, value) {
+    const type = cheatFinderState.type;
+
+    return trainerAddPoke({
+        address: address,
+        bytes: cheatFinderEncodeValue(type, value),
+        description: `Cheat Finder: ${CHEAT_FINDER_TYPES[type].label} = ${value}`
+    });
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the candidate list
+ */
+function cheatFinderRender() {
+    const container = cheatFinderState.container;
+    if (!container) return;
+
+    const candidates = cheatFinderState.candidates;
+
+    if (!candidates) {
+        container.html('<div class="cheat-empty">Start a new scan to search for a value.</div>');
+        return;
+    }
+    if (candidates.length === 0) {
+        container.html('<div class="cheat-empty">No candidates left. Start a new scan.</div>');
+        return;
+    }
+    if (candidates.length > CHEAT_FINDER_MAX_ROWS) {
+        container.html(`<div class="cheat-empty">${candidates.length} candidates. Narrow the search with more scans to list them.</div>`);
+        return;
+    }
+
+    const type = CHEAT_FINDER_TYPES[cheatFinderState.type];
+    const html = ['<table class="cheat-table">'];
+    html.push('<tr><th>Address</th><th>Value</th><th>Previous</th><th></th></tr>');
+
+    candidates.forEach(address => {
+        const value = type.decode(cheatFinderState.currentData, address);
+        const previous = cheatFinderState.previousData ? type.decode(cheatFinderState.previousData, address) : null;
+
+        html.push(
+            `<tr data-address="${address}">` +
+            `<td>$${formatHexWord(address)}</td>` +
+            `<td>${cheatFinderFormatValue(cheatFinderState.type, value)}</td>` +
+            `<td>${previous !== null ? cheatFinderFormatValue(cheatFinderState.type, previous) : '-'}</td>` +
+            '<td class="cheat-actions">' +
+            '<button class="btn-primary" data-action="view">View</button>' +
+            '<button class="btn-warning" data-action="freeze" title="Add to the Trainer">Freeze</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
+
@@ -22,6 +22,9 @@ window.initializeApp = function() {
         reloadInterface();
     });
 
+    // Reload configuration when the device comes back after a disconnect
+    onApiReconnect(reloadInterface);
+
     console.log('=== Initialization Complete ===');
 };
 
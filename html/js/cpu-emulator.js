@@ -0,0 +1,511 @@
+/**
+ * cpu-emulator.js
+ * CPU Emulator Component
+ *
+ * Simulates code on a copy of the C64 memory, since the REST API can't
+ * single-step the real CPU. A 64K image is loaded from the live memory or
+ * from a snapshot (see snapshot-manager.js) and run with the 6502 core of
+ * cpu6502.js: step, run to an address, run a number of cycles, or run until
+ * a breakpoint or Stop.
+ *
+ * The component shows the registers and flags (editable), the next
+ * instructions, the breakpoints and a log of the memory changes. The bytes
+ * changed by the emulation can be written back to the C64 through the write
+ * journal (see write-journal.js), so the write can be reverted. The 6510
+ * port ($0000-$0001) and the I/O area ($D000-$DFFF) are not written back:
+ * the I/O chips are not emulated.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const CPU_EMULATOR_MAX_LOG = 500;           // Memory changes kept in the log
+const CPU_EMULATOR_SLICE_CYCLES = 100000;   // Cycles run before yielding to the browser
+const CPU_EMULATOR_CODE_LINES = 8;          // Instructions shown from PC
+
+/**
+ * Registers that can be edited, with their maximum values
+ */
+const CPU_EMULATOR_REGISTERS = {
+    pc: { label: 'PC', max: 0xFFFF },
+    a:  { label: 'A', max: 0xFF },
+    x:  { label: 'X', max: 0xFF },
+    y:  { label: 'Y', max: 0xFF },
+    sp: { label: 'SP', max: 0xFF },
+    p:  { label: 'P', max: 0xFF }
+};
+
+let cpuEmulatorState = {
+    container: null,
+    cpu: null,               // CPU with the loaded image (null if not loaded)
+    original: null,          // Image as loaded or last written back
+    source: null,            // Label of the loaded image
+    breakpoints: new Set(),
+    log: [],                 // Newest last: { cycle, pc, address, oldValue, newValue }
+    logCount: 0,             // Changes since the load, including those dropped from the log
+    running: false,
+    stopRequested: false,
+    busy: false              // Load or write back in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the emulator
+ * @param {jQuery} container - Container element for the emulator display
+ */
+function cpuEmulatorInit(container) {
+    cpuEmulatorState.container = container;
+    cpuEmulatorRender();
+
+    console.log('CpuEmulator: Initialized');
+}
+
+// ============================================================================
+// MEMORY IMAGE
+// ============================================================================
+
+/**
+ * Get the memory images that can be loaded.
+ * Source ids: 'live' and 'snapshot:<id>'.
+ * @returns {Array<{id: string, label: string}>} Sources
+ */
+function cpuEmulatorGetSources() {
+    const sources = [{ id: 'live', label: 'Live memory' }];
+
+    snapshotManagerGetAll().forEach(snapshot => {
+        sources.push({ id: `snapshot:${snapshot.id}`, label: snapshot.name });
+    });
+
+    return sources;
+}
+
+/**
+ * Load a memory image. The registers are kept; cycles and log restart.
+ * @param {Object} options - { source, includeIo, onProgress(done, total) }
+ *   includeIo: read $D000-$DFFF from live memory (touches the I/O chips)
+ * @returns {Promise<void>} Promise resolving when the image is loaded
+ */
+async function cpuEmulatorLoadAsync(options) {
+    if (cpuEmulatorState.busy || cpuEmulatorState.running) {
+        throw new Error('The emulator is busy');
+    }
+
+    cpuEmulatorState.busy = true;
+
+    try {
+        let image;
+        let label;
+
+        if (options.source === 'live') {
+            image = new Uint8Array(SNAPSHOT_SIZE);
+            const ranges = snapshotManagerGetRanges(options.includeIo, false);
+            const total = ranges.reduce((sum, r) => sum + r.length, 0);
+            let done = 0;
+
+            for (const range of ranges) {
+                const bytes = await readMemoryRangeAsync(range.address, range.length, {
+                    priority: API_PRIORITY.USER,
+                    onProgress: (rangeDone) => {
+                        if (options.onProgress) options.onProgress(done + rangeDone, total);
+                    }
+                });
+                image.set(bytes, range.address);
+                done += range.length;
+            }
+            label = `Live memory (${new Date().toLocaleTimeString()})`;
+        } else {
+            const snapshot = snapshotManagerGet(parseInt(String(options.source).replace('snapshot:', '')));
+            if (!snapshot) {
+                throw new Error('The snapshot is no longer available');
+            }
+            image = new Uint8Array(snapshot.data);
+            label = snapshot.name;
+        }
+
+        const previous = cpuEmulatorState.cpu;
+        const cpu = cpu6502Create(image);
+        if (previous) {
+            Object.keys(CPU_EMULATOR_REGISTERS).forEach(name => { cpu[name] = previous[name]; });
+        }
+        cpu.onWrite = cpuEmulatorLogWrite;
+
+        cpuEmulatorState.cpu = cpu;
+        cpuEmulatorState.original = new Uint8Array(image);
+        cpuEmulatorState.source = label;
+        cpuEmulatorState.log = [];
+        cpuEmulatorState.logCount = 0;
+
+        console.log(`CpuEmulator: Loaded ${label}`);
+        cpuEmulatorRender();
+    } finally {
+        cpuEmulatorState.busy = false;
+    }
+}
+
+/**
+ * Check if a memory image is loaded
+ * @returns {boolean} True if loaded
+ */
+function cpuEmulatorIsLoaded() {
+    return cpuEmulatorState.cpu !== null;
+}
+
+/**
+ * Get the ranges changed by the emulation that can be written back
+ * (not $0000-$0001 or the I/O area)
+ * @returns {Array<Object>} Blocks: { address, data }
+ */
+function cpuEmulatorGetChanges() {
+    const cpu = cpuEmulatorState.cpu;
+    const original = cpuEmulatorState.original;
+    const blocks = [];
+    if (!cpu) return blocks;
+
+    const ioEnd = SNAPSHOT_IO_START + SNAPSHOT_IO_SIZE;
+    let start = -1;
+
+    for (let address = 0x0002; address <= SNAPSHOT_SIZE; address++) {
+        const changed = address < SNAPSHOT_SIZE &&
+            (address < SNAPSHOT_IO_START || address >= ioEnd) &&
+            cpu.memory[address] !== original[address];
+
+        if (changed && start < 0) {
+            start = address;
+        } else if (!changed && start >= 0) {
+            blocks.push({ address: start, data: cpu.memory.slice(start, address) });
+            start = -1;
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Write the bytes changed by the emulation to C64 memory (journaled)
+ * @param {Object} options - Optional: { verify, onProgress(done, total) }
+ * @returns {Promise<number>} Promise resolving with the number of bytes written
+ */
+async function cpuEmulatorWriteBackAsync(options) {
+    if (cpuEmulatorState.busy || cpuEmulatorState.running) {
+        throw new Error('The emulator is busy');
+    }
+
+    const blocks = cpuEmulatorGetChanges();
+    const total = blocks.reduce((sum, b) => sum + b.data.length, 0);
+    if (total === 0) return 0;
+
+    cpuEmulatorState.busy = true;
+
+    try {
+        await writeJournalWriteAsync(blocks, `Emulator: ${total} bytes changed`, options);
+
+        // The next write back only writes the new changes
+        blocks.forEach(block => cpuEmulatorState.original.set(block.data, block.address));
+        return total;
+    } finally {
+        cpuEmulatorState.busy = false;
+    }
+}
+
+// ============================================================================
+// REGISTERS AND BREAKPOINTS
+// ============================================================================
+
+/**
+ * Set a register
+ * @param {string} name - Register name (see CPU_EMULATOR_REGISTERS)
+ * @param {number} value - Value
+ */
+function cpuEmulatorSetRegister(name, value) {
+    const register = CPU_EMULATOR_REGISTERS[name];
+    if (!register) {
+        throw new Error(`Unknown register: ${name}`);
+    }
+    if (!cpuEmulatorState.cpu) {
+        throw new Error('Load a memory image first');
+    }
+
+    const cpu = cpuEmulatorState.cpu;
+    cpu[name] = value & register.max;
+    if (name === 'p') {
+        cpu.p |= CPU6502_FLAGS.U;
+    }
+    if (name === 'pc') {
+        cpu.jammed = false;
+    }
+    cpuEmulatorRender();
+}
+
+/**
+ * Set or clear a status flag
+ * @param {string} flag - Flag name (see CPU6502_FLAGS)
+ * @param {boolean} set - True to set
+ */
+function cpuEmulatorSetFlag(flag, set) {
+    if (!cpuEmulatorState.cpu) return;
+
+    cpu6502SetFlag(cpuEmulatorState.cpu, CPU6502_FLAGS[flag], set);
+    cpuEmulatorRender();
+}
+
+/**
+ * Add or remove a breakpoint
+ * @param {number} address - Address
+ */
+function cpuEmulatorToggleBreakpoint(address) {
+    if (cpuEmulatorState.breakpoints.has(address)) {
+        cpuEmulatorState.breakpoints.delete(address);
+    } else {
+        cpuEmulatorState.breakpoints.add(address);
+    }
+    cpuEmulatorRender();
+}
+
+/**
+ * Get the breakpoints sorted by address
+ * @returns {Array<number>} Addresses
+ */
+function cpuEmulatorGetBreakpoints() {
+    return Array.from(cpuEmulatorState.breakpoints).sort((a, b) => a - b);
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Execute one instruction
+ * @returns {number} Cycles taken
+ */
+function cpuEmulatorStep() {
+    const cpu = cpuEmulatorState.cpu;
+    if (!cpu) {
+        throw new Error('Load a memory image first');
+    }
+    if (cpuEmulatorState.running) return 0;
+
+    const cycles = cpu6502Step(cpu);
+    cpuEmulatorRender();
+    return cycles;
+}
+
+/**
+ * Run until a breakpoint, an address, a number of cycles, a JAM or Stop.
+ * The instruction at PC is executed even if it has a breakpoint, so a run
+ * can continue from a breakpoint. The run yields to the browser every
+ * CPU_EMULATOR_SLICE_CYCLES cycles.
+ * @param {Object} options - Optional: { until (address), cycles, onSlice(cycles) }
+ * @returns {Promise<Object>} Promise resolving with { reason, cycles }.
+ *   reason: 'breakpoint', 'address', 'cycles', 'jam' or 'stopped'
+ */
+async function cpuEmulatorRunAsync(options) {
+    options = options || {};
+
+    const cpu = cpuEmulatorState.cpu;
+    if (!cpu) {
+        throw new Error('Load a memory image first');
+    }
+    if (cpuEmulatorState.running || cpuEmulatorState.busy) {
+        throw new Error('The emulator is busy');
+    }
+
+    const until = options.until !== undefined && options.until !== null ? options.until : null;
+    const limit = options.cycles ? cpu.cycles + options.cycles : null;
+    const startCycles = cpu.cycles;
+    let reason = null;
+    let first = true;
+
+    cpuEmulatorState.running = true;
+    cpuEmulatorState.stopRequested = false;
+
+    try {
+        while (!reason) {
+            const sliceEnd = cpu.cycles + CPU_EMULATOR_SLICE_CYCLES;
+
+            while (!reason && cpu.cycles < sliceEnd) {
+                if (cpu.jammed) {
+                    reason = 'jam';
+                } else if (!first && cpu.pc === until) {
+                    reason = 'address';
+                } else if (!first && cpuEmulatorState.breakpoints.has(cpu.pc)) {
+                    reason = 'breakpoint';
+                } else if (limit !== null && cpu.cycles >= limit) {
+                    reason = 'cycles';
+                } else {
+                    cpu6502Step(cpu);
+                    first = false;
+                }
+            }
+
+            if (!reason) {
+                if (options.onSlice) options.onSlice(cpu.cycles - startCycles);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (cpuEmulatorState.stopRequested) reason = 'stopped';
+            }
+        }
+    } finally {
+        cpuEmulatorState.running = false;
+        cpuEmulatorRender();
+    }
+
+    console.log(`CpuEmulator: Run stopped (${reason}) at $${formatHexWord(cpu.pc)} after ${cpu.cycles - startCycles} cycles`);
+    return { reason: reason, cycles: cpu.cycles - startCycles };
+}
+
+/**
+ * Stop a run at the end of the current slice
+ */
+function cpuEmulatorStop() {
+    cpuEmulatorState.stopRequested = true;
+}
+
+// ============================================================================
+// MEMORY CHANGE LOG
+// ============================================================================
+
+/**
+ * Record a memory write of the CPU (onWrite of the CPU). Writes of the
+ * same value are not changes.
+ * @param {number} address - Address
+ * @param {number} oldValue - Value before the write
+ * @param {number} newValue - Value written
+ */
+function cpuEmulatorLogWrite(address, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    const cpu = cpuEmulatorState.cpu;
+    cpuEmulatorState.log.push({
+        cycle: cpu.cycles,
+        pc: cpu.instrAddress,
+        address: address,
+        oldValue: oldValue,
+        newValue: newValue
+    });
+    cpuEmulatorState.logCount++;
+
+    if (cpuEmulatorState.log.length > CPU_EMULATOR_MAX_LOG) {
+        cpuEmulatorState.log.shift();
+    }
+}
+
+/**
+ * Clear the memory change log
+ */
+function cpuEmulatorClearLog() {
+    cpuEmulatorState.log = [];
+    cpuEmulatorState.logCount = 0;
+    cpuEmulatorRender();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the registers, code, breakpoints and change log
+ */
+function cpuEmulatorRender() {
+    const container = cpuEmulatorState.container;
+    if (!container) return;
+
+    const cpu = cpuEmulatorState.cpu;
+    if (!cpu) {
+        container.html('<div class="trainer-empty">No memory loaded. Load the live memory or a snapshot to start.</div>');
+        return;
+    }
+
+    const disabled = cpuEmulatorState.running ? ' disabled' : '';
+    const html = [];
+
+    // Registers and flags
+    html.push('<div class="cpu-emulator-section"><table class="trainer-table cpu-emulator-registers"><tr>');
+    Object.keys(CPU_EMULATOR_REGISTERS).forEach(name => {
+        html.push(`<th>${CPU_EMULATOR_REGISTERS[name].label}</th>`);
+    });
+    ['N', 'V', 'B', 'D', 'I', 'Z', 'C'].forEach(flag => html.push(`<th>${flag}</th>`));
+    html.push('<th>Cycles</th></tr><tr>');
+    Object.keys(CPU_EMULATOR_REGISTERS).forEach(name => {
+        const value = name === 'pc' ? formatHexWord(cpu[name]) : formatHexByte(cpu[name]);
+        html.push(`<td><input type="text" class="cpu-emulator-input" data-register="${name}" value="${value}"${disabled}></td>`);
+    });
+    ['N', 'V', 'B', 'D', 'I', 'Z', 'C'].forEach(flag => {
+        const checked = cpu.p & CPU6502_FLAGS[flag] ? ' checked' : '';
+        html.push(`<td><input type="checkbox" data-flag="${flag}"${checked}${disabled}></td>`);
+    });
+    html.push(`<td>${cpu.cycles}${cpu.jammed ? ' (jammed)' : ''}</td></tr></table></div>`);
+
+    // Next instructions; clicking a line toggles its breakpoint
+    html.push('<div class="cpu-emulator-section"><div class="cpu-emulator-title">Code</div>');
+    let address = cpu.pc;
+    for (let i = 0; i < CPU_EMULATOR_CODE_LINES; i++) {
+        const lineBytes = [0, 1, 2].map(offset => cpu.memory[(address + offset) & 0xFFFF]);
+        const instr = asm6502DisassembleOne(lineBytes, 0, address);
+        const bytes = instr.bytes.map(b => formatHexByte(b)).join(' ');
+        const classes = ['cpu-emulator-code'];
+        if (i === 0) classes.push('cpu-emulator-current');
+        if (cpuEmulatorState.breakpoints.has(address)) classes.push('cpu-emulator-breakpoint');
+
+        html.push(
+            `<div class="${classes.join(' ')}" data-address="${address}" title="Click to toggle a breakpoint">` +
+            `${i === 0 ? '&gt;' : '&nbsp;'} $${formatHexWord(address)}  ${bytes.padEnd(9, ' ')} ${escapeHtml(instr.assembly)}</div>`
+        );
+        address = (address + instr.info.size) & 0xFFFF;
+    }
+    html.push('</div>');
+
+    // Breakpoints
+    const breakpoints = cpuEmulatorGetBreakpoints();
+    html.push('<div class="cpu-emulator-section"><div class="cpu-emulator-title">Breakpoints</div>');
+    if (breakpoints.length === 0) {
+        html.push('<div class="trainer-empty">No breakpoints. Add one above or click a code line.</div>');
+    } else {
+        html.push('<table class="trainer-table"><tr><th>Address</th><th>Symbol</th><th></th></tr>');
+        breakpoints.forEach(bp => {
+            html.push(
+                `<tr data-address="${bp}">` +
+                `<td>$${formatHexWord(bp)}</td>` +
+                `<td>${escapeHtml(symbolTableGetName(bp) || '')}</td>` +
+                '<td class="trainer-actions">' +
+                '<button class="btn-primary" data-action="go">Go</button> ' +
+                '<button class="btn-danger" data-action="remove">Remove</button>' +
+                '</td></tr>'
+            );
+        });
+        html.push('</table>');
+    }
+    html.push('</div>');
+
+    // Memory changes, newest first
+    const log = cpuEmulatorState.log;
+    const dropped = cpuEmulatorState.logCount - log.length;
+    html.push(`<div class="cpu-emulator-section"><div class="cpu-emulator-title">Memory changes (${cpuEmulatorState.logCount}` +
+        `${dropped > 0 ? `, last ${log.length} shown` : ''})</div>`);
+    if (log.length === 0) {
+        html.push('<div class="trainer-empty">No memory changes.</div>');
+    } else {
+        html.push('<table class="trainer-table"><tr><th>Cycle</th><th>PC</th><th>Address</th><th>Old</th><th>New</th></tr>');
+        for (let i = log.length - 1; i >= 0; i--) {
+            const entry = log[i];
+            html.push(
+                `<tr><td>${entry.cycle}</td>` +
+                `<td><span class="disasm-target-link" data-view="disasm" data-target="${entry.pc}">$${formatHexWord(entry.pc)}</span></td>` +
+                `<td><span class="disasm-target-link" data-view="hex" data-target="${entry.address}">$${formatHexWord(entry.address)}</span></td>` +
+                `<td>$${formatHexByte(entry.oldValue)}</td>` +
+                `<td>$${formatHexByte(entry.newValue)}</td></tr>`
+            );
+        }
+        html.push('</table>');
+    }
+    html.push('</div>');
+
+    container.html(html.join(''));
+}
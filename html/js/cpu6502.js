@@ -0,0 +1,525 @@
+/**
+ * cpu6502.js
+ * 6502 CPU Core
+ *
+ * Instruction-level emulation of the 6510 for the Emulator tab: all official
+ * opcodes with the NMOS decimal mode, and the undocumented ones (the unstable
+ * ANE, LAX #imm, SHA, SHX, SHY and TAS with their usual C64 behavior; JAM
+ * halts the CPU). Instructions are decoded with the opcode table of
+ * asm6502.js, and take the cycles of disasm-cycles.js plus the page-crossing
+ * and branch penalties of the actual run.
+ *
+ * Memory is a flat 64K image: no ROM banking through $01, no I/O chips and
+ * no interrupts. Reads return the image and writes change it.
+ *
+ * A CPU is a plain object created by cpu6502Create:
+ *   { memory, a, x, y, sp, p, pc, cycles, jammed, instrAddress, onWrite }
+ * onWrite(address, oldValue, newValue) is called for every memory write.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Status register flags
+ */
+const CPU6502_FLAGS = {
+    N: 0x80,
+    V: 0x40,
+    U: 0x20,                 // Unused, always set
+    B: 0x10,                 // Only in the copy pushed by BRK and PHP
+    D: 0x08,
+    I: 0x04,
+    Z: 0x02,
+    C: 0x01
+};
+
+const CPU6502_STACK = 0x0100;
+const CPU6502_IRQ_VECTOR = 0xFFFE;
+
+/**
+ * Branch mnemonics: flag tested and value that takes the branch
+ */
+const CPU6502_BRANCHES = {
+    BPL: { flag: CPU6502_FLAGS.N, set: false },
+    BMI: { flag: CPU6502_FLAGS.N, set: true },
+    BVC: { flag: CPU6502_FLAGS.V, set: false },
+    BVS: { flag: CPU6502_FLAGS.V, set: true },
+    BCC: { flag: CPU6502_FLAGS.C, set: false },
+    BCS: { flag: CPU6502_FLAGS.C, set: true },
+    BNE: { flag: CPU6502_FLAGS.Z, set: false },
+    BEQ: { flag: CPU6502_FLAGS.Z, set: true }
+};
+
+/**
+ * Flag set and cleared by each flag instruction
+ */
+const CPU6502_FLAG_INSTRUCTIONS = {
+    CLC: { flag: CPU6502_FLAGS.C, set: false },
+    SEC: { flag: CPU6502_FLAGS.C, set: true },
+    CLI: { flag: CPU6502_FLAGS.I, set: false },
+    SEI: { flag: CPU6502_FLAGS.I, set: true },
+    CLV: { flag: CPU6502_FLAGS.V, set: false },
+    CLD: { flag: CPU6502_FLAGS.D, set: false },
+    SED: { flag: CPU6502_FLAGS.D, set: true }
+};
+
+/**
+ * Magic constant of the unstable ANE and LAX #imm (common C64 value)
+ */
+const CPU6502_ANE_MAGIC = 0xEE;
+
+// ============================================================================
+// CPU
+// ============================================================================
+
+/**
+ * Create a CPU
+ * @param {Uint8Array} memory - Optional: 64K memory image (default: zeroed)
+ * @returns {Object} CPU with registers after a reset (PC $0000)
+ */
+function cpu6502Create(memory) {
+    return {
+        memory: memory || new Uint8Array(0x10000),
+        a: 0,
+        x: 0,
+        y: 0,
+        sp: 0xFF,
+        p: CPU6502_FLAGS.U | CPU6502_FLAGS.I,
+        pc: 0,
+        cycles: 0,
+        jammed: false,       // Halted by a JAM opcode
+        instrAddress: 0,     // Address of the instruction being executed
+        onWrite: null
+    };
+}
+
+/**
+ * Read a byte
+ * @param {Object} cpu - CPU
+ * @param {number} address - Address
+ * @returns {number} Byte value
+ */
+function cpu6502Read(cpu, address) {
+    return cpu.memory[address & 0xFFFF];
+}
+
+/**
+ * Write a byte
+ * @param {Object} cpu - CPU
+ * @param {number} address - Address
+ * @param {number} value - Byte value
+ */
+function cpu6502Write(cpu, address, value) {
+    address &= 0xFFFF;
+    value &= 0xFF;
+
+    const oldValue = cpu.memory[address];
+    cpu.memory[address] = value;
+    if (cpu.onWrite) {
+        cpu.onWrite(address, oldValue, value);
+    }
+}
+
+/**
+ * Set or clear status flags
+ * @param {Object} cpu - CPU
+ * @param {number} flag - Flag mask (see CPU6502_FLAGS)
+ * @param {boolean} set - True to set
+ */
+function cpu6502SetFlag(cpu, flag, set) {
+    cpu.p = set ? (cpu.p | flag) : (cpu.p & ~flag);
+}
+
+/**
+ * Set the N and Z flags from a result
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ * @returns {number} The value
+ */
+function cpu6502SetNZ(cpu, value) {
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.N, value & 0x80);
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.Z, value === 0);
+    return value;
+}
+
+/**
+ * Push a byte to the stack
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ */
+function cpu6502Push(cpu, value) {
+    cpu6502Write(cpu, CPU6502_STACK | cpu.sp, value);
+    cpu.sp = (cpu.sp - 1) & 0xFF;
+}
+
+/**
+ * Pull a byte from the stack
+ * @param {Object} cpu - CPU
+ * @returns {number} Byte value
+ */
+function cpu6502Pull(cpu) {
+    cpu.sp = (cpu.sp + 1) & 0xFF;
+    return cpu6502Read(cpu, CPU6502_STACK | cpu.sp);
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Execute one instruction
+ * @param {Object} cpu - CPU
+ * @returns {number} Cycles taken (0 if the CPU is jammed)
+ */
+function cpu6502Step(cpu) {
+    if (cpu.jammed) return 0;
+
+    const pc = cpu.pc;
+    const opcode = cpu6502Read(cpu, pc);
+    const info = asm6502GetOpcodeInfo(opcode);
+    const lo = cpu6502Read(cpu, pc + 1);
+    const hi = cpu6502Read(cpu, pc + 2);
+
+    cpu.instrAddress = pc;
+    cpu.pc = (pc + info.size) & 0xFFFF;
+
+    // Effective address, and base address of the indexed modes
+    let address = null;
+    let base = null;
+
+    switch (info.mode) {
+        case 'imm': address = (pc + 1) & 0xFFFF; break;
+        case 'zp':  address = lo; break;
+        case 'zpx': address = (lo + cpu.x) & 0xFF; break;
+        case 'zpy': address = (lo + cpu.y) & 0xFF; break;
+        case 'abs': address = lo | (hi << 8); break;
+        case 'abx': base = lo | (hi << 8); address = (base + cpu.x) & 0xFFFF; break;
+        case 'aby': base = lo | (hi << 8); address = (base + cpu.y) & 0xFFFF; break;
+        case 'ind': {
+            // The pointer high byte does not cross a page: JMP ($xxFF)
+            const pointer = lo | (hi << 8);
+            address = cpu6502Read(cpu, pointer) | (cpu6502Read(cpu, (pointer & 0xFF00) | ((pointer + 1) & 0xFF)) << 8);
+            break;
+        }
+        case 'izx': {
+            const pointer = (lo + cpu.x) & 0xFF;
+            address = cpu6502Read(cpu, pointer) | (cpu6502Read(cpu, (pointer + 1) & 0xFF) << 8);
+            break;
+        }
+        case 'izy':
+            base = cpu6502Read(cpu, lo) | (cpu6502Read(cpu, (lo + 1) & 0xFF) << 8);
+            address = (base + cpu.y) & 0xFFFF;
+            break;
+        case 'rel': address = (cpu.pc + (lo > 127 ? lo - 256 : lo)) & 0xFFFF; break;
+    }
+
+    let cycles = DISASM_CYCLES_BASE[opcode];
+    if (base !== null && (base & 0xFF00) !== (address & 0xFF00) && DISASM_CYCLES_PAGE_PENALTY.has(info.mnemonic)) {
+        cycles++;
+    }
+
+    cycles += cpu6502Execute(cpu, info, address, base);
+    cpu.cycles += cycles;
+    return cycles;
+}
+
+/**
+ * Execute the operation of an instruction
+ * @param {Object} cpu - CPU (PC already past the instruction)
+ * @param {Object} info - Opcode info (see asm6502GetOpcodeInfo)
+ * @param {number|null} address - Effective address (null for implied and accumulator)
+ * @param {number|null} base - Base address of the indexed modes
+ * @returns {number} Extra cycles (branches taken)
+ */
+function cpu6502Execute(cpu, info, address, base) {
+    const F = CPU6502_FLAGS;
+    const mnemonic = info.mnemonic;
+    const read = () => cpu6502Read(cpu, address);
+
+    // Read-modify-write on the accumulator or memory
+    const modify = (operation) => {
+        if (info.mode === 'acc') {
+            cpu.a = operation(cpu.a) & 0xFF;
+            return cpu.a;
+        }
+        const value = operation(read()) & 0xFF;
+        cpu6502Write(cpu, address, value);
+        return value;
+    };
+
+    const branch = CPU6502_BRANCHES[mnemonic];
+    if (branch) {
+        if (!!(cpu.p & branch.flag) !== branch.set) return 0;
+        const extra = (cpu.pc & 0xFF00) !== (address & 0xFF00) ? 2 : 1;
+        cpu.pc = address;
+        return extra;
+    }
+
+    const flagInstruction = CPU6502_FLAG_INSTRUCTIONS[mnemonic];
+    if (flagInstruction) {
+        cpu6502SetFlag(cpu, flagInstruction.flag, flagInstruction.set);
+        return 0;
+    }
+
+    // Store value of SHA, SHX, SHY and TAS: and-ed with the base high byte + 1
+    const high = base !== null ? ((base >> 8) + 1) & 0xFF : 0;
+
+    switch (mnemonic) {
+        // Loads, stores and transfers
+        case 'LDA': cpu.a = cpu6502SetNZ(cpu, read()); break;
+        case 'LDX': cpu.x = cpu6502SetNZ(cpu, read()); break;
+        case 'LDY': cpu.y = cpu6502SetNZ(cpu, read()); break;
+        case 'STA': cpu6502Write(cpu, address, cpu.a); break;
+        case 'STX': cpu6502Write(cpu, address, cpu.x); break;
+        case 'STY': cpu6502Write(cpu, address, cpu.y); break;
+        case 'TAX': cpu.x = cpu6502SetNZ(cpu, cpu.a); break;
+        case 'TAY': cpu.y = cpu6502SetNZ(cpu, cpu.a); break;
+        case 'TXA': cpu.a = cpu6502SetNZ(cpu, cpu.x); break;
+        case 'TYA': cpu.a = cpu6502SetNZ(cpu, cpu.y); break;
+        case 'TSX': cpu.x = cpu6502SetNZ(cpu, cpu.sp); break;
+        case 'TXS': cpu.sp = cpu.x; break;
+
+        // Stack
+        case 'PHA': cpu6502Push(cpu, cpu.a); break;
+        case 'PHP': cpu6502Push(cpu, cpu.p | F.B | F.U); break;
+        case 'PLA': cpu.a = cpu6502SetNZ(cpu, cpu6502Pull(cpu)); break;
+        case 'PLP': cpu.p = (cpu6502Pull(cpu) & ~F.B) | F.U; break;
+
+        // Logic and arithmetic
+        case 'AND': cpu.a = cpu6502SetNZ(cpu, cpu.a & read()); break;
+        case 'ORA': cpu.a = cpu6502SetNZ(cpu, cpu.a | read()); break;
+        case 'EOR': cpu.a = cpu6502SetNZ(cpu, cpu.a ^ read()); break;
+        case 'ADC': cpu6502Adc(cpu, read()); break;
+        case 'SBC': cpu6502Sbc(cpu, read()); break;
+        case 'CMP': cpu6502Compare(cpu, cpu.a, read()); break;
+        case 'CPX': cpu6502Compare(cpu, cpu.x, read()); break;
+        case 'CPY': cpu6502Compare(cpu, cpu.y, read()); break;
+        case 'BIT': {
+            const value = read();
+            cpu6502SetFlag(cpu, F.Z, (cpu.a & value) === 0);
+            cpu6502SetFlag(cpu, F.N, value & 0x80);
+            cpu6502SetFlag(cpu, F.V, value & 0x40);
+            break;
+        }
+
+        // Increments and shifts
+        case 'INX': cpu.x = cpu6502SetNZ(cpu, (cpu.x + 1) & 0xFF); break;
+        case 'INY': cpu.y = cpu6502SetNZ(cpu, (cpu.y + 1) & 0xFF); break;
+        case 'DEX': cpu.x = cpu6502SetNZ(cpu, (cpu.x - 1) & 0xFF); break;
+        case 'DEY': cpu.y = cpu6502SetNZ(cpu, (cpu.y - 1) & 0xFF); break;
+        case 'INC': cpu6502SetNZ(cpu, modify(v => v + 1)); break;
+        case 'DEC': cpu6502SetNZ(cpu, modify(v => v - 1)); break;
+        case 'ASL': cpu6502SetNZ(cpu, modify(v => cpu6502Asl(cpu, v))); break;
+        case 'LSR': cpu6502SetNZ(cpu, modify(v => cpu6502Lsr(cpu, v))); break;
+        case 'ROL': cpu6502SetNZ(cpu, modify(v => cpu6502Rol(cpu, v))); break;
+        case 'ROR': cpu6502SetNZ(cpu, modify(v => cpu6502Ror(cpu, v))); break;
+
+        // Jumps and interrupts
+        case 'JMP': cpu.pc = address; break;
+        case 'JSR': {
+            const ret = (cpu.pc - 1) & 0xFFFF;
+            cpu6502Push(cpu, ret >> 8);
+            cpu6502Push(cpu, ret & 0xFF);
+            cpu.pc = address;
+            break;
+        }
+        case 'RTS': {
+            const ret = cpu6502Pull(cpu) | (cpu6502Pull(cpu) << 8);
+            cpu.pc = (ret + 1) & 0xFFFF;
+            break;
+        }
+        case 'RTI':
+            cpu.p = (cpu6502Pull(cpu) & ~F.B) | F.U;
+            cpu.pc = cpu6502Pull(cpu) | (cpu6502Pull(cpu) << 8);
+            break;
+        case 'BRK': {
+            const ret = (cpu.pc + 1) & 0xFFFF;     // BRK skips a signature byte
+            cpu6502Push(cpu, ret >> 8);
+            cpu6502Push(cpu, ret & 0xFF);
+            cpu6502Push(cpu, cpu.p | F.B | F.U);
+            cpu6502SetFlag(cpu, F.I, true);
+            cpu.pc = cpu6502Read(cpu, CPU6502_IRQ_VECTOR) | (cpu6502Read(cpu, CPU6502_IRQ_VECTOR + 1) << 8);
+            break;
+        }
+        case 'NOP': break;
+        case 'JAM':
+            cpu.jammed = true;
+            cpu.pc = cpu.instrAddress;
+            break;
+
+        // Undocumented: read-modify-write combined with an operation
+        case 'SLO': cpu.a = cpu6502SetNZ(cpu, cpu.a | modify(v => cpu6502Asl(cpu, v))); break;
+        case 'RLA': cpu.a = cpu6502SetNZ(cpu, cpu.a & modify(v => cpu6502Rol(cpu, v))); break;
+        case 'SRE': cpu.a = cpu6502SetNZ(cpu, cpu.a ^ modify(v => cpu6502Lsr(cpu, v))); break;
+        case 'RRA': cpu6502Adc(cpu, modify(v => cpu6502Ror(cpu, v))); break;
+        case 'DCP': cpu6502Compare(cpu, cpu.a, modify(v => v - 1)); break;
+        case 'ISC': cpu6502Sbc(cpu, modify(v => v + 1)); break;
+
+        // Undocumented: loads, stores and immediate operations
+        case 'LAX':
+            cpu.a = cpu.x = cpu6502SetNZ(cpu, info.mode === 'imm' ? (cpu.a | CPU6502_ANE_MAGIC) & read() : read());
+            break;
+        case 'SAX': cpu6502Write(cpu, address, cpu.a & cpu.x); break;
+        case 'LAS': cpu.a = cpu.x = cpu.sp = cpu6502SetNZ(cpu, read() & cpu.sp); break;
+        case 'ANC':
+            cpu.a = cpu6502SetNZ(cpu, cpu.a & read());
+            cpu6502SetFlag(cpu, F.C, cpu.a & 0x80);
+            break;
+        case 'ALR': cpu.a = cpu6502SetNZ(cpu, cpu6502Lsr(cpu, cpu.a & read())); break;
+        case 'ARR': {
+            // Binary mode only: decimal mode is not emulated for ARR
+            const value = cpu.a & read();
+            cpu.a = cpu6502SetNZ(cpu, (value >> 1) | ((cpu.p & F.C) << 7));
+            cpu6502SetFlag(cpu, F.C, cpu.a & 0x40);
+            cpu6502SetFlag(cpu, F.V, ((cpu.a >> 6) ^ (cpu.a >> 5)) & 1);
+            break;
+        }
+        case 'SBX': {
+            const value = (cpu.a & cpu.x) - read();
+            cpu6502SetFlag(cpu, F.C, value >= 0);
+            cpu.x = cpu6502SetNZ(cpu, value & 0xFF);
+            break;
+        }
+        case 'ANE': cpu.a = cpu6502SetNZ(cpu, (cpu.a | CPU6502_ANE_MAGIC) & cpu.x & read()); break;
+        case 'SHA': cpu6502Write(cpu, address, cpu.a & cpu.x & high); break;
+        case 'SHX': cpu6502Write(cpu, address, cpu.x & high); break;
+        case 'SHY': cpu6502Write(cpu, address, cpu.y & high); break;
+        case 'TAS':
+            cpu.sp = cpu.a & cpu.x;
+            cpu6502Write(cpu, address, cpu.sp & high);
+            break;
+
+        default:
+            throw new Error(`Opcode not emulated: ${mnemonic}`);
+    }
+
+    return 0;
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+/**
+ * Add with carry (NMOS decimal mode: N, V and Z from the binary result)
+ * @param {Object} cpu - CPU
+ * @param {number} value - Operand
+ */
+function cpu6502Adc(cpu, value) {
+    const F = CPU6502_FLAGS;
+    const a = cpu.a;
+    const carry = cpu.p & F.C;
+
+    if (!(cpu.p & F.D)) {
+        const sum = a + value + carry;
+        cpu6502SetFlag(cpu, F.V, ~(a ^ value) & (a ^ sum) & 0x80);
+        cpu6502SetFlag(cpu, F.C, sum > 0xFF);
+        cpu.a = cpu6502SetNZ(cpu, sum & 0xFF);
+        return;
+    }
+
+    let sum = (a & 0x0F) + (value & 0x0F) + carry;
+    if (sum > 0x09) sum += 0x06;
+    sum = (sum & 0x0F) + (a & 0xF0) + (value & 0xF0) + (sum > 0x0F ? 0x10 : 0);
+
+    cpu6502SetFlag(cpu, F.Z, ((a + value + carry) & 0xFF) === 0);
+    cpu6502SetFlag(cpu, F.N, sum & 0x80);
+    cpu6502SetFlag(cpu, F.V, ((a ^ sum) & 0x80) && !((a ^ value) & 0x80));
+    if ((sum & 0x1F0) > 0x90) sum += 0x60;
+    cpu6502SetFlag(cpu, F.C, (sum & 0xFF0) > 0xF0);
+    cpu.a = sum & 0xFF;
+}
+
+/**
+ * Subtract with borrow (NMOS decimal mode: flags from the binary result)
+ * @param {Object} cpu - CPU
+ * @param {number} value - Operand
+ */
+function cpu6502Sbc(cpu, value) {
+    const F = CPU6502_FLAGS;
+    const a = cpu.a;
+    const borrow = (cpu.p & F.C) ? 0 : 1;
+    const result = a - value - borrow;
+
+    cpu6502SetFlag(cpu, F.C, result >= 0);
+    cpu6502SetFlag(cpu, F.V, ((a ^ result) & 0x80) && ((a ^ value) & 0x80));
+    cpu6502SetNZ(cpu, result & 0xFF);
+
+    if (!(cpu.p & F.D)) {
+        cpu.a = result & 0xFF;
+        return;
+    }
+
+    let decimal = (a & 0x0F) - (value & 0x0F) - borrow;
+    if (decimal & 0x10) {
+        decimal = ((decimal - 0x06) & 0x0F) | ((a & 0xF0) - (value & 0xF0) - 0x10);
+    } else {
+        decimal = (decimal & 0x0F) | ((a & 0xF0) - (value & 0xF0));
+    }
+    if (decimal & 0x100) decimal -= 0x60;
+    cpu.a = decimal & 0xFF;
+}
+
+/**
+ * Compare a register with a value
+ * @param {Object} cpu - CPU
+ * @param {number} register - Register value
+ * @param {number} value - Operand
+ */
+function cpu6502Compare(cpu, register, value) {
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.C, register >= (value & 0xFF));
+    cpu6502SetNZ(cpu, (register - value) & 0xFF);
+}
+
+/**
+ * Shift left, bit 7 to carry
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ * @returns {number} Result
+ */
+function cpu6502Asl(cpu, value) {
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.C, value & 0x80);
+    return (value << 1) & 0xFF;
+}
+
+/**
+ * Shift right, bit 0 to carry
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ * @returns {number} Result
+ */
+function cpu6502Lsr(cpu, value) {
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.C, value & 0x01);
+    return value >> 1;
+}
+
+/**
+ * Rotate left through carry
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ * @returns {number} Result
+ */
+function cpu6502Rol(cpu, value) {
+    const result = ((value << 1) | (cpu.p & CPU6502_FLAGS.C)) & 0xFF;
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.C, value & 0x80);
+    return result;
+}
+
+/**
+ * Rotate right through carry
+ * @param {Object} cpu - CPU
+ * @param {number} value - Byte value
+ * @returns {number} Result
+ */
+function cpu6502Ror(cpu, value) {
+    const result = (value >> 1) | ((cpu.p & CPU6502_FLAGS.C) << 7);
+    cpu6502SetFlag(cpu, CPU6502_FLAGS.C, value & 0x01);
+    return result;
+}
@@ -0,0 +1,382 @@
+/**
+ * data-inspector.js
+ * Data Inspector Component
+ *
+ * Side panel of the Hex Viewer that interprets the bytes at the cursor as
+ * integers, pointers, BCD, bits, C64 floats, characters and a 6502
+ * instruction. In edit mode the fields can be edited: pressing Enter
+ * encodes the value and writes the bytes back into the edit buffer.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const DATA_INSPECTOR_MAX_BYTES = 5;   // Bytes needed by the largest field (C64 float)
+
+/**
+ * Inspector fields.
+ * size: bytes used. decode(bytes, context) returns the text to show, or null
+ * if the bytes have no valid interpretation. encode(text, context) returns
+ * the bytes to write, or throws an Error with a message for the user.
+ * context: { address, shifted } (shifted = lowercase/uppercase charset).
+ */
+const DATA_INSPECTOR_FIELDS = [
+    {
+        id: 'uint8', label: 'uint8', size: 1,
+        decode: (b) => String(b[0]),
+        encode: (text) => [dataInspectorParseInteger(text, 0, 0xFF)]
+    },
+    {
+        id: 'int8', label: 'int8', size: 1,
+        decode: (b) => String(b[0] > 0x7F ? b[0] - 0x100 : b[0]),
+        encode: (text) => [dataInspectorParseInteger(text, -0x80, 0x7F) & 0xFF]
+    },
+    {
+        id: 'uint16le', label: 'uint16 LE', size: 2,
+        decode: (b) => String(b[0] | (b[1] << 8)),
+        encode: (text) => dataInspectorWordBytes(dataInspectorParseInteger(text, 0, 0xFFFF), false)
+    },
+    {
+        id: 'int16le', label: 'int16 LE', size: 2,
+        decode: (b) => String(dataInspectorSigned16(b[0] | (b[1] << 8))),
+        encode: (text) => dataInspectorWordBytes(dataInspectorParseInteger(text, -0x8000, 0x7FFF) & 0xFFFF, false)
+    },
+    {
+        id: 'uint16be', label: 'uint16 BE', size: 2,
+        decode: (b) => String((b[0] << 8) | b[1]),
+        encode: (text) => dataInspectorWordBytes(dataInspectorParseInteger(text, 0, 0xFFFF), true)
+    },
+    {
+        id: 'int16be', label: 'int16 BE', size: 2,
+        decode: (b) => String(dataInspectorSigned16((b[0] << 8) | b[1])),
+        encode: (text) => dataInspectorWordBytes(dataInspectorParseInteger(text, -0x8000, 0x7FFF) & 0xFFFF, true)
+    },
+    {
+        id: 'ptr24', label: 'Pointer 24', size: 3,
+        decode: (b) => '$' + (b[0] | (b[1] << 8) | (b[2] << 16)).toString(16).toUpperCase().padStart(6, '0'),
+        encode: (text) => {
+            const value = dataInspectorParseInteger(text, 0, 0xFFFFFF, true);
+            return [value & 0xFF, (value >> 8) & 0xFF, value >> 16];
+        }
+    },
+    {
+        id: 'bcd', label: 'BCD', size: 1,
+        decode: (b) => {
+            const value = cheatFinderDecodeBcd(b[0]);
+            return value === null ? null : String(value).padStart(2, '0');
+        },
+        encode: (text) => {
+            if (!/^\d{1,2}$/.test(text)) throw new Error('BCD values are 0-99');
+            const value = parseInt(text, 10);
+            return [((Math.floor(value / 10)) << 4) | (value % 10)];
+        }
+    },
+    {
+        id: 'binary', label: 'Binary', size: 1,
+        decode: (b) => '%' + b[0].toString(2).padStart(8, '0'),
+        encode: (text) => {
+            const bits = text.replace(/^%/, '').replace(/\s+/g, '');
+            if (!/^[01]{1,8}$/.test(bits)) throw new Error('Enter up to 8 binary digits (e.g. %00101010)');
+            return [parseInt(bits, 2)];
+        }
+    },
+    {
+        id: 'float', label: 'Float (FAC)', size: 5,
+        decode: (b) => dataInspectorFormatFloat(dataInspectorDecodeFloat(b)),
+        encode: (text) => {
+            const value = Number(text);
+            if (text === '' || !isFinite(value)) throw new Error('Enter a number (e.g. 3.14159 or -1E10)');
+            return dataInspectorEncodeFloat(value);
+        }
+    },
+    {
+        id: 'petscii', label: 'PETSCII', size: 1, c64Font: true,
+        decode: (b, ctx) => String.fromCodePoint((ctx.shifted ? 0xE100 : 0xE000) + b[0]),
+        encode: (text, ctx) => [dataInspectorEncodeChar(text, encodePetsciiChar, ctx.shifted)]
+    },
+    {
+        id: 'screen', label: 'Screen code', size: 1, c64Font: true,
+        decode: (b, ctx) => String.fromCodePoint((ctx.shifted ? 0xEF00 : 0xEE00) + b[0]),
+        encode: (text, ctx) => [dataInspectorEncodeChar(text, encodeScreenCodeChar, ctx.shifted)]
+    },
+    {
+        id: 'instruction', label: 'Instruction', size: 1,
+        decode: (b, ctx) => dataInspectorDisassemble(b, ctx.address),
+        encode: (text, ctx) => dataInspectorAssemble(text, ctx.address)
+    }
+];
+
+let dataInspectorState = {
+    container: null,
+    writeCallback: null,     // Called with the bytes of an edited field
+    context: null,           // { address, shifted } of the inspected bytes
+    bytes: [],               // Bytes at the cursor (up to DATA_INSPECTOR_MAX_BYTES)
+    editable: false
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the data inspector
+ * @param {jQuery} container - Container element for the panel
+ * @param {function} writeCallback - Called with the bytes to write at the inspected address
+ */
+function dataInspectorInit(container, writeCallback) {
+    dataInspectorState.container = container;
+    dataInspectorState.writeCallback = writeCallback;
+
+    // Enter writes the field, Escape restores it
+    container.on('keydown', 'input[data-field]', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            dataInspectorCommitField($(e.currentTarget));
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            dataInspectorRender();
+        }
+    });
+
+    dataInspectorRender();
+
+    console.log('DataInspector: Initialized');
+}
+
+/**
+ * Show the bytes at a new position
+ * @param {number} address - Address of the first byte
+ * @param {Array<number>|Uint8Array} bytes - Bytes from the address (the fields that need more are left empty)
+ * @param {Object} options - { shifted, editable }
+ */
+function dataInspectorUpdate(address, bytes, options) {
+    dataInspectorState.context = { address: address, shifted: options.shifted };
+    dataInspectorState.bytes = Array.from(bytes).slice(0, DATA_INSPECTOR_MAX_BYTES);
+    dataInspectorState.editable = options.editable;
+    dataInspectorRender();
+}
+
+// ============================================================================
+// VALUE CONVERSION
+// ============================================================================
+
+/**
+ * Parse an integer: decimal, or hex with $ or 0x prefix
+ * @param {string} text - Value text
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {boolean} hexDefault - Treat unprefixed values as hex
+ * @returns {number} Value
+ */
+function dataInspectorParseInteger(text, min, max, hexDefault) {
+    let value;
+    if (/^\$[0-9A-Fa-f]+$/.test(text)) {
+        value = parseInt(text.substring(1), 16);
+    } else if (/^0x[0-9A-Fa-f]+$/i.test(text)) {
+        value = parseInt(text.substring(2), 16);
+    } else if (hexDefault && /^[0-9A-Fa-f]+$/.test(text)) {
+        value = parseInt(text, 16);
+    } else if (/^-?\d+$/.test(text)) {
+        value = parseInt(text, 10);
+    } else {
+        throw new Error(`Invalid number: ${text}`);
+    }
+
+    if (value < min || value > max) {
+        throw new Error(`The value must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Convert a 16-bit value to a signed number
+ * @param {number} value - Value 0-65535
+ * @returns {number} Value -32768-32767
+ */
+function dataInspectorSigned16(value) {
+    return value > 0x7FFF ? value - 0x10000 : value;
+}
+
+/**
+ * Split a 16-bit value into bytes
+ * @param {number} value - Value 0-65535
+ * @param {boolean} bigEndian - High byte first
+ * @returns {Array<number>} Two bytes
+ */
+function dataInspectorWordBytes(value, bigEndian) {
+    const bytes = [value & 0xFF, value >> 8];
+    return bigEndian ? bytes.reverse() : bytes;
+}
+
+/**
+ * Encode a single character with a charset encoder
+ * @param {string} text - One character
+ * @param {function} encoder - encodePetsciiChar or encodeScreenCodeChar
+ * @param {boolean} shifted - Lowercase/uppercase charset
+ * @returns {number} Character code
+ */
+function dataInspectorEncodeChar(text, encoder, shifted) {
+    const chars = Array.from(text);
+    if (chars.length !== 1) throw new Error('Enter a single character');
+
+    const code = encoder(chars[0], shifted);
+    if (code === null) throw new Error(`The character "${text}" is not available in the selected charset`);
+    return code;
+}
+
+/**
+ * Decode a C64 BASIC float in memory format (5 bytes: exponent, then a
+ * 32-bit mantissa with the sign in bit 7 of its first byte)
+ * @param {Array<number>} bytes - Five bytes
+ * @returns {number} Value
+ */
+function dataInspectorDecodeFloat(bytes) {
+    if (bytes[0] === 0) return 0;
+
+    const mantissa = (((bytes[1] | 0x80) * 256 + bytes[2]) * 256 + bytes[3]) * 256 + bytes[4];
+    const value = mantissa / 0x100000000 * Math.pow(2, bytes[0] - 128);
+    return (bytes[1] & 0x80) ? -value : value;
+}
+
+/**
+ * Encode a number as a C64 BASIC float in memory format
+ * @param {number} value - Value
+ * @returns {Array<number>} Five bytes
+ */
+function dataInspectorEncodeFloat(value) {
+    if (value === 0) return [0, 0, 0, 0, 0];
+
+    const negative = value < 0;
+    let magnitude = Math.abs(value);
+
+    // Normalize to 0.5 <= mantissa < 1
+    let exponent = Math.floor(Math.log2(magnitude)) + 1;
+    let mantissa = Math.round(magnitude / Math.pow(2, exponent) * 0x100000000);
+    if (mantissa >= 0x100000000) {
+        exponent++;
+        mantissa = Math.round(magnitude / Math.pow(2, exponent) * 0x100000000);
+    } else if (mantissa < 0x80000000) {
+        exponent--;
+        mantissa = Math.round(magnitude / Math.pow(2, exponent) * 0x100000000);
+    }
+
+    const biased = exponent + 128;
+    if (biased > 0xFF) throw new Error('Overflow: the value is too large for a C64 float');
+    if (biased < 1) return [0, 0, 0, 0, 0];
+
+    return [
+        biased,
+        ((mantissa >>> 24) & 0x7F) | (negative ? 0x80 : 0),
+        (mantissa >>> 16) & 0xFF,
+        (mantissa >>> 8) & 0xFF,
+        mantissa & 0xFF
+    ];
+}
+
+/**
+ * Format a float with the precision of C64 BASIC
+ * @param {number} value - Value
+ * @returns {string} e.g. "3.14159265"
+ */
+function dataInspectorFormatFloat(value) {
+    return String(parseFloat(value.toPrecision(10)));
+}
+
+/**
+ * Disassemble the instruction at the inspected bytes
+ * @param {Array<number>} bytes - Bytes from the address
+ * @param {number} address - Address of the instruction
+ * @returns {string|null} Instruction, or null if the disassembler is not available
+ */
+function dataInspectorDisassemble(bytes, address) {
+    if (typeof window.reasm6502 === 'undefined' || !window.reasm6502.disasm) return null;
+
+    const instr = window.reasm6502.disasm(bytes.slice(0, 3), address)[0];
+    if (!instr || !instr.bytes || instr.bytes.some(b => b === undefined)) return null;
+    return instr.assembly || null;
+}
+
+/**
+ * Assemble one instruction
+ * @param {string} text - Instruction (e.g. "LDA #$01")
+ * @param {number} address - Address of the instruction (for branches)
+ * @returns {Array<number>} Instruction bytes
+ */
+function dataInspectorAssemble(text, address) {
+    if (typeof window.reasm6502 === 'undefined' || !window.reasm6502.reasm) {
+        throw new Error('6502-reasm library not loaded');
+    }
+
+    const bytes = window.reasm6502.reasm(text.toUpperCase(), address);
+    if (!bytes || bytes.length === 0) throw new Error(`Cannot assemble: ${text}`);
+    return Array.from(bytes);
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+/**
+ * Encode an edited field and write its bytes
+ * @param {jQuery} $input - Field input
+ */
+function dataInspectorCommitField($input) {
+    const state = dataInspectorState;
+    const field = DATA_INSPECTOR_FIELDS.find(f => f.id === $input.data('field'));
+    if (!field || !state.editable || !state.writeCallback) return;
+
+    try {
+        const bytes = field.encode($input.val().trim(), state.context);
+        state.container.find('.data-inspector-status').text('');
+        state.writeCallback(bytes);
+    } catch (e) {
+        state.container.find('.data-inspector-status').text(e.message);
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the inspector panel
+ */
+function dataInspectorRender() {
+    const state = dataInspectorState;
+    if (!state.container) return;
+
+    if (!state.context) {
+        state.container.html('<div class="data-inspector-status">Click a byte to inspect it.</div>');
+        return;
+    }
+
+    const html = [`<div class="data-inspector-title">$${formatHexWord(state.context.address)}</div>`];
+    html.push('<table class="data-inspector-table">');
+
+    DATA_INSPECTOR_FIELDS.forEach(field => {
+        const available = state.bytes.length >= field.size;
+        const value = available ? field.decode(state.bytes, state.context) : null;
+        const readonly = state.editable && available ? '' : ' readonly';
+        const fontClass = field.c64Font ? ' data-inspector-c64' : '';
+
+        html.push(
+            '<tr>' +
+            `<td class="data-inspector-label">${field.label}</td>` +
+            `<td><input type="text" class="data-inspector-value${fontClass}" data-field="${field.id}" ` +
+            `value="${value === null ? '' : escapeHtml(value)}" placeholder="-"${readonly}></td>` +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+    html.push(`<div class="data-inspector-status">${state.editable ? 'Edit a value and press Enter to write it.' : ''}</div>`);
+
+    state.container.html(html.join(''));
+}
@@ -0,0 +1,329 @@
+/**
+ * disasm-comments.js
+ * Disassembly Comments Component
+ *
+ * Comments attached to addresses, shown as "; comment" after the
+ * instruction in the Disassembly Viewer and written to the exported source.
+ *
+ * Comments are kept per project (see mem-project.js) in IndexedDB, one
+ * record per project in the 'comments' store of the 'c64u-memory-browser'
+ * database. The comments of the current project are also kept in memory so
+ * the disassembly renders without waiting for the database. If IndexedDB
+ * is not available (e.g. private browsing) the comments last until reload.
+ *
+ * Comments can be exported to a JSON file and imported back, to share the
+ * notes of a project.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const DISASM_COMMENTS_DB_NAME = 'c64u-memory-browser';
+const DISASM_COMMENTS_DB_VERSION = 1;
+const DISASM_COMMENTS_STORE = 'comments';
+
+const DISASM_COMMENTS_FORMAT = 'c64u-comments';
+const DISASM_COMMENTS_FORMAT_VERSION = 1;
+
+const DISASM_COMMENTS_MAX_LENGTH = 200;
+
+let disasmCommentsState = {
+    container: null,
+    db: null,                // IDBDatabase, or null if not available
+    comments: new Map()      // Address -> text (current project)
+};
+
+// ============================================================================
+// CALLBACKS
+// ============================================================================
+
+let disasmCommentsChangeCallback = null;
+
+/**
+ * Set callback called when the comments change
+ * @param {Function} callback - Callback function
+ */
+function disasmCommentsSetChangeCallback(callback) {
+    disasmCommentsChangeCallback = callback;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Open the database and load the comments of the current project
+ * @param {jQuery} container - Container element for the comment list
+ * @returns {Promise<void>} Promise resolving when the comments are loaded
+ */
+async function disasmCommentsInitAsync(container) {
+    disasmCommentsState.container = container;
+
+    try {
+        disasmCommentsState.db = await disasmCommentsOpenAsync();
+    } catch (error) {
+        console.warn('DisasmComments: IndexedDB not available, comments will not be saved', error);
+        disasmCommentsState.db = null;
+    }
+
+    await disasmCommentsLoadAsync();
+}
+
+/**
+ * Open the comments database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Promise resolving with the database
+ */
+function disasmCommentsOpenAsync() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(DISASM_COMMENTS_DB_NAME, DISASM_COMMENTS_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DISASM_COMMENTS_STORE, { keyPath: 'project' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request on the comments store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Promise resolving with the result of the request
+ */
+function disasmCommentsRequestAsync(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = disasmCommentsState.db.transaction(DISASM_COMMENTS_STORE, mode);
+        const request = makeRequest(transaction.objectStore(DISASM_COMMENTS_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Load the comments of the current project
+ * @returns {Promise<void>} Promise resolving when the comments are loaded
+ */
+async function disasmCommentsLoadAsync() {
+    const project = memProjectGetName();
+    disasmCommentsState.comments = new Map();
+
+    if (disasmCommentsState.db) {
+        try {
+            const record = await disasmCommentsRequestAsync('readonly', store => store.get(project));
+            Object.entries((record && record.comments) || {}).forEach(([address, text]) => {
+                const value = parseInt(address, 16);
+                if (!isNaN(value) && typeof text === 'string') {
+                    disasmCommentsState.comments.set(value, text);
+                }
+            });
+        } catch (error) {
+            console.error('DisasmComments: Failed to load the comments', error);
+        }
+    }
+
+    console.log(`DisasmComments: Loaded ${disasmCommentsState.comments.size} comments of project "${project}"`);
+    disasmCommentsNotifyChange();
+}
+
+/**
+ * Save the comments of the current project
+ * @returns {Promise<void>} Promise resolving when saved
+ */
+async function disasmCommentsSaveAsync() {
+    disasmCommentsNotifyChange();
+    if (!disasmCommentsState.db) return;
+
+    const comments = {};
+    disasmCommentsState.comments.forEach((text, address) => {
+        comments[formatHexWord(address)] = text;
+    });
+
+    await disasmCommentsRequestAsync('readwrite', store => store.put({
+        project: memProjectGetName(),
+        comments: comments
+    }));
+}
+
+/**
+ * Remove the comments of a deleted project
+ * @param {string} name - Project name
+ * @returns {Promise<void>} Promise resolving when removed
+ */
+async function disasmCommentsDeleteProjectAsync(name) {
+    if (!disasmCommentsState.db) return;
+    await disasmCommentsRequestAsync('readwrite', store => store.delete(name));
+}
+
+/**
+ * Render the list and call the change callback
+ */
+function disasmCommentsNotifyChange() {
+    disasmCommentsRender();
+    if (disasmCommentsChangeCallback) {
+        disasmCommentsChangeCallback();
+    }
+}
+
+// ============================================================================
+// COMMENTS
+// ============================================================================
+
+/**
+ * Get the comment of an address
+ * @param {number} address - Address
+ * @returns {string|null} Comment, or null if none
+ */
+function disasmCommentsGet(address) {
+    return disasmCommentsState.comments.get(address) || null;
+}
+
+/**
+ * Get all comments of the current project
+ * @returns {Array<Object>} Comments sorted by address: { address, text }
+ */
+function disasmCommentsGetAll() {
+    return Array.from(disasmCommentsState.comments.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([address, text]) => ({ address: address, text: text }));
+}
+
+/**
+ * Set or remove the comment of an address
+ * @param {number} address - Address
+ * @param {string} text - Comment (empty to remove)
+ * @returns {Promise<void>} Promise resolving when saved
+ */
+async function disasmCommentsSetAsync(address, text) {
+    text = disasmCommentsNormalize(text);
+
+    if (text) {
+        disasmCommentsState.comments.set(address, text);
+    } else {
+        disasmCommentsState.comments.delete(address);
+    }
+
+    await disasmCommentsSaveAsync();
+}
+
+/**
+ * Remove all comments of the current project
+ * @returns {Promise<void>} Promise resolving when saved
+ */
+async function disasmCommentsClearAsync() {
+    disasmCommentsState.comments = new Map();
+    await disasmCommentsSaveAsync();
+}
+
+/**
+ * Make a comment a single trimmed line
+ * @param {string} text - Comment
+ * @returns {string} Normalized comment
+ */
+function disasmCommentsNormalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().substring(0, DISASM_COMMENTS_MAX_LENGTH);
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+/**
+ * Download the comments of the current project as a JSON file
+ */
+function disasmCommentsExport() {
+    const content = {
+        format: DISASM_COMMENTS_FORMAT,
+        version: DISASM_COMMENTS_FORMAT_VERSION,
+        project: memProjectGetName(),
+        comments: disasmCommentsGetAll().map(c => ({ address: formatHexWord(c.address), text: c.text }))
+    };
+
+    const name = memProjectGetName().replace(/[^A-Za-z0-9_-]+/g, '_');
+    downloadFile(`comments_${name}.json`, JSON.stringify(content, null, 2), 'application/json');
+}
+
+/**
+ * Import a comments JSON file into the current project. Imported comments
+ * replace the comments of the same addresses.
+ * @param {File} file - Selected file
+ * @returns {Promise<number>} Promise resolving with the number of comments imported
+ */
+async function disasmCommentsImportFileAsync(file) {
+    let content;
+    try {
+        content = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name}: invalid JSON (${e.message})`);
+    }
+
+    if (!content || content.format !== DISASM_COMMENTS_FORMAT || !Array.isArray(content.comments)) {
+        throw new Error(`${file.name}: not a comments file`);
+    }
+
+    const imported = content.comments.map(item => {
+        const address = item && typeof item.address === 'string' && /^[0-9A-Fa-f]{1,4}$/.test(item.address) ?
+            parseInt(item.address, 16) : null;
+        const text = item && typeof item.text === 'string' ? disasmCommentsNormalize(item.text) : '';
+        return address !== null && text ? { address: address, text: text } : null;
+    });
+    if (imported.includes(null)) {
+        throw new Error(`${file.name}: contains invalid comments`);
+    }
+
+    imported.forEach(item => disasmCommentsState.comments.set(item.address, item.text));
+
+    await disasmCommentsSaveAsync();
+    return imported.length;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the comment list
+ */
+function disasmCommentsRender() {
+    const container = disasmCommentsState.container;
+    if (!container) return;
+
+    const comments = disasmCommentsGetAll();
+    if (comments.length === 0) {
+        container.html('<div class="trainer-empty">No comments. Double-click a line in the Disassembly tab to comment it.</div>');
+        return;
+    }
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>Address</th><th>Comment</th><th></th></tr>');
+
+    comments.forEach(comment => {
+        html.push(
+            `<tr data-address="${comment.address}">` +
+            `<td>$${formatHexWord(comment.address)}</td>` +
+            `<td>${escapeHtml(comment.text)}</td>` +
+            '<td class="trainer-actions">' +
+            '<button class="btn-primary" data-action="go">Go</button> ' +
+            '<button class="btn-danger" data-action="remove">Remove</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
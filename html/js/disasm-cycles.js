@@ -0,0 +1,196 @@
+/**
+ * disasm-cycles.js
+ * Disassembly Cycle Counting Component
+ *
+ * Cycle counts of the 6502 instructions (NMOS 6510, undocumented opcodes
+ * included) for the optional cycles column of the Disassembly Viewer, and
+ * the total of the instructions selected in edit mode, to check raster-timed
+ * code.
+ *
+ * Column notation:
+ * - "4"    fixed count
+ * - "4*"   +1 if the indexed address crosses a page (abs,X, abs,Y, (zp),Y)
+ * - "2/3"  branch: not taken / taken (+1 more if the target is in another
+ *          page, which is known from the branch address: "2/4")
+ *
+ * The page crossing of abs,X and abs,Y can't happen with a base address at
+ * the start of a page ($xx00), so those have a fixed count.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+/**
+ * Base cycles of each opcode. JAM halts the CPU (0).
+ */
+const DISASM_CYCLES_BASE = [
+//  x0 x1 x2 x3 x4 x5 x6 x7 x8 x9 xA xB xC xD xE xF
+    7, 6, 0, 8, 3, 3, 5, 5, 3, 2, 2, 2, 4, 4, 6, 6,  // 0x
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7,  // 1x
+    6, 6, 0, 8, 3, 3, 5, 5, 4, 2, 2, 2, 4, 4, 6, 6,  // 2x
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7,  // 3x
+    6, 6, 0, 8, 3, 3, 5, 5, 3, 2, 2, 2, 3, 4, 6, 6,  // 4x
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7,  // 5x
+    6, 6, 0, 8, 3, 3, 5, 5, 4, 2, 2, 2, 5, 4, 6, 6,  // 6x
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7,  // 7x
+    2, 6, 2, 6, 3, 3, 3, 3, 2, 2, 2, 2, 4, 4, 4, 4,  // 8x
+    2, 6, 0, 6, 4, 4, 4, 4, 2, 5, 2, 5, 5, 5, 5, 5,  // 9x
+    2, 6, 2, 6, 3, 3, 3, 3, 2, 2, 2, 2, 4, 4, 4, 4,  // Ax
+    2, 5, 0, 5, 4, 4, 4, 4, 2, 4, 2, 4, 4, 4, 4, 4,  // Bx
+    2, 6, 2, 8, 3, 3, 5, 5, 2, 2, 2, 2, 4, 4, 6, 6,  // Cx
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7,  // Dx
+    2, 6, 2, 8, 3, 3, 5, 5, 2, 2, 2, 2, 4, 4, 6, 6,  // Ex
+    2, 5, 0, 8, 4, 4, 6, 6, 2, 4, 2, 7, 4, 4, 7, 7   // Fx
+];
+
+/**
+ * Mnemonics that take one more cycle when an indexed read crosses a page.
+ * Stores and read-modify-write instructions always take the extra cycle.
+ */
+const DISASM_CYCLES_PAGE_PENALTY = new Set([
+    'ADC', 'AND', 'CMP', 'EOR', 'LDA', 'LDX', 'LDY', 'ORA', 'SBC', 'LAX', 'LAS', 'NOP'
+]);
+
+let disasmCyclesState = {
+    container: null          // Element for the selection total
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the cycle counting
+ * @param {jQuery} container - Element for the total of the selection
+ */
+function disasmCyclesInit(container) {
+    disasmCyclesState.container = container;
+    disasmCyclesRenderSelection();
+}
+
+// ============================================================================
+// CYCLES
+// ============================================================================
+
+/**
+ * Get the cycles of an instruction
+ * @param {Object} instr - Disassembly line: { address, bytes, data }
+ * @returns {Object|null} { min, max, pageCross, branch }, or null for data
+ *   lines and instructions cut by the end of the bytes. min: no penalty,
+ *   max: branch taken or page crossed.
+ */
+function disasmCyclesGet(instr) {
+    const bytes = instr.bytes || [];
+    if (instr.data || bytes.length === 0 || bytes.includes(undefined)) return null;
+
+    const info = asm6502GetOpcodeInfo(bytes[0]);
+    const base = DISASM_CYCLES_BASE[bytes[0]];
+    const result = { min: base, max: base, pageCross: false, branch: false };
+
+    if (info.mode === 'rel') {
+        const next = (instr.address + 2) & 0xFFFF;
+        const target = (next + (bytes[1] > 127 ? bytes[1] - 256 : bytes[1])) & 0xFFFF;
+        result.branch = true;
+        result.pageCross = (target & 0xFF00) !== (next & 0xFF00);
+        result.max = base + (result.pageCross ? 2 : 1);
+    } else if (DISASM_CYCLES_PAGE_PENALTY.has(info.mnemonic)) {
+        const indexed = info.mode === 'abx' || info.mode === 'aby';
+        if ((indexed && bytes[1] !== 0) || info.mode === 'izy') {
+            result.pageCross = true;
+            result.max = base + 1;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get the cycles of the instructions that start in an address range
+ * @param {Array<Object>} lines - Disassembly lines
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ * @returns {Object} { instructions, min, max }
+ */
+function disasmCyclesGetTotal(lines, start, end) {
+    const total = { instructions: 0, min: 0, max: 0 };
+
+    lines.forEach(instr => {
+        if (instr.address < start || instr.address > end) return;
+
+        const cycles = disasmCyclesGet(instr);
+        if (!cycles) return;
+
+        total.instructions++;
+        total.min += cycles.min;
+        total.max += cycles.max;
+    });
+
+    return total;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the cycles column of a disassembly line
+ * @param {Object} instr - Disassembly line
+ * @returns {string} HTML for cycles column (empty column for data lines)
+ */
+function disasmCyclesRender(instr) {
+    const cycles = disasmCyclesGet(instr);
+    if (!cycles) {
+        return '<span class="disasm-col-cycles"></span>';
+    }
+
+    let text = String(cycles.min);
+    let title = `${cycles.min} cycles`;
+    if (cycles.min === 0) {
+        title = 'Halts the CPU';
+    } else if (cycles.branch) {
+        text += `/${cycles.max}`;
+        title = `Not taken: ${cycles.min} cycles, taken: ${cycles.max}` +
+            (cycles.pageCross ? ' (the target is in another page)' : '');
+    } else if (cycles.pageCross) {
+        text += '*';
+        title += `, ${cycles.max} if the address crosses a page`;
+    }
+
+    return `<span class="disasm-col-cycles" title="${title}">${text}</span>`;
+}
+
+/**
+ * Show the total cycles of the instructions selected in edit mode (see
+ * disasmEditorRenderSelection). Instructions count if they start in the
+ * selection.
+ */
+function disasmCyclesRenderSelection() {
+    const container = disasmCyclesState.container;
+    if (!container) return;
+
+    const state = disasmEditorState;
+    if (!state.showCycles || !state.editMode || !state.selection.active) {
+        container.text('');
+        return;
+    }
+
+    const startByte = Math.floor(Math.min(state.selection.anchorNibble, state.selection.endNibble) / 2);
+    const endByte = Math.floor(Math.max(state.selection.anchorNibble, state.selection.endNibble) / 2);
+    const start = state.startAddress + startByte;
+    const end = state.startAddress + endByte;
+
+    const lines = disasmEditorDisassemble(Array.from(state.currentData), state.startAddress);
+    const total = disasmCyclesGetTotal(lines, start, end);
+    const cycles = total.min === total.max ? `${total.min}` : `${total.min}-${total.max}`;
+
+    container.text(
+        `Selection $${formatHexWord(start)}-$${formatHexWord(end)}: ` +
+        `${total.instructions} instruction${total.instructions === 1 ? '' : 's'}, ${cycles} cycles`
+    );
+}
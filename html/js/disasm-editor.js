@@ -20,12 +20,17 @@ let disasmEditorState = {
     currentLength: 48,
     libraryLoaded: false,
     showAllOpcodes: false,
+    showSymbols: true,       // Symbol names in operands and line labels (see symbol-table.js)
+    showCycles: false,       // Cycles column and selection total (see disasm-cycles.js)
 
     // Edit mode
     editMode: false,
     modalOpen: false,
+    history: null,           // Undo/redo history of the edit session (see edit-history.js)
     originalData: null,
-    currentData: null,
+    currentData: null,       // Edit buffer, or the bytes of the last load in browse mode
+    dataAddress: 0,          // Address of the first byte of currentData
+    pendingAddress: null,    // Address of the page load in progress (null if none)
     editableLength: 0,
 
     // Instruction tracking (rebuilt after each modification)
@@ -114,6 +119,24 @@ function disasmEditorSetShowAllOpcodes(showAll) {
     console.log('DisasmEditor: Show all opcodes:', showAll);
 }
 
+/**
+ * Set whether to show symbol names (imported and C64 memory map) in operands
+ * @param {boolean} showSymbols - True for STA VIC_BORDER, false for STA $D020
+ */
+function disasmEditorSetShowSymbols(showSymbols) {
+    disasmEditorState.showSymbols = showSymbols;
+    console.log('DisasmEditor: Show symbols:', showSymbols);
+}
+
+/**
+ * Set whether to show the cycles of each instruction
+ * @param {boolean} showCycles - True to show the cycles column
+ */
+function disasmEditorSetShowCycles(showCycles) {
+    disasmEditorState.showCycles = showCycles;
+    console.log('DisasmEditor: Show cycles:', showCycles);
+}
+
 // ============================================================================
 // RENDERING
 // ============================================================================
@@ -148,13 +171,23 @@ function disasmEditorLoadAndDisassemble(callback) {
     }
 
     disasmEditorState.libraryLoaded = true;
+    disasmEditorState.pendingAddress = address;
 
     readMemory(address, length,
         function(arrayBuffer) {
+            // Drop the response if the view moved on or entered edit mode meanwhile
+            const state = disasmEditorState;
+            if (state.pendingAddress === address) state.pendingAddress = null;
+            if (state.editMode || address !== state.startAddress || length !== state.currentLength) {
+                return;
+            }
+
             try {
                 const bytes = Array.from(new Uint8Array(arrayBuffer));
-                const disasmResult = window.reasm6502.disasm(bytes, address);
+                const disasmResult = disasmEditorDisassemble(bytes, address);
 
+                disasmEditorState.currentData = new Uint8Array(bytes);
+                disasmEditorState.dataAddress = address;
                 disasmEditorRenderDisassembly(disasmResult, bytes, address);
 
                 if (callback) {
@@ -165,11 +198,64 @@ function disasmEditorLoadAndDisassemble(callback) {
             }
         },
         function(errorMsg) {
+            if (disasmEditorState.pendingAddress === address) disasmEditorState.pendingAddress = null;
             showError(`Error reading memory: ${errorMsg}`);
-        }
+        },
+        { priority: API_PRIORITY.NAVIGATION, channel: 'disasm' }
     );
 }
 
+/**
+ * Disassemble a block of memory following the marked regions: code with
+ * 6502-reasm, data regions as .byte/.word/.text lines (see disasm-regions.js)
+ * @param {Array} bytes - Array of byte values
+ * @param {number} startAddress - Address of the first byte
+ * @returns {Array} Lines: instruction objects of 6502-reasm and data lines
+ */
+function disasmEditorDisassemble(bytes, startAddress) {
+    const lines = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const type = disasmRegionsGetType(startAddress + offset) || 'code';
+        let end = offset + 1;
+        while (end < bytes.length && (disasmRegionsGetType(startAddress + end) || 'code') === type) {
+            end++;
+        }
+
+        const slice = bytes.slice(offset, end);
+        if (type !== 'code') {
+            lines.push(...disasmRegionsFormatData(slice, startAddress + offset, type));
+        } else {
+            const instructions = window.reasm6502.disasm(slice, startAddress + offset);
+            const last = instructions[instructions.length - 1];
+
+            // An instruction cut by a data region is shown as bytes
+            const lastOffset = last ? last.address - startAddress : 0;
+            if (end < bytes.length && last && lastOffset + asm6502GetOpcodeInfo(bytes[lastOffset]).size > end) {
+                instructions.pop();
+                lines.push(...instructions, ...disasmRegionsFormatData(bytes.slice(lastOffset, end), last.address, 'bytes'));
+            } else {
+                lines.push(...instructions);
+            }
+        }
+
+        offset = end;
+    }
+
+    return lines;
+}
+
+/**
+ * Check if symbol names can replace the address of a line: instructions,
+ * words and pointers (not bytes or text)
+ * @param {Object} instr - Disassembly line
+ * @returns {boolean} True if the operand is an address
+ */
+function disasmEditorIsSymbolic(instr) {
+    return !instr.data || instr.data === 'words' || instr.data === 'pointers';
+}
+
 /**
  * Render disassembly result
  * @param {Array} instructions - Array of instruction objects from 6502-reasm
@@ -199,14 +285,27 @@ function disasmEditorRenderDisassembly(instructions, bytes, startAddress) {
         const col2 = `<span class="disasm-col-bytes">${bytesHex}</span>`;
 
         let assembly = instr.assembly || '???';
-        if (!disasmEditorState.showAllOpcodes && assembly !== '???' && !isOfficialOpcode(assembly)) {
+        if (!instr.data && !disasmEditorState.showAllOpcodes && assembly !== '???' && !isOfficialOpcode(assembly)) {
             assembly = '???';
         }
-        const col3 = `<span class="disasm-col-instr">${assembly}</span>`;
+        if (disasmEditorState.showSymbols && assembly !== '???' && disasmEditorIsSymbolic(instr)) {
+            assembly = symbolTableSymbolize(assembly);
+        }
+        const col3 = `<span class="disasm-col-instr">${escapeHtml(assembly)}</span>`;
+        const cycles = disasmEditorState.showCycles ? disasmCyclesRender(assembly === '???' ? { data: true } : instr) : '';
 
         const col4 = disasmEditorGetJumpTarget(instr, bytes, startAddress);
+        const col5 = disasmEditorRenderComment(addr);
+
+        // Line label from the imported symbols, with the references to the line
+        // (see disasm-xref.js). Not a .disasm-row: rows map to instructions.
+        const label = disasmEditorState.showSymbols ? symbolTableGetName(addr) : null;
+        const xref = disasmXrefRenderInline(addr);
+        if (label || xref) {
+            html += `<div class="disasm-label-row">${label ? escapeHtml(label) + ':' : ''}${xref}</div>`;
+        }
 
-        html += `<div class="disasm-row">${col1}${col2}${col3}${col4}</div>`;
+        html += `<div class="disasm-row">${col1}${col2}${col3}${cycles}${col4}${col5}</div>`;
     }
 
     $display.html(html);
@@ -265,15 +364,31 @@ function disasmEditorRenderDisassemblyEditMode(instructions, bytes, startAddress
         bytesHtml = bytesHtml.padEnd(27, ' ');
         const col2 = `<span class="disasm-col-bytes">${bytesHtml}</span>`;
 
+        // Undocumented opcodes are always shown while editing, and unstable ones flagged
+        const info = instr.data ? null : asm6502GetOpcodeInfo(instrBytes[0]);
         let assembly = instr.assembly || '???';
-        if (!state.showAllOpcodes && assembly !== '???' && !isOfficialOpcode(assembly)) {
-            assembly = '???';
+        let instrClass = '';
+        let instrTitle = '';
+        if (info && !info.official) {
+            assembly = asm6502DisassembleOne(instrBytes, 0, addr).assembly;
+            instrClass = ' disasm-instr-undocumented';
+            if (info.unstable || info.mnemonic === 'JAM') {
+                instrClass += ' disasm-instr-unstable';
+                instrTitle = info.unstable ? 'Unstable opcode: the result depends on the chip' : 'Halts the CPU';
+            } else {
+                instrTitle = 'Undocumented opcode';
+            }
         }
-        const col3 = `<span class="disasm-col-instr">${assembly}</span>`;
+        if (state.showSymbols && assembly !== '???' && disasmEditorIsSymbolic(instr)) {
+            assembly = symbolTableSymbolize(assembly);
+        }
+        const col3 = `<span class="disasm-col-instr${instrClass}"${instrTitle ? ` title="${instrTitle}"` : ''}>${escapeHtml(assembly)}</span>`;
+        const cycles = state.showCycles ? disasmCyclesRender(assembly === '???' ? { data: true } : instr) : '';
 
         const col4 = disasmEditorGetJumpTarget(instr, bytes, startAddress);
+        const col5 = disasmEditorRenderComment(addr);
 
-        html += `<div class="disasm-row">${col1}${col2}${col3}${col4}</div>`;
+        html += `<div class="disasm-row">${col1}${col2}${col3}${cycles}${col4}${col5}</div>`;
     }
 
     $display.html(html);
@@ -285,7 +400,7 @@ function disasmEditorRenderDisassemblyEditMode(instructions, bytes, startAddress
 function disasmEditorRenderDisassemblyFromData() {
     const state = disasmEditorState;
     const bytes = Array.from(state.currentData);
-    const disasmResult = window.reasm6502.disasm(bytes, state.startAddress);
+    const disasmResult = disasmEditorDisassemble(bytes, state.startAddress);
     const mapData = disasmEditorBuildInstructionMap(disasmResult);
 
     state.instructionBoundaries = mapData.boundaries;
@@ -297,13 +412,30 @@ function disasmEditorRenderDisassemblyFromData() {
 }
 
 /**
- * Get jump target for an instruction
- * @param {Object} instr - Instruction object
- * @param {Array} bytes - Array of byte values
- * @param {number} startAddress - Starting address
- * @returns {string} HTML for jump target column
+ * Re-render the loaded bytes without reading memory (after a change that
+ * only affects the annotations, e.g. the comments)
  */
-function disasmEditorGetJumpTarget(instr, bytes, startAddress) {
+function disasmEditorRerender() {
+    const state = disasmEditorState;
+    if (!state.currentData) return;
+
+    if (state.editMode) {
+        disasmEditorReassemble(state.cursor.byteIndex, state.cursor.nibble);
+        disasmEditorRenderSelection();
+        return;
+    }
+
+    const bytes = Array.from(state.currentData);
+    const disasmResult = disasmEditorDisassemble(bytes, state.dataAddress);
+    disasmEditorRenderDisassembly(disasmResult, bytes, state.dataAddress);
+}
+
+/**
+ * Get the target address of a branch, JMP or JSR instruction
+ * @param {Object} instr - Instruction object: { address, assembly, bytes }
+ * @returns {number|null} Target address, or null if not a direct jump (JMP ($xxxx) included)
+ */
+function disasmEditorGetTargetAddress(instr) {
     const assembly = instr.assembly || '';
     const addr = instr.address;
     const instrBytes = instr.bytes || [];
@@ -312,23 +444,39 @@ function disasmEditorGetJumpTarget(instr, bytes, startAddress) {
         if (instrBytes.length === 2) {
             const offset = instrBytes[1];
             const signedOffset = offset > 127 ? offset - 256 : offset;
-            const targetAddr = (addr + 2 + signedOffset) & 0xFFFF;
-            return `<span class="disasm-col-target">→ $${formatHexWord(targetAddr)}</span>`;
+            return (addr + 2 + signedOffset) & 0xFFFF;
         }
     }
 
-    if (/^JMP\s\$[0-9A-F]{4}/.test(assembly)) {
+    if (/^(JMP|JSR)\s\$[0-9A-F]{4}/.test(assembly)) {
         if (instrBytes.length === 3) {
-            const targetAddr = instrBytes[1] | (instrBytes[2] << 8);
-            return `<span class="disasm-col-target">→ $${formatHexWord(targetAddr)}</span>`;
+            return instrBytes[1] | (instrBytes[2] << 8);
         }
     }
 
-    if (/^JSR\s\$[0-9A-F]{4}/.test(assembly)) {
-        if (instrBytes.length === 3) {
-            const targetAddr = instrBytes[1] | (instrBytes[2] << 8);
-            return `<span class="disasm-col-target">→ $${formatHexWord(targetAddr)}</span>`;
-        }
+    return null;
+}
+
+/**
+ * Get jump target for an instruction
+ * @param {Object} instr - Instruction object
+ * @param {Array} bytes - Array of byte values
+ * @param {number} startAddress - Starting address
+ * @returns {string} HTML for jump target column
+ */
+function disasmEditorGetJumpTarget(instr, bytes, startAddress) {
+    const assembly = instr.assembly || '';
+    const addr = instr.address;
+    const instrBytes = instr.bytes || [];
+
+    // Pointer tables (see disasm-regions.js)
+    if (instr.data === 'pointers' && instr.target !== undefined) {
+        return disasmEditorRenderTarget(instr.target, `→ $${formatHexWord(instr.target)}`);
+    }
+
+    const targetAddr = disasmEditorGetTargetAddress(instr);
+    if (targetAddr !== null) {
+        return disasmEditorRenderTarget(targetAddr, `→ $${formatHexWord(targetAddr)}`);
     }
 
     if (/^JMP\s\(\$[0-9A-F]{4}\)/.test(assembly)) {
@@ -339,7 +487,13 @@ function disasmEditorGetJumpTarget(instr, bytes, startAddress) {
             disasmEditorPeekIndirectTarget(indirectAddr, function(targetAddr) {
                 if (targetAddr !== null) {
                     const targetHex = formatHexWord(targetAddr);
-                    $(`.disasm-row`).eq(disasmEditorGetInstrIndex(addr)).find('.disasm-col-target').html(`→ ($${indirectHex}) $${targetHex}`);
+                    const $row = $(`.disasm-row`).eq(disasmEditorGetInstrIndex(addr));
+                    // The view may have moved on while the peek was queued
+                    if (parseInt($row.find('.disasm-col-addr').text().replace('$', ''), 16) === addr) {
+                        $row.find('.disasm-col-target').replaceWith(
+                            disasmEditorRenderTarget(targetAddr, `→ ($${indirectHex}) $${targetHex}`)
+                        );
+                    }
                 }
             });
 
@@ -350,6 +504,27 @@ function disasmEditorGetJumpTarget(instr, bytes, startAddress) {
     return '<span class="disasm-col-target"></span>';
 }
 
+/**
+ * Render the jump target column of an instruction with a known target.
+ * Clicking it follows the jump (handled by the Disassembly Viewer tab).
+ * @param {number} targetAddr - Target address
+ * @param {string} text - Text of the column
+ * @returns {string} HTML for jump target column
+ */
+function disasmEditorRenderTarget(targetAddr, text) {
+    return `<span class="disasm-col-target disasm-target-link" data-target="${targetAddr}" title="Follow (click)">${text}</span>`;
+}
+
+/**
+ * Render the comment column of a line (see disasm-comments.js)
+ * @param {number} address - Address of the line
+ * @returns {string} HTML for comment column, empty if the line has no comment
+ */
+function disasmEditorRenderComment(address) {
+    const comment = disasmCommentsGet(address);
+    return comment ? `<span class="disasm-col-comment">; ${escapeHtml(comment)}</span>` : '';
+}
+
 /**
  * Get instruction index by address
  * @param {number} addr - Address to find
@@ -367,7 +542,8 @@ function disasmEditorGetInstrIndex(addr) {
 }
 
 /**
- * Read indirect target address
+ * Read indirect target address. The read joins the 'disasm' channel, so the
+ * next page load cancels it (see disasmEditorLoadAndDisassemble).
  * @param {number} indirectAddr - Indirect address to read
  * @param {Function} callback - Callback with target address
  */
@@ -380,7 +556,8 @@ function disasmEditorPeekIndirectTarget(indirectAddr, callback) {
         },
         function(error) {
             callback(null);
-        }
+        },
+        { priority: API_PRIORITY.NAVIGATION, channel: 'disasm', cancelChannel: false }
     );
 }
 
@@ -395,7 +572,8 @@ function disasmEditorUpdateSubheader() {
     const endHex = formatHexWord(endAddr);
 
     $('#disasm-current-address').text(
-        `$${startHex} (${startAddr}) - $${endHex} (${endAddr})`
+        `$${startHex} (${startAddr}) - $${endHex} (${endAddr})` +
+        ` | ${c64MemoryMapGetRegionNames(startAddr, endAddr)}`
     );
 }
 
@@ -454,7 +632,7 @@ function disasmEditorReassemble(targetByteIndex, targetNibble) {
     const state = disasmEditorState;
 
     const bytes = Array.from(state.currentData);
-    const disasmResult = window.reasm6502.disasm(bytes, state.startAddress);
+    const disasmResult = disasmEditorDisassemble(bytes, state.startAddress);
 
     const mapData = disasmEditorBuildInstructionMap(disasmResult);
     state.instructionBoundaries = mapData.boundaries;
@@ -483,17 +661,19 @@ function disasmEditorReassemble(targetByteIndex, targetNibble) {
 function disasmEditorEnterEditMode() {
     const state = disasmEditorState;
     state.editMode = true;
+    state.history = editHistoryCreate();
 
     const length = state.currentLength;
 
     readMemory(state.startAddress, length,
         function(arrayBuffer) {
             const rawBytes = Array.from(new Uint8Array(arrayBuffer));
-            const disasmResult = window.reasm6502.disasm(rawBytes, state.startAddress);
+            const disasmResult = disasmEditorDisassemble(rawBytes, state.startAddress);
             const mapData = disasmEditorBuildInstructionMap(disasmResult);
 
             state.originalData = mapData.validBytes;
             state.currentData = new Uint8Array(mapData.validBytes);
+            state.dataAddress = state.startAddress;
             state.editableLength = mapData.validBytes.length;
             state.instructionBoundaries = mapData.boundaries;
             state.byteToInstrMap = mapData.byteToInstrMap;
@@ -540,6 +720,8 @@ function disasmEditorExitEditMode(save, skipReload) {
 
     state.editMode = false;
     state.selection.active = false;
+    state.history = null;
+    disasmCyclesRenderSelection();
 
     disasmEditorStopCursorBlink();
 
@@ -900,6 +1082,7 @@ function disasmEditorTypeChar(char) {
     const byteIndex = state.cursor.byteIndex;
     const nibble = state.cursor.nibble;
 
+    const before = editHistoryCapture(state.currentData, state.cursor);
     let byte = state.currentData[byteIndex];
     const nibbleValue = parseInt(char, 16);
 
@@ -910,6 +1093,7 @@ function disasmEditorTypeChar(char) {
     }
 
     state.currentData[byteIndex] = byte;
+    editHistoryRecord(state.history, before, state.currentData);
 
     const nibbleIndex = byteIndex * 2 + nibble;
     const maxNibble = state.currentData.length * 2 - 1;
@@ -941,6 +1125,7 @@ function disasmEditorBackspace() {
     const prevByteIndex = Math.floor(prevNibbleIndex / 2);
     const prevNibble = prevNibbleIndex % 2;
 
+    const before = editHistoryCapture(state.currentData, state.cursor);
     const originalByte = state.originalData[prevByteIndex];
     let currentByte = state.currentData[prevByteIndex];
 
@@ -951,6 +1136,7 @@ function disasmEditorBackspace() {
     }
 
     state.currentData[prevByteIndex] = currentByte;
+    editHistoryRecord(state.history, before, state.currentData);
 
     disasmEditorReassemble(prevByteIndex, prevNibble);
 }
@@ -963,7 +1149,9 @@ function disasmEditorDelete() {
     const byteIndex = state.cursor.byteIndex;
 
     if (state.currentData[byteIndex] !== state.originalData[byteIndex]) {
+        const before = editHistoryCapture(state.currentData, state.cursor);
         state.currentData[byteIndex] = state.originalData[byteIndex];
+        editHistoryRecord(state.history, before, state.currentData);
         disasmEditorReassemble(state.cursor.byteIndex, state.cursor.nibble);
     }
 }
@@ -978,13 +1166,15 @@ function disasmEditorDelete() {
 function disasmEditorClearSelection() {
     disasmEditorState.selection.active = false;
     $('.disasm-nibble').removeClass('disasm-nibble-selected');
+    disasmCyclesRenderSelection();
 }
 
 /**
- * Render selection visual
+ * Render selection visual and its cycles (see disasm-cycles.js)
  */
 function disasmEditorRenderSelection() {
     $('.disasm-nibble').removeClass('disasm-nibble-selected');
+    disasmCyclesRenderSelection();
 
     const state = disasmEditorState;
     if (!state.selection.active) return;
@@ -1019,6 +1209,7 @@ function disasmEditorReplaceSelection(char) {
     const end = Math.max(state.selection.anchorNibble, state.selection.endNibble);
 
     const nibbleValue = parseInt(char, 16);
+    const before = editHistoryCapture(state.currentData, state.cursor);
 
     for (let nibbleIndex = start; nibbleIndex <= end; nibbleIndex++) {
         const byteIndex = Math.floor(nibbleIndex / 2);
@@ -1033,6 +1224,7 @@ function disasmEditorReplaceSelection(char) {
 
         state.currentData[byteIndex] = byte;
     }
+    editHistoryRecord(state.history, before, state.currentData);
 
     disasmEditorSetCursor(Math.floor(end / 2), end % 2);
     disasmEditorClearSelection();
@@ -1040,6 +1232,38 @@ function disasmEditorReplaceSelection(char) {
     disasmEditorReassemble(state.cursor.byteIndex, state.cursor.nibble);
 }
 
+// ============================================================================
+// UNDO / REDO
+// ============================================================================
+
+/**
+ * Undo the last change of the edit session
+ */
+function disasmEditorUndo() {
+    const state = disasmEditorState;
+    disasmEditorRestoreStep(editHistoryUndo(state.history, state.currentData, state.cursor));
+}
+
+/**
+ * Redo the last undone change of the edit session
+ */
+function disasmEditorRedo() {
+    const state = disasmEditorState;
+    disasmEditorRestoreStep(editHistoryRedo(state.history, state.currentData, state.cursor));
+}
+
+/**
+ * Restore the data and cursor of a history step
+ * @param {Object|null} step - Step from editHistoryUndo/editHistoryRedo (null = nothing to do)
+ */
+function disasmEditorRestoreStep(step) {
+    if (!step) return;
+
+    disasmEditorState.currentData = step.data;
+    disasmEditorClearSelection();
+    disasmEditorReassemble(step.cursor.byteIndex, step.cursor.nibble);
+}
+
 // ============================================================================
 // CLIPBOARD OPERATIONS
 // ============================================================================
@@ -1123,9 +1347,11 @@ function disasmEditorPaste() {
             maxBytes = bytes.length;
         }
 
+        const before = editHistoryCapture(state.currentData, state.cursor);
         for (let i = 0; i < maxBytes && byteIndex < state.currentData.length; i++, byteIndex++) {
             state.currentData[byteIndex] = bytes[i];
         }
+        editHistoryRecord(state.history, before, state.currentData);
 
         if (keepCursor) {
             disasmEditorSetCursor(savedCursorByte, savedCursorNibble);
@@ -1172,40 +1398,107 @@ function disasmEditorShowPasteDialog(callback) {
 }
 
 /**
- * Paste assembly code from clipboard
+ * Show the dialog to comment a line (browse mode)
+ * @param {number} address - Address of the line
+ */
+function disasmEditorEditComment(address) {
+    if (disasmEditorState.editMode || disasmEditorState.modalOpen) return;
+
+    disasmEditorState.modalOpen = true;
+
+    showInputDialog({
+        title: `Comment for $${formatHexWord(address)} (empty to remove)`,
+        placeholder: 'Wait for raster line $F8',
+        submitText: 'Save',
+        value: disasmCommentsGet(address) || '',
+        allowEmpty: true,
+        onSubmit: (text) => {
+            disasmCommentsSetAsync(address, text).catch(error => showError(`Comment error: ${error.message}`));
+        },
+        onCancel: () => { disasmEditorState.modalOpen = false; }
+    });
+}
+
+/**
+ * Paste assembly code from clipboard.
+ * The code is assembled at the cursor address (see asm6502.js). Bytes inside
+ * the edit range go to the edit buffer; bytes outside it (past the end or
+ * after "*=") are written to memory directly after confirmation.
  */
 function disasmEditorPasteAsm() {
+    // Returns an error message to show in the paste dialog, or null
     function processAsm(text) {
-        try {
-            if (typeof window.reasm6502 === 'undefined' || !window.reasm6502.reasm) {
-                showError('6502-reasm library not loaded');
-                return;
-            }
+        const state = disasmEditorState;
+        const result = asm6502Assemble(text, {
+            origin: state.startAddress + state.cursor.byteIndex,
+            resolve: disasmEditorResolveSymbol
+        });
 
-            const bytes = window.reasm6502.reasm(text.toUpperCase());
-            if (!bytes || bytes.length === 0) {
-                showError('Failed to assemble code');
-                return;
-            }
+        if (result.errors.length > 0) {
+            return asm6502FormatErrors(result.errors);
+        }
+        if (result.segments.length === 0) {
+            return 'No code to assemble';
+        }
+        if (result.warnings.length > 0 &&
+            !confirm(`The code uses opcodes that may not work as expected:\n${asm6502FormatErrors(result.warnings)}\n\nPaste anyway?`)) {
+            return 'Paste cancelled: unstable opcodes\n' + asm6502FormatErrors(result.warnings);
+        }
 
-            const state = disasmEditorState;
-            const startByte = state.cursor.byteIndex;
-            const maxBytes = state.currentData.length - startByte;
-            const bytesToPaste = bytes.slice(0, maxBytes);
+        // Split the output into the edit buffer and blocks outside it
+        const bufferEnd = state.startAddress + state.currentData.length;
+        const inside = [];
+        const outside = [];
+        result.segments.forEach(segment => {
+            segment.bytes.forEach((value, i) => {
+                const address = segment.address + i;
+                if (address >= state.startAddress && address < bufferEnd) {
+                    inside.push({ address: address, value: value });
+                    return;
+                }
+                const block = outside[outside.length - 1];
+                if (block && block.address + block.data.length === address) {
+                    block.data.push(value);
+                } else {
+                    outside.push({ address: address, data: [value] });
+                }
+            });
+        });
 
-            for (let i = 0; i < bytesToPaste.length; i++) {
-                state.currentData[startByte + i] = bytesToPaste[i];
+        if (outside.length > 0) {
+            const count = outside.reduce((total, block) => total + block.data.length, 0);
+            const ranges = outside.map(b => `$${formatHexWord(b.address)}-$${formatHexWord(b.address + b.data.length - 1)}`).join(', ');
+            if (!confirm(`${count} assembled bytes are outside the edit range (${ranges}).\nWrite them to memory now?`)) {
+                return 'Paste cancelled: the code does not fit in the edit range';
             }
 
+            writeJournalWrite(outside, 'Assembly paste',
+                () => console.log(`DisasmEditor: Wrote ${count} assembled bytes outside the edit range`),
+                (errorMsg) => showError('Assembly write failed: ' + errorMsg)
+            );
+        }
+
+        if (inside.length > 0) {
+            const before = editHistoryCapture(state.currentData, state.cursor);
+            inside.forEach(b => {
+                state.currentData[b.address - state.startAddress] = b.value;
+            });
+            editHistoryRecord(state.history, before, state.currentData);
+
             disasmEditorReassemble(state.cursor.byteIndex, state.cursor.nibble);
-            console.log('DisasmEditor: Pasted', bytesToPaste.length, 'bytes from assembly');
-        } catch (e) {
-            showError('Assembly error: ' + e.message);
         }
+
+        console.log('DisasmEditor: Pasted', inside.length, 'bytes from assembly');
+        return null;
     }
 
     if (navigator.clipboard && navigator.clipboard.readText) {
-        navigator.clipboard.readText().then(processAsm).catch(() => {
+        navigator.clipboard.readText().then(text => {
+            const error = processAsm(text);
+            if (error) {
+                disasmEditorShowPasteAsmDialog(processAsm, text, error);
+            }
+        }).catch(() => {
             disasmEditorShowPasteAsmDialog(processAsm);
         });
     } else {
@@ -1213,18 +1506,34 @@ function disasmEditorPasteAsm() {
     }
 }
 
+/**
+ * Get the address of a symbol used in pasted assembly: an imported symbol,
+ * or a name of the C64 memory map (as shown in the disassembly)
+ * @param {string} name - Symbol name
+ * @returns {number|null} Address, or null if not found
+ */
+function disasmEditorResolveSymbol(name) {
+    const address = symbolTableGetAddress(name);
+    return address !== null ? address : c64MemoryMapGetAddress(name);
+}
+
 /**
  * Show manual paste assembly dialog
- * @param {Function} callback - Function to call with assembly text
+ * @param {Function} callback - Function to call with assembly text, returns an error message or null
+ * @param {string} text - Optional initial text
+ * @param {string} error - Optional error message to show
  */
-function disasmEditorShowPasteAsmDialog(callback) {
+function disasmEditorShowPasteAsmDialog(callback, text, error) {
     disasmEditorState.modalOpen = true;
 
     showInputDialog({
-        title: 'Paste assembly code below',
-        placeholder: 'LDA #$00\nSTA $0400\nRTS',
-        submitText: 'Paste',
-        onSubmit: (text) => { callback(text); },
+        title: 'Paste assembly code below (Ctrl+Enter to assemble)',
+        placeholder: '        ldx #0\nloop:   lda msg,x\n        beq done\n        sta $0400,x\n        inx\n        bne loop\ndone:   rts\nmsg:    .text "HELLO", 0',
+        submitText: 'Assemble',
+        value: text,
+        error: error,
+        multiline: true,
+        onSubmit: (text) => callback(text),
         onCancel: () => { disasmEditorState.modalOpen = false; }
     });
 }
@@ -1459,7 +1768,7 @@ function disasmEditorSaveChanges(callback, errorCallback) {
 
     console.log(`DisasmEditor: Writing ${length} bytes from $${formatHexWord(startAddress)} to $${formatHexWord(endAddress)}`);
 
-    writeMemory(startAddress, dataToWrite,
+    writeJournalWrite([{ address: startAddress, data: dataToWrite }], 'Disassembly edit',
         function() {
             console.log('DisasmEditor: Save successful');
             if (callback) callback();
@@ -1550,6 +1859,18 @@ function disasmEditorHandleEditModeKey(e) {
         disasmEditorSelectAll();
         return true;
     }
+    if (ctrl && key.toLowerCase() === 'z') {
+        if (shift) {
+            disasmEditorRedo();
+        } else {
+            disasmEditorUndo();
+        }
+        return true;
+    }
+    if (ctrl && key === 'y') {
+        disasmEditorRedo();
+        return true;
+    }
 
     if (e.ctrlKey || e.altKey) {
         return false;
@@ -1613,13 +1934,6 @@ function disasmEditorHandleBrowseModeKey(e) {
         return false;
     }
 
-    if (isApiBusy()) {
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'r', 'R'].includes(e.key)) {
-            return true;
-        }
-        return false;
-    }
-
     if (e.ctrlKey || e.shiftKey || e.altKey) {
         return false;
     }
@@ -0,0 +1,459 @@
+/**
+ * disasm-export.js
+ * Disassembly Export Component
+ *
+ * Disassembles a memory range into a source file that re-assembles to the
+ * same bytes with KickAssembler, ACME or 64tass:
+ * - Branch and jump targets inside the range get labels (imported symbols
+ *   when available, L_C010 otherwise)
+ * - Operands outside the range use the imported symbols and C64 memory map
+ *   names, defined as constants at the top of the file
+ * - Data regions (see disasm-regions.js) become .byte lines, or .word lines
+ *   for words and pointer tables (pointers use labels like jumps)
+ * - Code that would not assemble to the same bytes becomes .byte lines:
+ *   undocumented opcodes (unless enabled), absolute addressing of zero page,
+ *   repeated opcodes and instructions cut by a data region or the range end
+ * - Comments (see disasm-comments.js) are added to the comment of their line
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// SYNTAXES
+// ============================================================================
+
+const DISASM_EXPORT_BYTES_PER_LINE = 8;
+const DISASM_EXPORT_COMMENT_COLUMN = 32;
+
+/**
+ * Zero page equivalent of the absolute modes: absolute instructions with a
+ * zero page address would be assembled as the shorter zero page form
+ */
+const DISASM_EXPORT_ZERO_PAGE_MODES = { abs: 'zp', abx: 'zpx', aby: 'zpy' };
+
+/**
+ * Source syntaxes. mnemonics: undocumented mnemonics spelled differently
+ * (null if the assembler has no name for the opcode, exported as .byte)
+ */
+const DISASM_EXPORT_SYNTAXES = {
+    kickass: {
+        label: 'KickAssembler',
+        comment: '//',
+        cpu: '.cpu _6502',
+        byte: '.byte',
+        word: '.word',
+        labelSuffix: ':',
+        constant: (name, value) => `.label ${name} = ${value}`,
+        mnemonics: { SBX: 'axs', ANE: 'xaa', SHA: 'ahx', JAM: null }
+    },
+    acme: {
+        label: 'ACME',
+        comment: ';',
+        cpu: '!cpu 6510',
+        byte: '!byte',
+        word: '!word',
+        labelSuffix: '',
+        constant: (name, value) => `${name} = ${value}`,
+        mnemonics: { ALR: 'asr' }
+    },
+    tass64: {
+        label: '64tass',
+        comment: ';',
+        cpu: '.cpu "6502i"',
+        byte: '.byte',
+        word: '.word',
+        labelSuffix: '',
+        constant: (name, value) => `${name} = ${value}`,
+        mnemonics: {}
+    }
+};
+
+let disasmExportState = {
+    busy: false
+};
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Read a memory range and download it as a source file
+ * @param {Object} options - { start, end, syntax, allOpcodes, useSymbols, onProgress(done, total) }
+ * @returns {Promise<Object>} Promise resolving with { filename, lines }
+ */
+async function disasmExportAsync(options) {
+    if (disasmExportState.busy) {
+        throw new Error('An export is already in progress');
+    }
+    if (options.start === null || options.end === null || options.end < options.start) {
+        throw new Error('Invalid range. Enter the start and end addresses in hex (end >= start).');
+    }
+
+    disasmExportState.busy = true;
+
+    try {
+        const length = options.end - options.start + 1;
+        const bytes = await readMemoryRangeAsync(options.start, length, {
+            priority: API_PRIORITY.USER,
+            onProgress: options.onProgress
+        });
+
+        const source = disasmExportGenerate(Array.from(bytes), options.start, options);
+        const filename = `disasm_${formatHexWord(options.start)}-${formatHexWord(options.end)}.asm`;
+        downloadFile(filename, source, 'text/plain');
+
+        console.log(`DisasmExport: Exported $${formatHexWord(options.start)}-$${formatHexWord(options.end)} as ${filename}`);
+        return { filename: filename, lines: source.split('\n').length };
+    } finally {
+        disasmExportState.busy = false;
+    }
+}
+
+/**
+ * Generate the source of a block of memory
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} start - Address of the first byte
+ * @param {Object} options - { syntax, allOpcodes, useSymbols }
+ * @returns {string} Source code
+ */
+function disasmExportGenerate(bytes, start, options) {
+    const syntax = DISASM_EXPORT_SYNTAXES[options.syntax] || DISASM_EXPORT_SYNTAXES.kickass;
+    const end = start + bytes.length - 1;
+    const items = disasmExportDecode(bytes, start, syntax, options.allOpcodes);
+
+    // Labels: jump and branch targets at the start of an item, and imported symbols
+    const starts = new Set(items.map(item => item.address));
+    const labels = new Map();
+    const usedNames = new Set();
+
+    const addLabel = (address) => {
+        if (labels.has(address) || !starts.has(address)) return;
+        const symbol = options.useSymbols ? symbolTableGetName(address) : null;
+        let name = symbol ? disasmExportSanitizeName(symbol) : `L_${formatHexWord(address)}`;
+        while (usedNames.has(name)) name += '_';
+        usedNames.add(name);
+        labels.set(address, name);
+    };
+
+    items.forEach(item => {
+        if (item.target !== undefined && item.target >= start && item.target <= end) {
+            addLabel(item.target);
+        }
+        if (options.useSymbols && symbolTableGetName(item.address)) {
+            addLabel(item.address);
+        }
+    });
+
+    // Operands, with the constants they use
+    const constants = new Map();
+    const nameAddress = (address) => disasmExportNameAddress(address, start, end, labels, constants, usedNames, options.useSymbols);
+    items.forEach(item => {
+        if (item.kind === 'code') {
+            item.operand = disasmExportFormatOperand(item, nameAddress);
+        } else if (item.kind === 'word') {
+            item.operand = (item.target !== undefined && nameAddress(item.target)) || `$${formatHexWord(item.value)}`;
+        }
+    });
+
+    const c = syntax.comment;
+    const lines = [
+        `${c} Disassembly of $${formatHexWord(start)}-$${formatHexWord(end)} (${syntax.label} syntax)`,
+        `${c} Exported by the C64U Memory Browser on ${new Date().toISOString().substring(0, 10)}`,
+        ''
+    ];
+
+    if (items.some(item => item.kind === 'code' && !item.info.official)) {
+        lines.push(syntax.cpu, '');
+    }
+
+    if (constants.size > 0) {
+        Array.from(constants.entries())
+            .sort((a, b) => a[1] - b[1])
+            .forEach(([name, address]) => lines.push(syntax.constant(name, `$${disasmExportFormatAddress(address)}`)));
+        lines.push('');
+    }
+
+    lines.push(`* = $${formatHexWord(start)}`, '');
+
+    disasmExportMergeData(items, labels).forEach(item => {
+        if (labels.has(item.address)) {
+            lines.push(labels.get(item.address) + syntax.labelSuffix);
+        }
+
+        let text;
+        if (item.kind === 'code') {
+            text = `        ${item.mnemonic}${item.operand ? ' ' + item.operand : ''}`;
+        } else if (item.kind === 'word') {
+            text = `        ${syntax.word} ${item.operand}`;
+        } else {
+            text = `        ${syntax.byte} ${item.bytes.map(b => '$' + formatHexByte(b)).join(', ')}`;
+        }
+
+        const note = [item.note, disasmCommentsGet(item.address)].filter(Boolean).map(n => `  ${n}`).join('');
+        lines.push(`${text.padEnd(DISASM_EXPORT_COMMENT_COLUMN - 1)} ${c} $${formatHexWord(item.address)}${note}`);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Decode a block of memory into code and data items, following the marked
+ * regions (see disasm-regions.js)
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} start - Address of the first byte
+ * @param {Object} syntax - Target syntax
+ * @param {boolean} allOpcodes - True to export undocumented opcodes as instructions
+ * @returns {Array<Object>} Items: { kind: 'code'|'data'|'word', address, bytes, info, mnemonic, value, target, note }
+ */
+function disasmExportDecode(bytes, start, syntax, allOpcodes) {
+    const items = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const type = disasmRegionsGetType(start + offset) || 'code';
+        let runEnd = offset + 1;
+        while (runEnd < bytes.length && (disasmRegionsGetType(start + runEnd) || 'code') === type) {
+            runEnd++;
+        }
+
+        if (type === 'code') {
+            disasmExportDecodeCode(items, bytes, start, offset, runEnd, syntax, allOpcodes);
+        } else {
+            disasmExportDecodeData(items, bytes, start, offset, runEnd, type);
+        }
+        offset = runEnd;
+    }
+
+    return items;
+}
+
+/**
+ * Decode a run of code
+ * @param {Array<Object>} items - Items (updated)
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} start - Address of the first byte
+ * @param {number} offset - Offset of the run
+ * @param {number} runEnd - Offset after the run
+ * @param {Object} syntax - Target syntax
+ * @param {boolean} allOpcodes - True to export undocumented opcodes as instructions
+ */
+function disasmExportDecodeCode(items, bytes, start, offset, runEnd, syntax, allOpcodes) {
+    while (offset < runEnd) {
+        const address = start + offset;
+        const info = asm6502GetOpcodeInfo(bytes[offset]);
+        const mnemonic = disasmExportGetMnemonic(info, syntax);
+        const instrBytes = bytes.slice(offset, Math.min(offset + info.size, runEnd));
+        const value = info.size === 3 ? instrBytes[1] | (instrBytes[2] << 8) : instrBytes[1];
+
+        // Undocumented opcodes are taken as data unless enabled
+        if (!info.official && !allOpcodes) {
+            items.push({ kind: 'data', address: address, bytes: [bytes[offset]], note: null });
+            offset++;
+            continue;
+        }
+
+        // Instructions that would not assemble to the same bytes
+        let note = null;
+        if (instrBytes.length < info.size) {
+            note = runEnd < bytes.length ? 'Instruction cut by a data region' : 'Instruction cut by the end of the range';
+        } else if (mnemonic === null) {
+            note = `${disasmExportDescribe(info, value)} (no ${syntax.label} mnemonic)`;
+        } else if (info.alternate) {
+            note = `${disasmExportDescribe(info, value)} (alternate opcode)`;
+        } else if (value < 0x100 && ASM6502_OPCODES[info.mnemonic][DISASM_EXPORT_ZERO_PAGE_MODES[info.mode]] !== undefined) {
+            note = `${disasmExportDescribe(info, value)} (absolute addressing)`;
+        }
+
+        if (note) {
+            items.push({ kind: 'data', address: address, bytes: instrBytes, note: note });
+        } else {
+            const item = { kind: 'code', address: address, bytes: instrBytes, info: info, mnemonic: mnemonic, value: value };
+            if (info.mode === 'rel') {
+                item.target = (address + 2 + (value > 127 ? value - 256 : value)) & 0xFFFF;
+            } else if ((info.mnemonic === 'JMP' || info.mnemonic === 'JSR') && info.mode === 'abs') {
+                item.target = value;
+            }
+            items.push(item);
+        }
+        offset += instrBytes.length;
+    }
+}
+
+/**
+ * Decode a run of a data region: words and pointers as .word, the rest as .byte
+ * @param {Array<Object>} items - Items (updated)
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} start - Address of the first byte
+ * @param {number} offset - Offset of the run
+ * @param {number} runEnd - Offset after the run
+ * @param {string} type - Region type
+ */
+function disasmExportDecodeData(items, bytes, start, offset, runEnd, type) {
+    const isWords = type === 'words' || type === 'pointers';
+
+    while (offset < runEnd) {
+        const address = start + offset;
+
+        if (isWords && offset + 1 < runEnd) {
+            const item = { kind: 'word', address: address, bytes: bytes.slice(offset, offset + 2) };
+            item.value = item.bytes[0] | (item.bytes[1] << 8);
+            if (type === 'pointers') item.target = item.value;
+            items.push(item);
+            offset += 2;
+        } else {
+            items.push({ kind: 'data', address: address, bytes: [bytes[offset]], note: null });
+            offset++;
+        }
+    }
+}
+
+/**
+ * Get the mnemonic of an instruction in a syntax
+ * @param {Object} info - Opcode info (see asm6502GetOpcodeInfo)
+ * @param {Object} syntax - Target syntax
+ * @returns {string|null} Lowercase mnemonic, or null if the syntax has none
+ */
+function disasmExportGetMnemonic(info, syntax) {
+    if (syntax.mnemonics[info.mnemonic] !== undefined) {
+        return syntax.mnemonics[info.mnemonic];
+    }
+    return info.mnemonic.toLowerCase();
+}
+
+/**
+ * Describe an instruction for the notes of .byte lines
+ * @param {Object} info - Opcode info
+ * @param {number} value - Operand value
+ * @returns {string} e.g. "LDA $0002" or "NOP"
+ */
+function disasmExportDescribe(info, value) {
+    if (info.size === 1) return info.mnemonic;
+
+    const hex = info.size === 3 ? `$${formatHexWord(value)}` : `$${formatHexByte(value)}`;
+    return `${info.mnemonic} ${asm6502FormatOperand(info.mode, hex)}`;
+}
+
+/**
+ * Merge consecutive data items into .byte lines. Lines break at labels,
+ * notes, comments and every DISASM_EXPORT_BYTES_PER_LINE bytes.
+ * @param {Array<Object>} items - Decoded items
+ * @param {Map} labels - Address -> label name
+ * @returns {Array<Object>} Items
+ */
+function disasmExportMergeData(items, labels) {
+    const result = [];
+    let last = null;
+
+    items.forEach(item => {
+        const canMerge = last && last.kind === 'data' && item.kind === 'data' &&
+            !last.note && !item.note && !labels.has(item.address) && !disasmCommentsGet(item.address) &&
+            last.bytes.length < DISASM_EXPORT_BYTES_PER_LINE;
+
+        if (canMerge) {
+            last.bytes = last.bytes.concat(item.bytes);
+        } else {
+            last = Object.assign({}, item);
+            result.push(last);
+        }
+    });
+
+    return result;
+}
+
+// ============================================================================
+// OPERANDS
+// ============================================================================
+
+/**
+ * Format the operand of an instruction with labels and symbols
+ * @param {Object} item - Code item
+ * @param {Function} nameAddress - Returns the name of an address, or null
+ * @returns {string} Operand
+ */
+function disasmExportFormatOperand(item, nameAddress) {
+    const mode = item.info.mode;
+    if (mode === 'imp' || mode === 'acc') return '';
+    if (mode === 'imm') return asm6502FormatOperand(mode, `$${formatHexByte(item.value)}`);
+
+    const address = item.target !== undefined ? item.target : item.value;
+    const isZeroPage = item.info.size === 2 && mode !== 'rel';
+    const hex = isZeroPage ? `$${formatHexByte(address)}` : `$${formatHexWord(address)}`;
+
+    return asm6502FormatOperand(mode, nameAddress(address) || hex);
+}
+
+/**
+ * Get the name of an address: its label inside the range, or a symbol
+ * outside it
+ * @param {number} address - Address
+ * @param {number} start - First address of the range
+ * @param {number} end - Last address of the range
+ * @param {Map} labels - Address -> label name
+ * @param {Map} constants - Constants used so far: name -> address (updated)
+ * @param {Set} usedNames - Names of the labels (constants must not clash)
+ * @param {boolean} useSymbols - True to use imported and memory map symbols
+ * @returns {string|null} Name, or null to use the address
+ */
+function disasmExportNameAddress(address, start, end, labels, constants, usedNames, useSymbols) {
+    if (labels.has(address)) {
+        return labels.get(address);
+    }
+    if (useSymbols && (address < start || address > end)) {
+        return disasmExportGetConstant(address, constants, usedNames);
+    }
+    return null;
+}
+
+/**
+ * Get the symbolic name of an address outside the range and record the
+ * constant it needs
+ * @param {number} address - Address
+ * @param {Map} constants - Constants used so far: name -> address (updated)
+ * @param {Set} usedNames - Names of the labels
+ * @returns {string|null} e.g. "VIC_BORDER" or "CINV+1", or null if not named
+ */
+function disasmExportGetConstant(address, constants, usedNames) {
+    let base = address;
+    let name = symbolTableGetName(address);
+
+    if (!name) {
+        const label = c64MemoryMapGetLabel(address);
+        if (!label) return null;
+        base = label.address;
+        name = label.name;
+    }
+
+    name = disasmExportSanitizeName(name);
+    if (usedNames.has(name) || (constants.has(name) && constants.get(name) !== base)) {
+        return null;
+    }
+
+    constants.set(name, base);
+    return base === address ? name : `${name}+${address - base}`;
+}
+
+/**
+ * Make a symbol name valid in all the syntaxes
+ * @param {string} name - Symbol name
+ * @returns {string} Name with only letters, digits and underscores
+ */
+function disasmExportSanitizeName(name) {
+    const clean = name.replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[0-9]/.test(clean) ? '_' + clean : clean;
+}
+
+/**
+ * Format the value of a constant
+ * @param {number} address - Address
+ * @returns {string} Two hex digits for zero page, four otherwise
+ */
+function disasmExportFormatAddress(address) {
+    return address < 0x100 ? formatHexByte(address) : formatHexWord(address);
+}
@@ -0,0 +1,414 @@
+/**
+ * disasm-regions.js
+ * Disassembly Regions Component
+ *
+ * Marks address ranges as code or data (bytes, words, text, pointer tables)
+ * so the Disassembly Viewer and the source export show data as data instead
+ * of garbage instructions. Unmarked memory is disassembled as code.
+ *
+ * "Analyse" follows the code from an entry point (JMP, JSR and branches,
+ * see disasmEditorGetTargetAddress) and marks the instructions it reaches
+ * as code and the rest of the range as bytes. Addresses that are already
+ * marked keep their type.
+ *
+ * Regions are kept per project (see mem-project.js) in localStorage
+ * ('memory_regions').
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const DISASM_REGIONS_KEY = 'memory_regions';
+
+/**
+ * Region types. perLine: bytes per disassembly line (data types)
+ */
+const DISASM_REGION_TYPES = {
+    code:     { label: 'Code' },
+    bytes:    { label: 'Bytes', perLine: 3 },
+    words:    { label: 'Words', perLine: 2 },
+    text:     { label: 'Text', perLine: 3 },
+    pointers: { label: 'Pointers', perLine: 2 }
+};
+
+/**
+ * Mnemonics after which the code does not continue with the next instruction
+ */
+const DISASM_REGIONS_FLOW_END = new Set(['RTS', 'RTI', 'JMP', 'BRK', 'JAM']);
+
+let disasmRegionsState = {
+    container: null,
+    regions: [],             // Sorted, not overlapping: { start, end, type }
+    busy: false
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the regions and load those of the current project
+ * @param {jQuery} container - Container element for the region list
+ */
+function disasmRegionsInit(container) {
+    disasmRegionsState.container = container;
+    disasmRegionsLoad();
+}
+
+/**
+ * Load the regions of the current project
+ */
+function disasmRegionsLoad() {
+    const saved = disasmRegionsReadStorage()[memProjectGetName()] || [];
+
+    disasmRegionsState.regions = saved
+        .map(r => ({ start: parseInt(r.start, 16), end: parseInt(r.end, 16), type: r.type }))
+        .filter(r => DISASM_REGION_TYPES[r.type] && !isNaN(r.start) && !isNaN(r.end) && r.start <= r.end);
+
+    disasmRegionsRender();
+    console.log(`DisasmRegions: Loaded ${disasmRegionsState.regions.length} regions of project "${memProjectGetName()}"`);
+}
+
+/**
+ * Read the regions of all projects from localStorage
+ * @returns {Object} Project name -> stored regions
+ */
+function disasmRegionsReadStorage() {
+    try {
+        return JSON.parse(localStorage.getItem(DISASM_REGIONS_KEY) || '{}') || {};
+    } catch (e) {
+        console.warn('DisasmRegions: Invalid saved regions, starting empty', e);
+        return {};
+    }
+}
+
+/**
+ * Save the regions of the current project
+ */
+function disasmRegionsSave() {
+    const all = disasmRegionsReadStorage();
+    all[memProjectGetName()] = disasmRegionsState.regions.map(r => ({
+        start: formatHexWord(r.start),
+        end: formatHexWord(r.end),
+        type: r.type
+    }));
+    localStorage.setItem(DISASM_REGIONS_KEY, JSON.stringify(all));
+
+    disasmRegionsRender();
+}
+
+/**
+ * Remove the regions of a deleted project
+ * @param {string} name - Project name
+ */
+function disasmRegionsDeleteProject(name) {
+    const all = disasmRegionsReadStorage();
+    delete all[name];
+    localStorage.setItem(DISASM_REGIONS_KEY, JSON.stringify(all));
+}
+
+// ============================================================================
+// REGIONS
+// ============================================================================
+
+/**
+ * Mark a range, replacing the regions it overlaps
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ * @param {string} type - Region type (see DISASM_REGION_TYPES)
+ */
+function disasmRegionsMark(start, end, type) {
+    disasmRegionsValidateRange(start, end);
+    if (!DISASM_REGION_TYPES[type]) {
+        throw new Error(`Unknown region type: ${type}`);
+    }
+
+    disasmRegionsApply(start, end, type);
+    disasmRegionsSave();
+}
+
+/**
+ * Remove the marks of a range (it is disassembled as code again)
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ */
+function disasmRegionsClear(start, end) {
+    disasmRegionsValidateRange(start, end);
+    disasmRegionsApply(start, end, null);
+    disasmRegionsSave();
+}
+
+/**
+ * Remove all regions of the current project
+ */
+function disasmRegionsClearAll() {
+    disasmRegionsState.regions = [];
+    disasmRegionsSave();
+}
+
+/**
+ * Check a range entered by the user
+ * @param {number|null} start - First address
+ * @param {number|null} end - Last address
+ */
+function disasmRegionsValidateRange(start, end) {
+    if (start === null || end === null || end < start) {
+        throw new Error('Invalid range. Enter the start and end addresses in hex (end >= start).');
+    }
+}
+
+/**
+ * Set the type of a range without saving. Regions of the same type that
+ * touch are merged.
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ * @param {string|null} type - Region type, or null to unmark
+ */
+function disasmRegionsApply(start, end, type) {
+    const result = [];
+
+    disasmRegionsState.regions.forEach(r => {
+        if (r.end < start || r.start > end) {
+            result.push(r);
+            return;
+        }
+        if (r.start < start) result.push({ start: r.start, end: start - 1, type: r.type });
+        if (r.end > end) result.push({ start: end + 1, end: r.end, type: r.type });
+    });
+
+    if (type) {
+        result.push({ start: start, end: end, type: type });
+    }
+
+    result.sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    result.forEach(r => {
+        const last = merged[merged.length - 1];
+        if (last && last.type === r.type && last.end + 1 === r.start) {
+            last.end = r.end;
+        } else {
+            merged.push(Object.assign({}, r));
+        }
+    });
+
+    disasmRegionsState.regions = merged;
+}
+
+/**
+ * Get the type of an address
+ * @param {number} address - Address
+ * @returns {string|null} Region type, or null if not marked
+ */
+function disasmRegionsGetType(address) {
+    const region = disasmRegionsState.regions.find(r => address >= r.start && address <= r.end);
+    return region ? region.type : null;
+}
+
+/**
+ * Get all regions of the current project
+ * @returns {Array<Object>} Regions: { start, end, type }
+ */
+function disasmRegionsGetAll() {
+    return disasmRegionsState.regions;
+}
+
+// ============================================================================
+// DISASSEMBLY
+// ============================================================================
+
+/**
+ * Format the lines of a data region for the Disassembly Viewer
+ * @param {Array<number>} bytes - Bytes of the region part shown
+ * @param {number} address - Address of the first byte
+ * @param {string} type - Data region type
+ * @returns {Array<Object>} Lines in the format of the disassembler:
+ *   { address, bytes, assembly, data: type, target }
+ */
+function disasmRegionsFormatData(bytes, address, type) {
+    const lines = [];
+    const perLine = DISASM_REGION_TYPES[type].perLine;
+
+    for (let offset = 0; offset < bytes.length; offset += perLine) {
+        const lineBytes = bytes.slice(offset, offset + perLine);
+        const line = { address: address + offset, bytes: lineBytes, data: type };
+
+        if ((type === 'words' || type === 'pointers') && lineBytes.length === 2) {
+            const value = lineBytes[0] | (lineBytes[1] << 8);
+            line.assembly = `.word $${formatHexWord(value)}`;
+            if (type === 'pointers') line.target = value;
+        } else if (type === 'text') {
+            line.assembly = `.text ${disasmRegionsFormatText(lineBytes)}`;
+        } else {
+            line.assembly = `.byte ${lineBytes.map(b => '$' + formatHexByte(b)).join(', ')}`;
+        }
+
+        lines.push(line);
+    }
+
+    return lines;
+}
+
+/**
+ * Format text bytes: printable characters in quotes, other bytes in hex
+ * @param {Array<number>} bytes - Bytes
+ * @returns {string} e.g. "HI", $0D
+ */
+function disasmRegionsFormatText(bytes) {
+    const parts = [];
+    let text = '';
+
+    bytes.forEach(b => {
+        if (b >= 0x20 && b < 0x7F && b !== 0x22) {
+            text += String.fromCharCode(b);
+            return;
+        }
+        if (text) parts.push(`"${text}"`);
+        text = '';
+        parts.push('$' + formatHexByte(b));
+    });
+    if (text) parts.push(`"${text}"`);
+
+    return parts.join(', ');
+}
+
+// ============================================================================
+// CODE ANALYSIS
+// ============================================================================
+
+/**
+ * Find the code reached from an entry point
+ * @param {Array<number>} bytes - Memory contents of the range
+ * @param {number} start - Address of the first byte
+ * @param {number} entry - Entry point
+ * @param {boolean} allOpcodes - True to follow undocumented opcodes
+ * @returns {Uint8Array} 1 for each byte of a reached instruction
+ */
+function disasmRegionsTraceCode(bytes, start, entry, allOpcodes) {
+    const code = new Uint8Array(bytes.length);
+    const pending = [entry];
+
+    while (pending.length > 0) {
+        let address = pending.pop();
+
+        while (address >= start && address - start < bytes.length) {
+            const offset = address - start;
+            if (code[offset]) break;
+
+            const instr = asm6502DisassembleOne(bytes, offset, address);
+            const info = instr.info;
+            if ((!info.official && !allOpcodes) || instr.bytes.includes(undefined)) break;
+
+            // Stop at instructions overlapping code already found
+            if (instr.bytes.some((b, i) => code[offset + i])) break;
+            instr.bytes.forEach((b, i) => { code[offset + i] = 1; });
+
+            const target = disasmEditorGetTargetAddress(instr);
+            if (target !== null) {
+                pending.push(target);
+            }
+
+            if (DISASM_REGIONS_FLOW_END.has(info.mnemonic)) break;
+            address += info.size;
+        }
+    }
+
+    return code;
+}
+
+/**
+ * Read a range and mark the code reached from an entry point as code and
+ * the rest of the range as bytes. Only unmarked addresses are marked.
+ * @param {Object} options - { start, end, entry, allOpcodes }
+ * @returns {Promise<Object>} Promise resolving with { codeBytes, dataBytes, keptBytes }
+ *   (keptBytes: addresses left as they were already marked)
+ */
+async function disasmRegionsAnalyseAsync(options) {
+    const { start, end, entry } = options;
+
+    disasmRegionsValidateRange(start, end);
+    if (entry === null || entry < start || entry > end) {
+        throw new Error('The entry point must be inside the range');
+    }
+    if (disasmRegionsState.busy) {
+        throw new Error('An analysis is already in progress');
+    }
+
+    disasmRegionsState.busy = true;
+
+    try {
+        const bytes = Array.from(await readMemoryRangeAsync(start, end - start + 1, { priority: API_PRIORITY.USER }));
+        const code = disasmRegionsTraceCode(bytes, start, entry, options.allOpcodes);
+
+        // New type of each address: 'code', 'bytes', or null to keep its mark
+        const types = bytes.map((b, offset) => {
+            if (disasmRegionsGetType(start + offset) !== null) return null;
+            return code[offset] ? 'code' : 'bytes';
+        });
+
+        let codeBytes = 0;
+        let keptBytes = 0;
+        let runStart = 0;
+        for (let offset = 1; offset <= bytes.length; offset++) {
+            if (offset === bytes.length || types[offset] !== types[runStart]) {
+                const type = types[runStart];
+                if (type !== null) {
+                    disasmRegionsApply(start + runStart, start + offset - 1, type);
+                    if (type === 'code') codeBytes += offset - runStart;
+                } else {
+                    keptBytes += offset - runStart;
+                }
+                runStart = offset;
+            }
+        }
+        disasmRegionsSave();
+
+        console.log(`DisasmRegions: Analysed $${formatHexWord(start)}-$${formatHexWord(end)} from $${formatHexWord(entry)}: ${codeBytes} code bytes, ${keptBytes} already marked`);
+        return { codeBytes: codeBytes, dataBytes: bytes.length - codeBytes - keptBytes, keptBytes: keptBytes };
+    } finally {
+        disasmRegionsState.busy = false;
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the region list
+ */
+function disasmRegionsRender() {
+    const container = disasmRegionsState.container;
+    if (!container) return;
+
+    if (disasmRegionsState.regions.length === 0) {
+        container.html('<div class="trainer-empty">No regions marked. Unmarked memory is disassembled as code.</div>');
+        return;
+    }
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>Start</th><th>End</th><th>Type</th><th>Bytes</th><th></th></tr>');
+
+    disasmRegionsState.regions.forEach((region, index) => {
+        html.push(
+            `<tr data-region-index="${index}">` +
+            `<td>$${formatHexWord(region.start)}</td>` +
+            `<td>$${formatHexWord(region.end)}</td>` +
+            `<td>${DISASM_REGION_TYPES[region.type].label}</td>` +
+            `<td>${region.end - region.start + 1}</td>` +
+            '<td class="trainer-actions">' +
+            '<button class="btn-primary" data-action="go">Go</button> ' +
+            '<button class="btn-danger" data-action="remove">Remove</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
@@ -0,0 +1,280 @@
+/**
+ * disasm-xref.js
+ * Disassembly Cross-Reference Component
+ *
+ * Builds a cross-reference index of a code range: for each address, the
+ * instructions that read, write, jump to or call it (zero page and I/O
+ * registers included). Indirect modes reference their pointer, so
+ * JMP ($0314) and LDA ($FB),Y read $0314 and $FB. Data regions are skipped,
+ * except pointer tables (see disasm-regions.js).
+ *
+ * The Disassembly Viewer shows the references beside the line labels, and
+ * disasmXrefFind answers queries like "who writes $D020?".
+ *
+ * The index is not saved; it is rebuilt on demand.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+/**
+ * Reference kinds. modify: read-modify-write (INC, ASL, DCP...)
+ */
+const DISASM_XREF_KINDS = {
+    read:    { label: 'Read', short: 'R' },
+    write:   { label: 'Write', short: 'W' },
+    modify:  { label: 'Read/write', short: 'RW' },
+    jump:    { label: 'Jump', short: 'J' },
+    call:    { label: 'Call', short: 'C' },
+    pointer: { label: 'Pointer', short: 'P' }
+};
+
+const DISASM_XREF_WRITE = new Set(['STA', 'STX', 'STY', 'SAX', 'SHA', 'SHX', 'SHY', 'TAS']);
+const DISASM_XREF_MODIFY = new Set(['ASL', 'LSR', 'ROL', 'ROR', 'INC', 'DEC', 'SLO', 'RLA', 'SRE', 'RRA', 'DCP', 'ISC']);
+
+/**
+ * References shown beside a label before "+N more"
+ */
+const DISASM_XREF_MAX_INLINE = 6;
+
+let disasmXrefState = {
+    start: null,             // Range of the index (null if not built)
+    end: null,
+    refs: new Map(),         // Address -> [{ from, kind, assembly }]
+    count: 0,
+    busy: false
+};
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Read a code range and build its cross-reference index
+ * @param {Object} options - { start, end, allOpcodes, onProgress }
+ * @returns {Promise<Object>} Promise resolving with { addresses, references }
+ */
+async function disasmXrefBuildAsync(options) {
+    const { start, end } = options;
+
+    if (start === null || end === null || end < start) {
+        throw new Error('Invalid range. Enter the start and end addresses in hex (end >= start).');
+    }
+    if (disasmXrefState.busy) {
+        throw new Error('A cross-reference build is already in progress');
+    }
+
+    disasmXrefState.busy = true;
+
+    try {
+        const data = await readMemoryRangeAsync(start, end - start + 1, {
+            priority: API_PRIORITY.USER,
+            onProgress: options.onProgress
+        });
+
+        const refs = disasmXrefBuild(Array.from(data), start, options.allOpcodes);
+        let count = 0;
+        refs.forEach(list => { count += list.length; });
+
+        disasmXrefState.start = start;
+        disasmXrefState.end = end;
+        disasmXrefState.refs = refs;
+        disasmXrefState.count = count;
+
+        console.log(`DisasmXref: Indexed $${formatHexWord(start)}-$${formatHexWord(end)}: ${count} references to ${refs.size} addresses`);
+        return { addresses: refs.size, references: count };
+    } finally {
+        disasmXrefState.busy = false;
+    }
+}
+
+/**
+ * Build the cross-reference index of a block of memory
+ * @param {Array<number>} bytes - Memory contents
+ * @param {number} start - Address of the first byte
+ * @param {boolean} allOpcodes - True to index undocumented opcodes
+ * @returns {Map} Address -> [{ from, kind, assembly }]
+ */
+function disasmXrefBuild(bytes, start, allOpcodes) {
+    const refs = new Map();
+    const add = (address, from, kind, assembly) => {
+        if (!refs.has(address)) refs.set(address, []);
+        refs.get(address).push({ from: from, kind: kind, assembly: assembly });
+    };
+
+    let offset = 0;
+    while (offset < bytes.length) {
+        const address = start + offset;
+        const type = disasmRegionsGetType(address) || 'code';
+
+        if (type === 'pointers') {
+            if (offset + 1 < bytes.length && disasmRegionsGetType(address + 1) === 'pointers') {
+                const value = bytes[offset] | (bytes[offset + 1] << 8);
+                add(value, address, 'pointer', `.word $${formatHexWord(value)}`);
+                offset += 2;
+            } else {
+                offset++;
+            }
+            continue;
+        }
+        if (type !== 'code') {
+            offset++;
+            continue;
+        }
+
+        const instr = asm6502DisassembleOne(bytes, offset, address);
+        const info = instr.info;
+        // Instructions cut by the end of the range or by a data region
+        const cut = instr.bytes.some((b, i) => b === undefined || (disasmRegionsGetType(address + i) || 'code') !== 'code');
+        if ((!info.official && !allOpcodes) || cut) {
+            offset++;
+            continue;
+        }
+
+        const kind = disasmXrefGetKind(info);
+        if (kind) {
+            add(disasmXrefGetOperandAddress(instr), address, kind, instr.assembly);
+        }
+        offset += info.size;
+    }
+
+    refs.forEach(list => list.sort((a, b) => a.from - b.from));
+    return refs;
+}
+
+/**
+ * Get the kind of reference of an instruction
+ * @param {Object} info - Opcode info (see asm6502GetOpcodeInfo)
+ * @returns {string|null} Reference kind, or null if it has no memory operand
+ */
+function disasmXrefGetKind(info) {
+    const mode = info.mode;
+    if (mode === 'imp' || mode === 'acc' || mode === 'imm') return null;
+
+    // Indirect modes read their pointer
+    if (mode === 'ind' || mode === 'izx' || mode === 'izy') return 'read';
+
+    if (mode === 'rel' || info.mnemonic === 'JMP') return 'jump';
+    if (info.mnemonic === 'JSR') return 'call';
+    if (DISASM_XREF_WRITE.has(info.mnemonic)) return 'write';
+    if (DISASM_XREF_MODIFY.has(info.mnemonic)) return 'modify';
+    return 'read';
+}
+
+/**
+ * Get the address an instruction refers to (branch target, operand or pointer)
+ * @param {Object} instr - Instruction (see asm6502DisassembleOne)
+ * @returns {number} Address
+ */
+function disasmXrefGetOperandAddress(instr) {
+    const b = instr.bytes;
+    if (instr.info.mode === 'rel') {
+        return (instr.address + 2 + (b[1] > 127 ? b[1] - 256 : b[1])) & 0xFFFF;
+    }
+    return instr.info.size === 3 ? b[1] | (b[2] << 8) : b[1];
+}
+
+/**
+ * Remove the index
+ */
+function disasmXrefClear() {
+    disasmXrefState.start = null;
+    disasmXrefState.end = null;
+    disasmXrefState.refs = new Map();
+    disasmXrefState.count = 0;
+}
+
+/**
+ * Check if the index has been built
+ * @returns {boolean} True if built
+ */
+function disasmXrefIsBuilt() {
+    return disasmXrefState.start !== null;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Get the references to an address
+ * @param {number} address - Address
+ * @returns {Array<Object>} References: { from, kind, assembly }
+ */
+function disasmXrefGetRefs(address) {
+    return disasmXrefState.refs.get(address) || [];
+}
+
+/**
+ * Find the references to an address of a kind
+ * @param {number} address - Address
+ * @param {string} filter - 'all' or a reference kind ('read' and 'write'
+ *   include read-modify-write)
+ * @returns {Array<Object>} References: { from, kind, assembly }
+ */
+function disasmXrefFind(address, filter) {
+    return disasmXrefGetRefs(address).filter(ref =>
+        filter === 'all' || ref.kind === filter ||
+        (ref.kind === 'modify' && (filter === 'read' || filter === 'write'))
+    );
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the references to an address for a disassembly label row.
+ * Each reference can be followed like a jump target.
+ * @param {number} address - Address
+ * @returns {string} HTML, empty if there are no references
+ */
+function disasmXrefRenderInline(address) {
+    const refs = disasmXrefGetRefs(address);
+    if (refs.length === 0) return '';
+
+    const links = refs.slice(0, DISASM_XREF_MAX_INLINE).map(ref =>
+        `<span class="disasm-target-link" data-target="${ref.from}" title="${escapeHtml(ref.assembly)}">` +
+        `$${formatHexWord(ref.from)}</span> ${DISASM_XREF_KINDS[ref.kind].short}`
+    );
+    if (refs.length > DISASM_XREF_MAX_INLINE) {
+        links.push(`+${refs.length - DISASM_XREF_MAX_INLINE} more`);
+    }
+
+    return `<span class="disasm-xref">; from ${links.join(', ')}</span>`;
+}
+
+/**
+ * Render a list of references
+ * @param {jQuery} container - Container element
+ * @param {Array<Object>} refs - References: { from, kind, assembly }
+ */
+function disasmXrefRenderResults(container, refs) {
+    if (refs.length === 0) {
+        container.html('<div class="trainer-empty">No references found.</div>');
+        return;
+    }
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>From</th><th>Kind</th><th>Instruction</th><th></th></tr>');
+
+    refs.forEach(ref => {
+        html.push(
+            `<tr data-address="${ref.from}">` +
+            `<td>$${formatHexWord(ref.from)}</td>` +
+            `<td>${DISASM_XREF_KINDS[ref.kind].label}</td>` +
+            `<td>${escapeHtml(ref.assembly)}</td>` +
+            '<td class="trainer-actions"><button class="btn-primary" data-action="go">Go</button></td>' +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
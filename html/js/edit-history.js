@@ -0,0 +1,98 @@
+/**
+ * edit-history.js
+ * Undo/Redo History for the Edit Modes
+ *
+ * Multi-level undo/redo shared by the Hex and Disassembly editors. Each step
+ * stores the edited data and the cursor as they were before a change, so
+ * undo restores both.
+ *
+ * Usage in an editor:
+ *   const before = editHistoryCapture(state.currentData, state.cursor);
+ *   ... modify state.currentData ...
+ *   editHistoryRecord(state.history, before, state.currentData);
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const EDIT_HISTORY_MAX_STEPS = 200;   // Undo steps kept per edit session
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Create an empty history for an edit session
+ * @returns {Object} History: { undoStack, redoStack }
+ */
+function editHistoryCreate() {
+    return { undoStack: [], redoStack: [] };
+}
+
+/**
+ * Capture the data and cursor of an editor
+ * @param {Uint8Array} data - Edited data
+ * @param {Object} cursor - Cursor: { byteIndex, nibble }
+ * @returns {Object} Step: { data, cursor }
+ */
+function editHistoryCapture(data, cursor) {
+    return {
+        data: new Uint8Array(data),
+        cursor: { byteIndex: cursor.byteIndex, nibble: cursor.nibble }
+    };
+}
+
+/**
+ * Record a change. Nothing is recorded if the data did not change.
+ * @param {Object} history - History of the edit session
+ * @param {Object} before - Step captured before the change
+ * @param {Uint8Array} data - Data after the change
+ * @returns {boolean} True if a step was recorded
+ */
+function editHistoryRecord(history, before, data) {
+    if (!history) return false;
+
+    const changed = before.data.some((value, i) => value !== data[i]);
+    if (!changed) return false;
+
+    history.undoStack.push(before);
+    if (history.undoStack.length > EDIT_HISTORY_MAX_STEPS) {
+        history.undoStack.shift();
+    }
+    history.redoStack = [];
+    return true;
+}
+
+/**
+ * Undo the last change
+ * @param {Object} history - History of the edit session
+ * @param {Uint8Array} data - Current data
+ * @param {Object} cursor - Current cursor
+ * @returns {Object|null} Step to restore: { data, cursor }, or null if there is nothing to undo
+ */
+function editHistoryUndo(history, data, cursor) {
+    if (!history || history.undoStack.length === 0) return null;
+
+    history.redoStack.push(editHistoryCapture(data, cursor));
+    return history.undoStack.pop();
+}
+
+/**
+ * Redo the last undone change
+ * @param {Object} history - History of the edit session
+ * @param {Uint8Array} data - Current data
+ * @param {Object} cursor - Current cursor
+ * @returns {Object|null} Step to restore: { data, cursor }, or null if there is nothing to redo
+ */
+function editHistoryRedo(history, data, cursor) {
+    if (!history || history.redoStack.length === 0) return null;
+
+    history.undoStack.push(editHistoryCapture(data, cursor));
+    return history.redoStack.pop();
+}
@@ -23,14 +23,22 @@ let hexEditorState = {
     bytesPerRow: 16,
     pageSize: 256,           // Page size for navigation
     charsetPuaBase: 0xEE00,  // PUA base for C64 character display
+    pendingAddress: null,    // Target of the navigation read in progress (null if none)
 
     // Data
     originalData: null,      // Uint8Array - original data
     currentData: null,       // Uint8Array - current data (edited)
 
+    // Compare mode
+    compareResults: null,    // Map address -> {address, oldValue, newValue} to highlight (null if off)
+
+    // Search
+    foundRange: null,        // {address, length} - search match to highlight (null if none)
+
     // Edit mode
     editMode: false,
     modalOpen: false,        // Modal dialog open (disables input handlers)
+    history: null,           // Undo/redo history of the edit session (see edit-history.js)
 
     // Cursor (nibble-level)
     cursor: {
@@ -117,6 +125,10 @@ function hexEditorRender() {
     if (hexEditorState.selection.active) {
         hexEditorRenderSelection();
     }
+
+    if (hexEditorCursorCallback) {
+        hexEditorCursorCallback();
+    }
 }
 
 /**
@@ -168,8 +180,14 @@ function hexEditorRenderByte(byteIndex) {
     const isModified = hexEditorState.editMode &&
                        hexEditorState.currentData[byteIndex] !== hexEditorState.originalData[byteIndex];
     const modifiedClass = isModified ? ' hex-byte-modified' : '';
-
-    return `<span class="hex-byte${modifiedClass}" data-byte="${byteIndex}">` +
+    const compare = hexEditorGetCompareResult(byteIndex);
+    const compareClass = compare ? ' hex-byte-compare' : '';
+    const foundClass = hexEditorIsFound(byteIndex) ? ' hex-byte-found' : '';
+    const title = compare
+        ? `$${formatHexWord(compare.address)}: $${formatHexByte(compare.oldValue)} → $${formatHexByte(compare.newValue)}`
+        : symbolTableDescribe(hexEditorState.startAddress + byteIndex);
+
+    return `<span class="hex-byte${modifiedClass}${compareClass}${foundClass}" data-byte="${byteIndex}" title="${escapeHtml(title)}">` +
            `<span class="hex-nibble" data-nibble="${highNibbleIndex}">${highNibble}</span>` +
            `<span class="hex-nibble" data-nibble="${lowNibbleIndex}">${lowNibble}</span>` +
            `</span>`;
@@ -188,8 +206,36 @@ function hexEditorRenderChar(byteIndex) {
     const isModified = hexEditorState.editMode &&
                        hexEditorState.currentData[byteIndex] !== hexEditorState.originalData[byteIndex];
     const modifiedClass = isModified ? ' hex-byte-modified' : '';
+    const compareClass = hexEditorGetCompareResult(byteIndex) ? ' hex-byte-compare' : '';
+    const foundClass = hexEditorIsFound(byteIndex) ? ' hex-byte-found' : '';
+
+    return `<span class="hex-char${modifiedClass}${compareClass}${foundClass}" data-byte="${byteIndex}">${char}</span>`;
+}
 
-    return `<span class="hex-char${modifiedClass}" data-byte="${byteIndex}">${char}</span>`;
+/**
+ * Get the compare result of a byte (compare results are not shown in edit mode)
+ * @param {number} byteIndex - Absolute byte index
+ * @returns {Object|null} Compare result {address, oldValue, newValue}, or null
+ */
+function hexEditorGetCompareResult(byteIndex) {
+    if (!hexEditorState.compareResults || hexEditorState.editMode) {
+        return null;
+    }
+    return hexEditorState.compareResults.get(hexEditorState.startAddress + byteIndex) || null;
+}
+
+/**
+ * Check if a byte is part of the highlighted search match
+ * @param {number} byteIndex - Absolute byte index
+ * @returns {boolean} True if the byte is part of the match
+ */
+function hexEditorIsFound(byteIndex) {
+    const found = hexEditorState.foundRange;
+    if (!found || hexEditorState.editMode) {
+        return false;
+    }
+    const address = hexEditorState.startAddress + byteIndex;
+    return address >= found.address && address < found.address + found.length;
 }
 
 // ============================================================================
@@ -270,6 +316,10 @@ function hexEditorSetCursor(byteIndex, nibble) {
     if (hexEditorState.editMode) {
         hexEditorApplyCursor();
     }
+
+    if (hexEditorCursorCallback) {
+        hexEditorCursorCallback();
+    }
 }
 
 /**
@@ -289,6 +339,7 @@ function hexEditorGetCursorNibble() {
  */
 function hexEditorEnterEditMode() {
     hexEditorState.editMode = true;
+    hexEditorState.history = editHistoryCreate();
 
     // Reset cursor to first byte
     hexEditorSetCursor(0, 0);
@@ -328,6 +379,7 @@ function hexEditorExitEditMode(save) {
 
     hexEditorState.editMode = false;
     hexEditorState.selection.active = false;
+    hexEditorState.history = null;
 
     // Stop cursor blinking
     hexEditorStopCursorBlink();
@@ -407,6 +459,11 @@ function hexEditorHandleEditModeKey(e) {
     const shift = e.shiftKey;
     const ctrl = e.ctrlKey;
 
+    // Don't handle if focus is in an input field (search panel, data inspector)
+    if ($(e.target).is('input, textarea, select')) {
+        return false;
+    }
+
     // Ctrl+C (copy)
     if (ctrl && key === 'c') {
         hexEditorCopy();
@@ -422,6 +479,19 @@ function hexEditorHandleEditModeKey(e) {
         hexEditorSelectAll();
         return true;
     }
+    // Ctrl+Z (undo), Ctrl+Y / Ctrl+Shift+Z (redo)
+    if (ctrl && key.toLowerCase() === 'z') {
+        if (shift) {
+            hexEditorRedo();
+        } else {
+            hexEditorUndo();
+        }
+        return true;
+    }
+    if (ctrl && key === 'y') {
+        hexEditorRedo();
+        return true;
+    }
 
     // Allow browser defaults for modifier keys (except for Ctrl combos already handled)
     if (e.ctrlKey || e.altKey) {
@@ -488,13 +558,12 @@ function hexEditorHandleBrowseModeKey(e) {
         return false;
     }
 
-    // Don't navigate if API is busy
-    if (isApiBusy()) {
-        // Consume navigation key events but don't navigate
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End', 'r', 'R'].includes(e.key)) {
-            return true;
+    // F3 / Shift+F3 to find next / previous match
+    if (e.key === 'F3' && !e.ctrlKey && !e.altKey) {
+        if (hexEditorFindCallback) {
+            hexEditorFindCallback(e.shiftKey ? 'previous' : 'next');
         }
-        return false;
+        return true;
     }
 
     // Allow browser defaults for modifier keys (except for Ctrl combos already handled)
@@ -502,6 +571,14 @@ function hexEditorHandleBrowseModeKey(e) {
         return false;
     }
 
+    // F key to open the search panel
+    if (e.key === 'f' || e.key === 'F') {
+        if (hexEditorFindCallback) {
+            hexEditorFindCallback('open');
+        }
+        return true;
+    }
+
     // E key to enter edit mode
     if (e.key === 'e' || e.key === 'E') {
         if (hexEditorEnterEditModeCallback) {
@@ -772,6 +849,7 @@ function hexEditorTypeChar(char) {
 
     const byteIndex = hexEditorState.cursor.byteIndex;
     const nibble = hexEditorState.cursor.nibble;
+    const before = editHistoryCapture(hexEditorState.currentData, hexEditorState.cursor);
 
     // Get current byte
     let byte = hexEditorState.currentData[byteIndex];
@@ -788,6 +866,7 @@ function hexEditorTypeChar(char) {
 
     // Update data
     hexEditorState.currentData[byteIndex] = byte;
+    editHistoryRecord(hexEditorState.history, before, hexEditorState.currentData);
 
     // Move cursor forward
     const nibbleIndex = byteIndex * 2 + nibble;
@@ -818,6 +897,7 @@ function hexEditorBackspace() {
     const prevNibble = prevNibbleIndex % 2;
 
     // Restore original nibble value
+    const before = editHistoryCapture(hexEditorState.currentData, hexEditorState.cursor);
     const originalByte = hexEditorState.originalData[prevByteIndex];
     let currentByte = hexEditorState.currentData[prevByteIndex];
 
@@ -830,6 +910,7 @@ function hexEditorBackspace() {
     }
 
     hexEditorState.currentData[prevByteIndex] = currentByte;
+    editHistoryRecord(hexEditorState.history, before, hexEditorState.currentData);
 
     // Move cursor
     hexEditorSetCursor(prevByteIndex, prevNibble);
@@ -846,7 +927,9 @@ function hexEditorDelete() {
     const byteIndex = state.cursor.byteIndex;
 
     if (state.currentData[byteIndex] !== state.originalData[byteIndex]) {
+        const before = editHistoryCapture(state.currentData, state.cursor);
         state.currentData[byteIndex] = state.originalData[byteIndex];
+        editHistoryRecord(state.history, before, state.currentData);
         hexEditorRender();
     }
 }
@@ -902,6 +985,7 @@ function hexEditorReplaceSelection(char) {
     const end = Math.max(hexEditorState.selection.anchorNibble, hexEditorState.selection.endNibble);
 
     const nibbleValue = parseInt(char, 16);
+    const before = editHistoryCapture(hexEditorState.currentData, hexEditorState.cursor);
 
     // Replace each nibble in selection
     for (let nibbleIndex = start; nibbleIndex <= end; nibbleIndex++) {
@@ -917,6 +1001,7 @@ function hexEditorReplaceSelection(char) {
 
         hexEditorState.currentData[byteIndex] = byte;
     }
+    editHistoryRecord(hexEditorState.history, before, hexEditorState.currentData);
 
     // Move cursor to end of selection
     hexEditorSetCursor(Math.floor(end / 2), end % 2);
@@ -928,6 +1013,58 @@ function hexEditorReplaceSelection(char) {
     hexEditorRender();
 }
 
+/**
+ * Write bytes into the edit buffer (used by the data inspector).
+ * Bytes past the end of the page are dropped.
+ * @param {number} byteIndex - Byte index of the first byte
+ * @param {Array<number>} bytes - Bytes to write
+ */
+function hexEditorSetBytes(byteIndex, bytes) {
+    const state = hexEditorState;
+    if (!state.editMode) return;
+
+    const before = editHistoryCapture(state.currentData, state.cursor);
+    for (let i = 0; i < bytes.length && byteIndex + i < state.currentData.length; i++) {
+        state.currentData[byteIndex + i] = bytes[i];
+    }
+    editHistoryRecord(state.history, before, state.currentData);
+
+    hexEditorRender();
+}
+
+// ============================================================================
+// UNDO / REDO
+// ============================================================================
+
+/**
+ * Undo the last change of the edit session
+ */
+function hexEditorUndo() {
+    const state = hexEditorState;
+    hexEditorRestoreStep(editHistoryUndo(state.history, state.currentData, state.cursor));
+}
+
+/**
+ * Redo the last undone change of the edit session
+ */
+function hexEditorRedo() {
+    const state = hexEditorState;
+    hexEditorRestoreStep(editHistoryRedo(state.history, state.currentData, state.cursor));
+}
+
+/**
+ * Restore the data and cursor of a history step
+ * @param {Object|null} step - Step from editHistoryUndo/editHistoryRedo (null = nothing to do)
+ */
+function hexEditorRestoreStep(step) {
+    if (!step) return;
+
+    hexEditorState.currentData = step.data;
+    hexEditorClearSelection();
+    hexEditorSetCursor(step.cursor.byteIndex, step.cursor.nibble);
+    hexEditorRender();
+}
+
 // ============================================================================
 // CLIPBOARD OPERATIONS
 // ============================================================================
@@ -1025,9 +1162,11 @@ function hexEditorPaste() {
         }
 
         // Paste bytes
+        const before = editHistoryCapture(hexEditorState.currentData, hexEditorState.cursor);
         for (let i = 0; i < maxBytes && byteIndex < hexEditorState.currentData.length; i++, byteIndex++) {
             hexEditorState.currentData[byteIndex] = bytes[i];
         }
+        editHistoryRecord(hexEditorState.history, before, hexEditorState.currentData);
 
         // Move cursor (or restore original position)
         if (keepCursor) {
@@ -1128,13 +1267,18 @@ function hexEditorSetupMouse() {
 
     // Mouse down on nibble (start potential drag)
     hexEditorState.container.on('mousedown', '.hex-nibble', function(e) {
-        if (!hexEditorState.editMode) return;
         if (hexEditorState.modalOpen) return;  // Disable input when modal is open
 
         const nibbleIndex = parseInt($(this).data('nibble'));
         const byteIndex = Math.floor(nibbleIndex / 2);
         const nibble = nibbleIndex % 2;
 
+        // Browse mode: only move the (hidden) cursor for the data inspector
+        if (!hexEditorState.editMode) {
+            hexEditorSetCursor(byteIndex, 0);
+            return;
+        }
+
         if (e.shiftKey) {
             // Shift-click: extend or start selection
             if (!hexEditorState.selection.active) {
@@ -1190,11 +1334,15 @@ function hexEditorSetupMouse() {
 
     // Click on character (position at corresponding byte)
     hexEditorState.container.on('click', '.hex-char', function(e) {
-        if (!hexEditorState.editMode) return;
         if (hexEditorState.modalOpen) return;  // Disable input when modal is open
 
         const byteIndex = parseInt($(this).data('byte'));
 
+        if (!hexEditorState.editMode) {
+            hexEditorSetCursor(byteIndex, 0);
+            return;
+        }
+
         if (e.shiftKey && hexEditorState.selection.active) {
             // Extend selection to this byte
             hexEditorState.selection.endNibble = byteIndex * 2;
@@ -1358,8 +1506,8 @@ function hexEditorSaveChanges(callback, errorCallback) {
 
     console.log(`HexEditor: Writing ${length} bytes from $${formatHexWord(startAddress)} to $${formatHexWord(endAddress)}`);
 
-    // Write to C64 memory
-    writeMemory(startAddress, dataToWrite,
+    // Write to C64 memory, keeping the replaced bytes in the write journal
+    writeJournalWrite([{ address: startAddress, data: dataToWrite }], 'Hex Viewer edit',
         function() {
             console.log('HexEditor: Save successful');
             if (callback) callback();
@@ -1383,6 +1531,56 @@ function hexEditorGetAddressRange() {
     };
 }
 
+// ============================================================================
+// COMPARE MODE
+// ============================================================================
+
+/**
+ * Highlight compare results in the display
+ * @param {Array<{address: number, oldValue: number, newValue: number}>} results - Differing bytes
+ */
+function hexEditorSetCompareResults(results) {
+    hexEditorState.compareResults = new Map(results.map(r => [r.address, r]));
+    hexEditorRender();
+}
+
+/**
+ * Remove the compare highlights
+ */
+function hexEditorClearCompareResults() {
+    if (!hexEditorState.compareResults) return;
+
+    hexEditorState.compareResults = null;
+    hexEditorRender();
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Highlight a search match and navigate to the row containing it
+ * @param {number} address - Match address
+ * @param {number} length - Match length in bytes
+ * @param {Function} callback - Callback function(data) called after navigation
+ */
+function hexEditorShowFound(address, length, callback) {
+    hexEditorState.foundRange = { address: address, length: length };
+
+    const rowAddress = address - (address % hexEditorState.bytesPerRow);
+    hexEditorNavigateToAddress(rowAddress, callback);
+}
+
+/**
+ * Remove the search match highlight
+ */
+function hexEditorClearFound() {
+    if (!hexEditorState.foundRange) return;
+
+    hexEditorState.foundRange = null;
+    hexEditorRender();
+}
+
 // ============================================================================
 // NAVIGATION (BROWSING MODE)
 // ============================================================================
@@ -1434,9 +1632,14 @@ function hexEditorNavigateToAddress(address, callback) {
 
     // console.log('HexEditor: Navigate to address', address.toString(16).toUpperCase());
 
-    // Read memory from C64 via API
+    // Relative navigation continues from here until the read completes
+    hexEditorState.pendingAddress = address;
+
+    // Read memory from C64 via API. A newer navigation cancels this read.
     readMemory(address, hexEditorState.pageSize,
         function(arrayBuffer) {
+            hexEditorState.pendingAddress = null;
+
             // Success: convert ArrayBuffer to Uint8Array
             const newData = new Uint8Array(arrayBuffer);
             hexEditorSetData(newData, address);
@@ -1446,18 +1649,34 @@ function hexEditorNavigateToAddress(address, callback) {
             }
         },
         function(errorMsg) {
+            hexEditorState.pendingAddress = null;
+
             // Error: already displayed by readMemory via showError
             console.error('HexEditor: Failed to read memory:', errorMsg);
-        }
+        },
+        { priority: API_PRIORITY.NAVIGATION, channel: 'hex' }
     );
 }
 
+/**
+ * Get the base address for relative navigation.
+ * This is the target of a navigation still in progress, so repeated
+ * navigation keys accumulate instead of reusing the displayed address.
+ * @returns {number} Base address
+ */
+function hexEditorGetNavigationBase() {
+    if (hexEditorState.pendingAddress !== null) {
+        return hexEditorState.pendingAddress;
+    }
+    return hexEditorState.startAddress;
+}
+
 /**
  * Navigate up (previous row, -16 bytes)
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigateUp(callback) {
-    const newAddress = hexEditorState.startAddress - hexEditorState.bytesPerRow;
+    const newAddress = hexEditorGetNavigationBase() - hexEditorState.bytesPerRow;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1466,7 +1685,7 @@ function hexEditorNavigateUp(callback) {
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigateDown(callback) {
-    const newAddress = hexEditorState.startAddress + hexEditorState.bytesPerRow;
+    const newAddress = hexEditorGetNavigationBase() + hexEditorState.bytesPerRow;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1475,7 +1694,7 @@ function hexEditorNavigateDown(callback) {
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigateLeft(callback) {
-    const newAddress = hexEditorState.startAddress - 1;
+    const newAddress = hexEditorGetNavigationBase() - 1;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1484,7 +1703,7 @@ function hexEditorNavigateLeft(callback) {
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigateRight(callback) {
-    const newAddress = hexEditorState.startAddress + 1;
+    const newAddress = hexEditorGetNavigationBase() + 1;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1493,7 +1712,7 @@ function hexEditorNavigateRight(callback) {
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigatePrevPage(callback) {
-    const newAddress = hexEditorState.startAddress - hexEditorState.pageSize;
+    const newAddress = hexEditorGetNavigationBase() - hexEditorState.pageSize;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1502,7 +1721,7 @@ function hexEditorNavigatePrevPage(callback) {
  * @param {Function} callback - Callback function(data) to receive new data
  */
 function hexEditorNavigateNextPage(callback) {
-    const newAddress = hexEditorState.startAddress + hexEditorState.pageSize;
+    const newAddress = hexEditorGetNavigationBase() + hexEditorState.pageSize;
     hexEditorNavigateToAddress(newAddress, callback);
 }
 
@@ -1547,3 +1766,21 @@ function hexEditorSetExitEditModeCallback(callback) {
     hexEditorExitEditModeCallback = callback;
 }
 
+/**
+ * Callback for search keys (set from UI)
+ * @param {string} action - 'open', 'next' or 'previous'
+ */
+let hexEditorFindCallback = null;
+
+function hexEditorSetFindCallback(callback) {
+    hexEditorFindCallback = callback;
+}
+
+/**
+ * Callback for cursor moves and data changes (set from UI, e.g. the data inspector)
+ */
+let hexEditorCursorCallback = null;
+
+function hexEditorSetCursorCallback(callback) {
+    hexEditorCursorCallback = callback;
+}
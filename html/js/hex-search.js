@@ -0,0 +1,301 @@
+/**
+ * hex-search.js
+ * Hex Viewer Search Component
+ *
+ * Searches the C64 memory for byte patterns. All 64K are read in chunks,
+ * then every match is listed and can be visited with find next/previous.
+ *
+ * Search types:
+ *   hex  - Hex bytes, with ?? as wildcard ("A9 ?? 8D 20 D0")
+ *   text - Text encoded with the charset selected in the Hex Viewer
+ *          (PETSCII 1/2 or screen codes of Screen 1/2)
+ *   word - 16-bit little endian hex words ("D020 0314")
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const HEX_SEARCH_MAX_ROWS = 500;   // Result rows rendered in the list
+
+let hexSearchState = {
+    container: null,
+    results: [],             // Match addresses, ascending
+    patternLength: 0,        // Length of the last pattern in bytes
+    currentIndex: -1,        // Index of the current match in results (-1 if none)
+    busy: false              // Search in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the search component
+ * @param {jQuery} container - Container element for the result list
+ */
+function hexSearchInit(container) {
+    hexSearchState.container = container;
+    hexSearchRender();
+
+    console.log('HexSearch: Initialized');
+}
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+/**
+ * Parse hex bytes with ?? wildcards. Bytes may be separated by spaces.
+ * @param {string} query - e.g. "A9 ?? 8D" or "A9??8D"
+ * @returns {Array<number|null>} Pattern (null = any byte)
+ */
+function hexSearchParseHex(query) {
+    const compact = query.replace(/[\s,]+/g, '');
+
+    if (compact.length === 0 || compact.length % 2 !== 0 || !/^([0-9A-Fa-f]{2}|\?\?)+$/.test(compact)) {
+        throw new Error('Enter hex bytes, using ?? for any byte (e.g. A9 ?? 8D)');
+    }
+
+    const pattern = compact.match(/../g).map(pair => pair === '??' ? null : parseInt(pair, 16));
+    if (pattern.every(b => b === null)) {
+        throw new Error('The pattern needs at least one byte that is not a wildcard');
+    }
+    return pattern;
+}
+
+/**
+ * Parse 16-bit hex words into little endian bytes
+ * @param {string} query - e.g. "D020 $0314"
+ * @returns {Array<number>} Pattern
+ */
+function hexSearchParseWords(query) {
+    const tokens = query.trim().split(/[\s,]+/).filter(t => t !== '');
+    const pattern = [];
+
+    if (tokens.length === 0) {
+        throw new Error('Enter one or more 16-bit hex words (e.g. D020)');
+    }
+
+    tokens.forEach(token => {
+        const hex = token.replace(/^\$/, '');
+        if (!/^[0-9A-Fa-f]{1,4}$/.test(hex)) {
+            throw new Error(`Invalid word: ${token}`);
+        }
+        const word = parseInt(hex, 16);
+        pattern.push(word & 0xFF, word >> 8);
+    });
+
+    return pattern;
+}
+
+/**
+ * Encode text with a Hex Viewer charset
+ * @param {string} query - Text
+ * @param {number} charsetPuaBase - Charset selected in the Hex Viewer (0xEE00, 0xEF00, 0xE000, 0xE100)
+ * @returns {Array<number>} Pattern
+ */
+function hexSearchEncodeText(query, charsetPuaBase) {
+    const screenCodes = charsetPuaBase === 0xEE00 || charsetPuaBase === 0xEF00;
+    const shifted = charsetPuaBase === 0xEF00 || charsetPuaBase === 0xE100;
+    const encode = screenCodes ? encodeScreenCodeChar : encodePetsciiChar;
+
+    if (query.length === 0) {
+        throw new Error('Enter the text to search for');
+    }
+
+    return Array.from(query).map(char => {
+        const code = encode(char, shifted);
+        if (code === null) {
+            throw new Error(`The character "${char}" is not available in the selected charset`);
+        }
+        return code;
+    });
+}
+
+/**
+ * Build the byte pattern of a search
+ * @param {string} type - 'hex', 'text' or 'word'
+ * @param {string} query - Search query
+ * @param {number} charsetPuaBase - Charset for text searches
+ * @returns {Array<number|null>} Pattern (null = any byte)
+ */
+function hexSearchBuildPattern(type, query, charsetPuaBase) {
+    if (type === 'text') return hexSearchEncodeText(query, charsetPuaBase);
+    if (type === 'word') return hexSearchParseWords(query);
+    return hexSearchParseHex(query);
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Find all occurrences of a pattern in a memory image.
+ * Matches must lie completely inside one of the ranges.
+ * @param {Uint8Array} data - 64K memory image
+ * @param {Array<Object>} ranges - Valid ranges of the image: { address, length }
+ * @param {Array<number|null>} pattern - Pattern (null = any byte)
+ * @returns {Array<number>} Match addresses, ascending
+ */
+function hexSearchFindAll(data, ranges, pattern) {
+    const results = [];
+
+    ranges.forEach(range => {
+        const last = range.address + range.length - pattern.length;
+        for (let address = range.address; address <= last; address++) {
+            let match = true;
+            for (let i = 0; i < pattern.length; i++) {
+                if (pattern[i] !== null && data[address + i] !== pattern[i]) {
+                    match = false;
+                    break;
+                }
+            }
+            if (match) results.push(address);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Search the C64 memory
+ * @param {Object} options - { type, query, charsetPuaBase, includeIo, onProgress(done, total) }
+ * @returns {Promise<Array<number>>} Promise resolving with the match addresses
+ */
+async function hexSearchRunAsync(options) {
+    if (hexSearchState.busy) {
+        throw new Error('A search is already in progress');
+    }
+
+    const pattern = hexSearchBuildPattern(options.type, options.query, options.charsetPuaBase);
+    hexSearchState.busy = true;
+
+    try {
+        const ranges = memCompareGetReadRanges(0x0000, 0xFFFF, options.includeIo);
+        const total = ranges.reduce((sum, r) => sum + r.length, 0);
+        const data = new Uint8Array(0x10000);
+        let done = 0;
+
+        for (const range of ranges) {
+            const bytes = await readMemoryRangeAsync(range.address, range.length, {
+                onProgress: (rangeDone) => {
+                    if (options.onProgress) options.onProgress(done + rangeDone, total);
+                }
+            });
+            data.set(bytes, range.address);
+            done += range.length;
+        }
+
+        hexSearchState.results = hexSearchFindAll(data, ranges, pattern);
+        hexSearchState.patternLength = pattern.length;
+        hexSearchState.currentIndex = -1;
+        hexSearchRender();
+
+        return hexSearchState.results;
+    } finally {
+        hexSearchState.busy = false;
+    }
+}
+
+/**
+ * Select the next or previous match relative to an address, wrapping around
+ * @param {number} fromAddress - Address to search from (usually the current match or view)
+ * @param {boolean} backward - True to find the previous match
+ * @returns {number|null} Match address, or null if there are no matches
+ */
+function hexSearchStep(fromAddress, backward) {
+    const results = hexSearchState.results;
+    if (results.length === 0) return null;
+
+    let index;
+    if (backward) {
+        // -2 when all matches are before fromAddress, -1 when none is: both wrap to the last match
+        index = results.findIndex(a => a >= fromAddress) - 1;
+        if (index < 0) index = results.length - 1;
+    } else {
+        index = results.findIndex(a => a > fromAddress);
+        if (index < 0) index = 0;                           // Wrap to the first match
+    }
+
+    return hexSearchSelect(index);
+}
+
+/**
+ * Select a match by index
+ * @param {number} index - Index in the result list
+ * @returns {number} Match address
+ */
+function hexSearchSelect(index) {
+    hexSearchState.currentIndex = index;
+    hexSearchRenderCurrent();
+    return hexSearchState.results[index];
+}
+
+/**
+ * Get the address of the current match
+ * @returns {number|null} Match address, or null if none is selected
+ */
+function hexSearchGetCurrent() {
+    const index = hexSearchState.currentIndex;
+    return index >= 0 ? hexSearchState.results[index] : null;
+}
+
+/**
+ * Clear the search results
+ */
+function hexSearchClear() {
+    hexSearchState.results = [];
+    hexSearchState.currentIndex = -1;
+    hexSearchRender();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the result list
+ */
+function hexSearchRender() {
+    const container = hexSearchState.container;
+    if (!container) return;
+
+    const results = hexSearchState.results;
+    if (results.length === 0) {
+        container.html('');
+        return;
+    }
+
+    const html = results.slice(0, HEX_SEARCH_MAX_ROWS).map((address, index) =>
+        `<span class="hex-search-result" data-index="${index}">$${formatHexWord(address)}</span>`
+    );
+
+    if (results.length > HEX_SEARCH_MAX_ROWS) {
+        html.push(`<span class="hex-search-more">... and ${results.length - HEX_SEARCH_MAX_ROWS} more (use Next/Previous)</span>`);
+    }
+
+    container.html(html.join(''));
+    hexSearchRenderCurrent();
+}
+
+/**
+ * Mark the current match in the result list
+ */
+function hexSearchRenderCurrent() {
+    const container = hexSearchState.container;
+    if (!container) return;
+
+    container.find('.hex-search-result').removeClass('current');
+
+    const $current = container.find(`.hex-search-result[data-index="${hexSearchState.currentIndex}"]`);
+    if ($current.length) {
+        $current.addClass('current');
+        $current[0].scrollIntoView({ block: 'nearest' });
+    }
+}
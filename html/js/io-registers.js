@@ -0,0 +1,660 @@
+/**
+ * io-registers.js
+ * I/O Register Decoder Component
+ *
+ * Decoded views of the VIC-II ($D000-$D02E), SID ($D400-$D41C) and CIA
+ * ($DC00, $DD00) registers. The registers of the selected chip are read
+ * with readMemory and shown as fields (sprite positions, screen mode bits,
+ * VIC bank and memory pointers, SID voices and envelopes, CIA ports and
+ * timers). Each field can be edited on its own: the new value is merged
+ * into the registers it occupies, which are written back with writeMemory.
+ *
+ * Registers that change state when read (VIC collision registers, CIA
+ * interrupt control, serial and time of day registers) are never read.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// REGISTER DEFINITIONS
+// ============================================================================
+
+const IO_REGISTERS_COLOR_NAMES = [
+    'Black', 'White', 'Red', 'Cyan', 'Purple', 'Green', 'Blue', 'Yellow',
+    'Orange', 'Brown', 'Light red', 'Dark grey', 'Grey', 'Light green', 'Light blue', 'Light grey'
+];
+
+const IO_REGISTERS_SID_CLOCK = 985248;   // PAL system clock (Hz)
+
+// SID attack times in ms. Decay and release take three times as long.
+const IO_REGISTERS_SID_ATTACK_MS = [2, 8, 16, 24, 38, 56, 68, 80, 100, 250, 500, 800, 1000, 3000, 5000, 8000];
+
+/**
+ * Create a field.
+ * bits: slices of the value, least significant first: [address, lowBit, width]
+ * format: 'dec', 'hex', 'bin', 'bool', 'enum' (options: [[value, label], ...]) or 'color'
+ * extra: optional { readOnly, options, describe(value) }
+ * @returns {Object} Field
+ */
+function ioRegistersField(label, bits, format, extra) {
+    return Object.assign({ label: label, bits: bits, format: format }, extra);
+}
+
+/**
+ * Create a read-only field computed from other registers
+ * @param {string} label - Label
+ * @param {function} compute - compute(registers) returns the text shown
+ * @returns {Object} Field
+ */
+function ioRegistersComputed(label, compute) {
+    return { label: label, compute: compute, readOnly: true };
+}
+
+/**
+ * Create a group with one field per row
+ * @param {string} title - Group title
+ * @param {Array<Object>} fields - Fields
+ * @param {string} note - Optional note shown below the title
+ * @returns {Object} Group
+ */
+function ioRegistersList(title, fields, note) {
+    return {
+        title: title,
+        note: note || null,
+        columns: ['Value'],
+        rows: fields.map(field => ({ label: field.label, fields: [field] }))
+    };
+}
+
+/**
+ * Create a group with a table of fields
+ * @param {string} title - Group title
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Object>} rows - Rows: { label, fields } (one field per column)
+ * @param {string} note - Optional note shown below the title
+ * @returns {Object} Group
+ */
+function ioRegistersTable(title, columns, rows, note) {
+    return { title: title, note: note || null, columns: columns, rows: rows };
+}
+
+/**
+ * Get the VIC bank base address from the CIA 2 port A register
+ * @param {Map} regs - Register values
+ * @returns {number} Bank base address
+ */
+function ioRegistersGetVicBank(regs) {
+    return (3 - (regs.get(0xDD00) & 0x03)) * 0x4000;
+}
+
+/**
+ * Build the VIC-II groups
+ * @returns {Array<Object>} Groups
+ */
+function ioRegistersBuildVic() {
+    const bit = (address, n) => [[address, n, 1]];
+    const offsetOptions = (count, step) =>
+        Array.from({ length: count }, (_, i) => [i, `+$${formatHexWord(i * step)}`]);
+
+    const sprites = [];
+    for (let n = 0; n < 8; n++) {
+        sprites.push({
+            label: `Sprite ${n}`,
+            fields: [
+                ioRegistersField('Enabled', bit(0xD015, n), 'bool'),
+                ioRegistersField('X', [[0xD000 + n * 2, 0, 8], [0xD010, n, 1]], 'dec'),
+                ioRegistersField('Y', [[0xD001 + n * 2, 0, 8]], 'dec'),
+                ioRegistersField('Color', [[0xD027 + n, 0, 4]], 'color'),
+                ioRegistersField('Multicolor', bit(0xD01C, n), 'bool'),
+                ioRegistersField('X expand', bit(0xD01D, n), 'bool'),
+                ioRegistersField('Y expand', bit(0xD017, n), 'bool'),
+                ioRegistersField('Behind background', bit(0xD01B, n), 'bool')
+            ]
+        });
+    }
+
+    const screenMode = (regs) => {
+        const ecm = (regs.get(0xD011) >> 6) & 1;
+        const bmm = (regs.get(0xD011) >> 5) & 1;
+        const mcm = (regs.get(0xD016) >> 4) & 1;
+        const modes = {
+            '000': 'Standard text', '001': 'Multicolor text',
+            '010': 'Standard bitmap', '011': 'Multicolor bitmap',
+            '100': 'Extended background color text'
+        };
+        return modes[`${ecm}${bmm}${mcm}`] || 'Invalid (black screen)';
+    };
+
+    const screenBase = (regs) => ioRegistersGetVicBank(regs) + (regs.get(0xD018) >> 4) * 0x400;
+
+    const charsetAddress = (regs) => {
+        const bank = ioRegistersGetVicBank(regs);
+        const offset = ((regs.get(0xD018) >> 1) & 0x07) * 0x800;
+        const rom = (bank === 0x0000 || bank === 0x8000) && (offset === 0x1000 || offset === 0x1800);
+        return `$${formatHexWord(bank + offset)}${rom ? ' (character ROM)' : ''}`;
+    };
+
+    return [
+        ioRegistersList('Screen', [
+            ioRegistersComputed('Mode', screenMode),
+            ioRegistersField('Display enabled', bit(0xD011, 4), 'bool'),
+            ioRegistersField('Extended color', bit(0xD011, 6), 'bool'),
+            ioRegistersField('Bitmap', bit(0xD011, 5), 'bool'),
+            ioRegistersField('Multicolor', bit(0xD016, 4), 'bool'),
+            ioRegistersField('25 rows', bit(0xD011, 3), 'bool'),
+            ioRegistersField('40 columns', bit(0xD016, 3), 'bool'),
+            ioRegistersField('Y scroll', [[0xD011, 0, 3]], 'dec'),
+            ioRegistersField('X scroll', [[0xD016, 0, 3]], 'dec'),
+            ioRegistersField('Raster line', [[0xD012, 0, 8], [0xD011, 7, 1]], 'dec', {
+                describe: () => 'Read: current line. Write: raster IRQ line'
+            })
+        ]),
+        ioRegistersList('Memory', [
+            ioRegistersField('VIC bank', [[0xDD00, 0, 2]], 'enum', {
+                options: [[3, '0: $0000-$3FFF'], [2, '1: $4000-$7FFF'], [1, '2: $8000-$BFFF'], [0, '3: $C000-$FFFF']]
+            }),
+            ioRegistersField('Screen offset', [[0xD018, 4, 4]], 'enum', { options: offsetOptions(16, 0x400) }),
+            ioRegistersField('Charset offset', [[0xD018, 1, 3]], 'enum', { options: offsetOptions(8, 0x800) }),
+            ioRegistersField('Bitmap offset', bit(0xD018, 3), 'enum', { options: offsetOptions(2, 0x2000) }),
+            ioRegistersComputed('Screen RAM', (regs) => `$${formatHexWord(screenBase(regs))}`),
+            ioRegistersComputed('Character set', charsetAddress),
+            ioRegistersComputed('Bitmap', (regs) =>
+                `$${formatHexWord(ioRegistersGetVicBank(regs) + ((regs.get(0xD018) >> 3) & 1) * 0x2000)}`),
+            ioRegistersComputed('Sprite pointers', (regs) => `$${formatHexWord(screenBase(regs) + 0x3F8)}`)
+        ]),
+        ioRegistersList('Colors', [
+            ioRegistersField('Border', [[0xD020, 0, 4]], 'color'),
+            ioRegistersField('Background 0', [[0xD021, 0, 4]], 'color'),
+            ioRegistersField('Background 1', [[0xD022, 0, 4]], 'color'),
+            ioRegistersField('Background 2', [[0xD023, 0, 4]], 'color'),
+            ioRegistersField('Background 3', [[0xD024, 0, 4]], 'color'),
+            ioRegistersField('Sprite multicolor 0', [[0xD025, 0, 4]], 'color'),
+            ioRegistersField('Sprite multicolor 1', [[0xD026, 0, 4]], 'color')
+        ]),
+        ioRegistersTable('Sprites',
+            ['Enabled', 'X', 'Y', 'Color', 'Multicolor', 'X expand', 'Y expand', 'Behind background'],
+            sprites),
+        ioRegistersTable('Interrupts', ['Raster', 'Sprite-background', 'Sprite-sprite', 'Light pen'], [
+            { label: 'Enabled', fields: [0, 1, 2, 3].map(n => ioRegistersField('Enabled', bit(0xD01A, n), 'bool')) },
+            { label: 'Pending', fields: [0, 1, 2, 3].map(n => ioRegistersField('Pending', bit(0xD019, n), 'bool', { readOnly: true })) }
+        ], 'The sprite collision registers ($D01E-$D01F) are not read: reading them clears them.')
+    ];
+}
+
+/**
+ * Build the SID groups
+ * @returns {Array<Object>} Groups
+ */
+function ioRegistersBuildSid() {
+    const bit = (address, n) => [[address, n, 1]];
+    const voices = [0, 1, 2].map(v => ({ label: `Voice ${v + 1}`, base: 0xD400 + v * 7 }));
+
+    const oscillators = voices.map(v => ({
+        label: v.label,
+        fields: [
+            ioRegistersField('Frequency', [[v.base, 0, 8], [v.base + 1, 0, 8]], 'dec', {
+                describe: (value) => `${(value * IO_REGISTERS_SID_CLOCK / 16777216).toFixed(1)} Hz`
+            }),
+            ioRegistersField('Pulse width', [[v.base + 2, 0, 8], [v.base + 3, 0, 4]], 'dec', {
+                describe: (value) => `${(value / 40.95).toFixed(1)}%`
+            }),
+            ioRegistersField('Triangle', bit(v.base + 4, 4), 'bool'),
+            ioRegistersField('Sawtooth', bit(v.base + 4, 5), 'bool'),
+            ioRegistersField('Pulse', bit(v.base + 4, 6), 'bool'),
+            ioRegistersField('Noise', bit(v.base + 4, 7), 'bool'),
+            ioRegistersField('Sync', bit(v.base + 4, 1), 'bool'),
+            ioRegistersField('Ring', bit(v.base + 4, 2), 'bool'),
+            ioRegistersField('Test', bit(v.base + 4, 3), 'bool')
+        ]
+    }));
+
+    const envelopes = voices.map(v => ({
+        label: v.label,
+        fields: [
+            ioRegistersField('Gate', bit(v.base + 4, 0), 'bool'),
+            ioRegistersField('Attack', [[v.base + 5, 4, 4]], 'dec', {
+                describe: (value) => `${IO_REGISTERS_SID_ATTACK_MS[value]} ms`
+            }),
+            ioRegistersField('Decay', [[v.base + 5, 0, 4]], 'dec', {
+                describe: (value) => `${IO_REGISTERS_SID_ATTACK_MS[value] * 3} ms`
+            }),
+            ioRegistersField('Sustain', [[v.base + 6, 4, 4]], 'dec'),
+            ioRegistersField('Release', [[v.base + 6, 0, 4]], 'dec', {
+                describe: (value) => `${IO_REGISTERS_SID_ATTACK_MS[value] * 3} ms`
+            })
+        ]
+    }));
+
+    return [
+        ioRegistersTable('Oscillators',
+            ['Frequency', 'Pulse width', 'Triangle', 'Sawtooth', 'Pulse', 'Noise', 'Sync', 'Ring', 'Test'],
+            oscillators,
+            'SID registers $D400-$D418 are write-only: the values shown are what the machine returns when they are read.'),
+        ioRegistersTable('Envelopes', ['Gate', 'Attack', 'Decay', 'Sustain', 'Release'], envelopes),
+        ioRegistersList('Filter and volume', [
+            ioRegistersField('Cutoff', [[0xD415, 0, 3], [0xD416, 0, 8]], 'dec'),
+            ioRegistersField('Resonance', [[0xD417, 4, 4]], 'dec'),
+            ioRegistersField('Filter voice 1', bit(0xD417, 0), 'bool'),
+            ioRegistersField('Filter voice 2', bit(0xD417, 1), 'bool'),
+            ioRegistersField('Filter voice 3', bit(0xD417, 2), 'bool'),
+            ioRegistersField('Filter external', bit(0xD417, 3), 'bool'),
+            ioRegistersField('Low pass', bit(0xD418, 4), 'bool'),
+            ioRegistersField('Band pass', bit(0xD418, 5), 'bool'),
+            ioRegistersField('High pass', bit(0xD418, 6), 'bool'),
+            ioRegistersField('Voice 3 off', bit(0xD418, 7), 'bool'),
+            ioRegistersField('Volume', [[0xD418, 0, 4]], 'dec')
+        ]),
+        ioRegistersList('Read-only', [
+            ioRegistersField('Paddle X', [[0xD419, 0, 8]], 'dec', { readOnly: true }),
+            ioRegistersField('Paddle Y', [[0xD41A, 0, 8]], 'dec', { readOnly: true }),
+            ioRegistersField('Oscillator 3', [[0xD41B, 0, 8]], 'hex', { readOnly: true }),
+            ioRegistersField('Envelope 3', [[0xD41C, 0, 8]], 'hex', { readOnly: true })
+        ])
+    ];
+}
+
+/**
+ * Build the groups of a CIA
+ * @param {number} base - Base address ($DC00 or $DD00)
+ * @returns {Array<Object>} Groups
+ */
+function ioRegistersBuildCia(base) {
+    const bit = (address, n) => [[address, n, 1]];
+    const timerMode = (address) => ioRegistersField('One-shot', bit(address, 3), 'bool');
+    const timerRunning = (address) => ioRegistersField('Running', bit(address, 0), 'bool');
+
+    return [
+        ioRegistersTable('Ports', ['Data', 'Direction (1 = output)'], [
+            { label: 'Port A', fields: [
+                ioRegistersField('Data', [[base, 0, 8]], 'bin'),
+                ioRegistersField('Direction', [[base + 2, 0, 8]], 'bin')
+            ] },
+            { label: 'Port B', fields: [
+                ioRegistersField('Data', [[base + 1, 0, 8]], 'bin'),
+                ioRegistersField('Direction', [[base + 3, 0, 8]], 'bin')
+            ] }
+        ]),
+        ioRegistersTable('Timers', ['Counter', 'Running', 'One-shot', 'Counts'], [
+            { label: 'Timer A', fields: [
+                ioRegistersField('Counter', [[base + 4, 0, 8], [base + 5, 0, 8]], 'dec'),
+                timerRunning(base + 0x0E),
+                timerMode(base + 0x0E),
+                ioRegistersField('Counts', [[base + 0x0E, 5, 1]], 'enum', {
+                    options: [[0, 'System clock'], [1, 'CNT pin']]
+                })
+            ] },
+            { label: 'Timer B', fields: [
+                ioRegistersField('Counter', [[base + 6, 0, 8], [base + 7, 0, 8]], 'dec'),
+                timerRunning(base + 0x0F),
+                timerMode(base + 0x0F),
+                ioRegistersField('Counts', [[base + 0x0F, 5, 2]], 'enum', {
+                    options: [[0, 'System clock'], [1, 'CNT pin'], [2, 'Timer A underflows'], [3, 'Timer A underflows with CNT']]
+                })
+            ] }
+        ], 'Reading a counter returns the current count; writing it sets the timer latch. ' +
+           'The interrupt control, serial and time of day registers are not read: reading them acknowledges interrupts or stops the clock.')
+    ];
+}
+
+/**
+ * Chips: registers read for each view ([address, length] blocks) and the
+ * groups of fields shown
+ */
+const IO_REGISTERS_CHIPS = {
+    vic:  { label: 'VIC-II', blocks: [[0xD000, 0x1E], [0xD020, 0x0F], [0xDD00, 1]], groups: ioRegistersBuildVic() },
+    sid:  { label: 'SID',    blocks: [[0xD400, 0x1D]], groups: ioRegistersBuildSid() },
+    cia1: { label: 'CIA 1',  blocks: [[0xDC00, 0x08], [0xDC0E, 0x02]], groups: ioRegistersBuildCia(0xDC00) },
+    cia2: { label: 'CIA 2',  blocks: [[0xDD00, 0x08], [0xDD0E, 0x02]], groups: ioRegistersBuildCia(0xDD00) }
+};
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+let ioRegistersState = {
+    container: null,
+    chip: 'vic',
+    registers: null,         // Map address -> value of the chip registers (null until read)
+    fields: new Map(),       // Map field id -> field
+    busy: false              // Read or write in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the register decoder
+ * @param {jQuery} container - Container element for the decoded fields
+ */
+function ioRegistersInit(container) {
+    ioRegistersState.container = container;
+
+    // Give every field an id for the inputs that edit it
+    Object.keys(IO_REGISTERS_CHIPS).forEach(chip => {
+        let index = 0;
+        IO_REGISTERS_CHIPS[chip].groups.forEach(group => {
+            group.rows.forEach(row => {
+                row.fields.forEach(field => {
+                    field.id = `${chip}-${index++}`;
+                    field.chip = chip;
+                    ioRegistersState.fields.set(field.id, field);
+                });
+            });
+        });
+    });
+
+    ioRegistersRender();
+
+    console.log('IoRegisters: Initialized');
+}
+
+/**
+ * Select the chip to show. Its registers must be read again.
+ * @param {string} chip - Chip (key of IO_REGISTERS_CHIPS)
+ */
+function ioRegistersSetChip(chip) {
+    ioRegistersState.chip = chip;
+    ioRegistersState.registers = null;
+    ioRegistersRender();
+}
+
+// ============================================================================
+// FIELD VALUES
+// ============================================================================
+
+/**
+ * Get the total width of a field in bits
+ * @param {Object} field - Field
+ * @returns {number} Width
+ */
+function ioRegistersGetWidth(field) {
+    return field.bits.reduce((sum, slice) => sum + slice[2], 0);
+}
+
+/**
+ * Get the value of a field
+ * @param {Object} field - Field
+ * @param {Map} regs - Register values
+ * @returns {number} Value
+ */
+function ioRegistersGetValue(field, regs) {
+    let value = 0;
+    let shift = 0;
+
+    field.bits.forEach(([address, lowBit, width]) => {
+        value |= ((regs.get(address) >> lowBit) & ((1 << width) - 1)) << shift;
+        shift += width;
+    });
+
+    return value;
+}
+
+/**
+ * Merge a field value into the registers it occupies
+ * @param {Object} field - Field
+ * @param {number} value - New value
+ * @param {Map} regs - Current register values
+ * @returns {Map} Map address -> new register value
+ */
+function ioRegistersEncodeValue(field, value, regs) {
+    const writes = new Map();
+    let shift = 0;
+
+    field.bits.forEach(([address, lowBit, width]) => {
+        const mask = ((1 << width) - 1) << lowBit;
+        const current = writes.has(address) ? writes.get(address) : regs.get(address);
+        const bits = ((value >> shift) << lowBit) & mask;
+        writes.set(address, (current & ~mask) | bits);
+        shift += width;
+    });
+
+    return writes;
+}
+
+/**
+ * Format a field value for its input
+ * @param {Object} field - Field
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function ioRegistersFormatValue(field, value) {
+    const width = ioRegistersGetWidth(field);
+
+    switch (field.format) {
+        case 'hex': return '$' + value.toString(16).toUpperCase().padStart(Math.ceil(width / 4), '0');
+        case 'bin': return value.toString(2).padStart(width, '0');
+        default:    return String(value);
+    }
+}
+
+/**
+ * Parse the text entered for a field: decimal, hex with $ prefix, or
+ * binary digits for binary fields
+ * @param {Object} field - Field
+ * @param {string} text - Entered text
+ * @returns {number|null} Value, or null if invalid or out of range
+ */
+function ioRegistersParseValue(field, text) {
+    text = text.trim();
+
+    let value = null;
+    if (/^\$[0-9A-Fa-f]+$/.test(text)) {
+        value = parseInt(text.substring(1), 16);
+    } else if (field.format === 'bin' && /^[01]+$/.test(text)) {
+        value = parseInt(text, 2);
+    } else if (field.format === 'hex' && /^[0-9A-Fa-f]+$/.test(text)) {
+        value = parseInt(text, 16);
+    } else if (/^[0-9]+$/.test(text)) {
+        value = parseInt(text, 10);
+    }
+
+    if (value === null || value >= (1 << ioRegistersGetWidth(field))) {
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Describe the registers of a field for its tooltip
+ * @param {Object} field - Field
+ * @returns {string} e.g. "$D000, $D010 bit 0"
+ */
+function ioRegistersDescribeBits(field) {
+    return field.bits.map(([address, lowBit, width]) => {
+        const name = `$${formatHexWord(address)}`;
+        if (width === 8) return name;
+        if (width === 1) return `${name} bit ${lowBit}`;
+        return `${name} bits ${lowBit}-${lowBit + width - 1}`;
+    }).join(', ');
+}
+
+// ============================================================================
+// READ / WRITE
+// ============================================================================
+
+/**
+ * Read the registers of the selected chip. If the chip changes during the
+ * read, the new chip is read before resolving.
+ * @returns {Promise<Map>} Promise resolving with the register values
+ */
+async function ioRegistersReadAsync() {
+    if (ioRegistersState.busy) {
+        throw new Error('A register read or write is already in progress');
+    }
+
+    ioRegistersState.busy = true;
+
+    try {
+        // Read again if another chip was selected meanwhile
+        let chip;
+        let regs;
+        do {
+            chip = ioRegistersState.chip;
+            regs = new Map();
+            for (const [address, length] of IO_REGISTERS_CHIPS[chip].blocks) {
+                const data = new Uint8Array(await readMemoryAsync(address, length));
+                data.forEach((value, i) => regs.set(address + i, value));
+            }
+        } while (chip !== ioRegistersState.chip);
+
+        ioRegistersState.registers = regs;
+        ioRegistersRender();
+        return regs;
+    } finally {
+        ioRegistersState.busy = false;
+    }
+}
+
+/**
+ * Read the registers of the selected chip
+ * @param {function} callback - Success callback, receives the register values
+ * @param {function} errorCallback - Error callback, receives error message string
+ */
+function ioRegistersRead(callback, errorCallback) {
+    apiCallbackAdapter(ioRegistersReadAsync(), callback, errorCallback);
+}
+
+/**
+ * Write a new field value to the registers it occupies.
+ * The other bits of those registers keep their last read values.
+ * @param {string} id - Field id
+ * @param {number} value - New value
+ * @returns {Promise<Map>} Promise resolving with the written registers (address -> value)
+ */
+async function ioRegistersWriteFieldAsync(id, value) {
+    const field = ioRegistersState.fields.get(id);
+    const regs = ioRegistersState.registers;
+
+    if (!field || field.readOnly) {
+        throw new Error('This field cannot be written');
+    }
+    if (!regs || field.chip !== ioRegistersState.chip) {
+        throw new Error('Read the registers before editing them');
+    }
+    if (ioRegistersState.busy) {
+        throw new Error('A register read or write is already in progress');
+    }
+
+    ioRegistersState.busy = true;
+
+    try {
+        const writes = ioRegistersEncodeValue(field, value, regs);
+        for (const [address, byte] of writes) {
+            await writeMemoryAsync(address, [byte], { priority: API_PRIORITY.USER });
+            regs.set(address, byte);
+        }
+
+        console.log(`IoRegisters: ${field.label} = ${value} (${ioRegistersDescribeBits(field)})`);
+        return writes;
+    } finally {
+        ioRegistersState.busy = false;
+    }
+}
+
+/**
+ * Write a new field value to the registers it occupies
+ * @param {string} id - Field id
+ * @param {number} value - New value
+ * @param {function} callback - Success callback
+ * @param {function} errorCallback - Error callback, receives error message string
+ */
+function ioRegistersWriteField(id, value, callback, errorCallback) {
+    apiCallbackAdapter(ioRegistersWriteFieldAsync(id, value), callback, errorCallback);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the input of a field
+ * @param {Object} field - Field
+ * @param {Map} regs - Register values
+ * @returns {string} HTML for the field
+ */
+function ioRegistersRenderField(field, regs) {
+    if (field.compute) {
+        return `<span class="io-registers-computed">${escapeHtml(field.compute(regs))}</span>`;
+    }
+
+    const value = ioRegistersGetValue(field, regs);
+    const title = ` title="${ioRegistersDescribeBits(field)}"`;
+    const disabled = field.readOnly ? ' disabled' : '';
+    const attrs = `data-field="${field.id}"${title}${disabled}`;
+    let html;
+
+    switch (field.format) {
+        case 'bool':
+            html = `<input type="checkbox" ${attrs}${value ? ' checked' : ''}>`;
+            break;
+
+        case 'enum':
+        case 'color': {
+            const options = field.format === 'color'
+                ? IO_REGISTERS_COLOR_NAMES.map((name, i) => [i, `${i}: ${name}`])
+                : field.options;
+            html = `<select class="mem-select" ${attrs}>` +
+                options.map(([v, label]) =>
+                    `<option value="${v}"${v === value ? ' selected' : ''}>${escapeHtml(label)}</option>`
+                ).join('') +
+                '</select>';
+            if (field.format === 'color') {
+                html += `<span class="io-registers-swatch" style="background:${getC64Color(value)}"></span>`;
+            }
+            break;
+        }
+
+        default: {
+            const widthClass = field.format === 'bin' ? ' io-registers-input-bin' : '';
+            html = `<input type="text" class="io-registers-input${widthClass}" ${attrs} value="${ioRegistersFormatValue(field, value)}">`;
+        }
+    }
+
+    if (field.describe) {
+        html += `<span class="io-registers-describe">${escapeHtml(field.describe(value))}</span>`;
+    }
+    return html;
+}
+
+/**
+ * Render the decoded registers of the selected chip
+ */
+function ioRegistersRender() {
+    const container = ioRegistersState.container;
+    if (!container) return;
+
+    const regs = ioRegistersState.registers;
+    if (!regs) {
+        container.html('<div class="io-registers-empty">Registers not read yet. Click Refresh to read them.</div>');
+        return;
+    }
+
+    const html = [];
+
+    IO_REGISTERS_CHIPS[ioRegistersState.chip].groups.forEach(group => {
+        html.push('<div class="io-registers-group">');
+        html.push(`<div class="io-registers-title">${escapeHtml(group.title)}</div>`);
+        if (group.note) {
+            html.push(`<div class="io-registers-note">${escapeHtml(group.note)}</div>`);
+        }
+
+        html.push('<table class="io-registers-table">');
+        if (group.columns.length > 1) {
+            html.push('<tr><th></th>' + group.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('') + '</tr>');
+        }
+        group.rows.forEach(row => {
+            html.push(
+                `<tr><td class="io-registers-label">${escapeHtml(row.label)}</td>` +
+                row.fields.map(field => `<td>${ioRegistersRenderField(field, regs)}</td>`).join('') +
+                '</tr>'
+            );
+        });
+        html.push('</table></div>');
+    });
+
+    container.html(html.join(''));
+}
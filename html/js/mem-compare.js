@@ -0,0 +1,330 @@
+/**
+ * mem-compare.js
+ * Memory Compare Component
+ *
+ * Compares two 64K memory images and lists the addresses whose values
+ * differ, filtered by how they changed (e.g. "decreased by 1" or
+ * "changed to 3"). Images can be live memory, the previous live read or
+ * any snapshot of the session (see snapshot-manager.js).
+ *
+ * Typical use: compare "Previous read" against "Live memory", lose a life
+ * in the game, compare again with "Decreased by 1".
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const MEM_COMPARE_MAX_ROWS = 500;   // Result rows rendered in the list
+
+/**
+ * Compare filters. Byte deltas wrap around ($00 decreased by 1 is $FF).
+ * test(oldValue, newValue, value) returns true if the byte matches.
+ */
+const MEM_COMPARE_FILTERS = {
+    changed:     { label: 'Changed',      needsValue: false, test: (o, n) => o !== n },
+    unchanged:   { label: 'Unchanged',    needsValue: false, test: (o, n) => o === n },
+    increased:   { label: 'Increased',    needsValue: false, test: (o, n) => n > o },
+    decreased:   { label: 'Decreased',    needsValue: false, test: (o, n) => n < o },
+    increasedBy: { label: 'Increased by', needsValue: true,  test: (o, n, v) => o !== n && ((n - o) & 0xFF) === v },
+    decreasedBy: { label: 'Decreased by', needsValue: true,  test: (o, n, v) => o !== n && ((o - n) & 0xFF) === v },
+    changedTo:   { label: 'Changed to',   needsValue: true,  test: (o, n, v) => o !== n && n === v },
+    changedFrom: { label: 'Changed from', needsValue: true,  test: (o, n, v) => o !== n && o === v }
+};
+
+let memCompareState = {
+    container: null,
+    previousImage: null,     // Last live read, used as the "Previous read" source
+    results: [],             // Last compare results: {address, oldValue, newValue}
+    busy: false              // Compare in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the memory compare component
+ * @param {jQuery} container - Container element for the result list
+ */
+function memCompareInit(container) {
+    memCompareState.container = container;
+    memCompareRender();
+
+    console.log('MemCompare: Initialized');
+}
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * Get the memory images available for comparison.
+ * Source ids: 'live', 'previous' and 'snapshot:<id>'.
+ * @returns {Array<{id: string, label: string}>} Sources
+ */
+function memCompareGetSources() {
+    const sources = [{ id: 'live', label: 'Live memory' }];
+
+    const previous = memCompareState.previousImage;
+    sources.push({
+        id: 'previous',
+        label: previous ? `Previous read (${previous.timestamp.toLocaleTimeString()})` : 'Previous read'
+    });
+
+    snapshotManagerGetAll().forEach(snapshot => {
+        sources.push({ id: `snapshot:${snapshot.id}`, label: snapshot.name });
+    });
+
+    return sources;
+}
+
+/**
+ * Get the ranges to read within start-end, skipping the I/O area unless
+ * requested (reading I/O registers has side effects on the chips).
+ * @param {number} start - First address
+ * @param {number} end - Last address (inclusive)
+ * @param {boolean} includeIo - Include $D000-$DFFF
+ * @returns {Array<Object>} Ranges: { address, length }
+ */
+function memCompareGetReadRanges(start, end, includeIo) {
+    const ioEnd = SNAPSHOT_IO_START + SNAPSHOT_IO_SIZE - 1;
+
+    if (includeIo || end < SNAPSHOT_IO_START || start > ioEnd) {
+        return [{ address: start, length: end - start + 1 }];
+    }
+
+    const ranges = [];
+    if (start < SNAPSHOT_IO_START) {
+        ranges.push({ address: start, length: SNAPSHOT_IO_START - start });
+    }
+    if (end > ioEnd) {
+        ranges.push({ address: ioEnd + 1, length: end - ioEnd });
+    }
+    return ranges;
+}
+
+/**
+ * Read live memory into a new image. The image becomes the "Previous read".
+ * @param {Object} options - { start, end, includeIo, onProgress(done, total) }
+ * @returns {Promise<Object>} Promise resolving with the image
+ */
+async function memCompareReadLiveAsync(options) {
+    const data = new Uint8Array(SNAPSHOT_SIZE);
+    const ranges = memCompareGetReadRanges(options.start, options.end, options.includeIo);
+    if (ranges.length === 0) {
+        throw new Error('The range is inside the I/O area. Enable I/O to compare it.');
+    }
+
+    const total = ranges.reduce((sum, r) => sum + r.length, 0);
+    let done = 0;
+
+    for (const range of ranges) {
+        const bytes = await readMemoryRangeAsync(range.address, range.length, {
+            onProgress: (rangeDone) => {
+                if (options.onProgress) options.onProgress(done + rangeDone, total);
+            }
+        });
+        data.set(bytes, range.address);
+        done += range.length;
+    }
+
+    const image = { label: 'Live memory', data: data, ranges: ranges, timestamp: new Date() };
+    memCompareState.previousImage = image;
+    return image;
+}
+
+/**
+ * Get the memory image of a source
+ * @param {string} sourceId - Source id (see memCompareGetSources)
+ * @param {Object} options - Read options for live memory
+ * @returns {Promise<Object>} Promise resolving with the image: { label, data, ranges }
+ */
+async function memCompareGetImageAsync(sourceId, options) {
+    if (sourceId === 'live') {
+        return memCompareReadLiveAsync(options);
+    }
+
+    if (sourceId === 'previous') {
+        if (!memCompareState.previousImage) {
+            throw new Error('There is no previous read yet');
+        }
+        return memCompareState.previousImage;
+    }
+
+    const snapshot = snapshotManagerGet(parseInt(sourceId.replace('snapshot:', '')));
+    if (!snapshot) {
+        throw new Error('The selected snapshot is no longer available');
+    }
+
+    return {
+        label: snapshot.name,
+        data: snapshot.data,
+        ranges: snapshotManagerGetRanges(snapshot.ioIncluded, false)
+    };
+}
+
+// ============================================================================
+// COMPARE
+// ============================================================================
+
+/**
+ * Parse a filter value: decimal ("10"), or hex with $ or 0x prefix ("$0A")
+ * @param {string} text - Value text
+ * @returns {number|null} Byte value, or null if invalid
+ */
+function memCompareParseValue(text) {
+    text = text.trim();
+
+    let value;
+    if (/^\$[0-9A-Fa-f]{1,2}$/.test(text)) {
+        value = parseInt(text.substring(1), 16);
+    } else if (/^0x[0-9A-Fa-f]{1,2}$/i.test(text)) {
+        value = parseInt(text.substring(2), 16);
+    } else if (/^[0-9]{1,3}$/.test(text)) {
+        value = parseInt(text, 10);
+    } else {
+        return null;
+    }
+
+    return value <= 0xFF ? value : null;
+}
+
+/**
+ * Check whether an address is contained in an image
+ * @param {Object} image - Memory image
+ * @param {number} address - Address
+ * @returns {boolean} True if the image holds data for the address
+ */
+function memCompareImageHasAddress(image, address) {
+    return image.ranges.some(r => address >= r.address && address < r.address + r.length);
+}
+
+/**
+ * Compare two memory images
+ * @param {Object} oldImage - Old memory image
+ * @param {Object} newImage - New memory image
+ * @param {Object} options - { start, end, filter, value }
+ * @returns {Array<{address: number, oldValue: number, newValue: number}>} Matching bytes
+ */
+function memCompareImages(oldImage, newImage, options) {
+    const filter = MEM_COMPARE_FILTERS[options.filter];
+    const results = [];
+
+    for (let address = options.start; address <= options.end; address++) {
+        if (!memCompareImageHasAddress(oldImage, address) || !memCompareImageHasAddress(newImage, address)) {
+            continue;
+        }
+
+        const oldValue = oldImage.data[address];
+        const newValue = newImage.data[address];
+
+        if (filter.test(oldValue, newValue, options.value)) {
+            results.push({ address: address, oldValue: oldValue, newValue: newValue });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Run a comparison.
+ * If "Previous read" is compared with live memory before any previous read
+ * exists, live memory is read as the baseline and null is returned.
+ * @param {Object} options - { oldSource, newSource, start, end, includeIo, filter, value, onProgress(done, total) }
+ * @returns {Promise<Array<Object>|null>} Promise resolving with the results, or null if only the baseline was read
+ */
+async function memCompareRunAsync(options) {
+    if (memCompareState.busy) {
+        throw new Error('A compare is already in progress');
+    }
+    if (options.oldSource === options.newSource && options.oldSource !== 'live') {
+        throw new Error('Select two different memory images');
+    }
+    if (MEM_COMPARE_FILTERS[options.filter].needsValue && options.value === null) {
+        throw new Error('Enter a value for the filter (e.g. 3 or $03)');
+    }
+
+    memCompareState.busy = true;
+
+    try {
+        if (options.oldSource === 'previous' && options.newSource === 'live' && !memCompareState.previousImage) {
+            await memCompareReadLiveAsync(options);
+            return null;
+        }
+
+        // Resolve "Previous read" before the live image: a live read replaces it
+        let oldImage;
+        let newImage;
+        if (options.newSource === 'previous') {
+            newImage = await memCompareGetImageAsync(options.newSource, options);
+            oldImage = await memCompareGetImageAsync(options.oldSource, options);
+        } else {
+            oldImage = await memCompareGetImageAsync(options.oldSource, options);
+            newImage = await memCompareGetImageAsync(options.newSource, options);
+        }
+
+        memCompareState.results = memCompareImages(oldImage, newImage, options);
+        memCompareRender();
+
+        console.log(`MemCompare: ${memCompareState.results.length} matches (${oldImage.label} → ${newImage.label})`);
+        return memCompareState.results;
+    } finally {
+        memCompareState.busy = false;
+    }
+}
+
+/**
+ * Clear the compare results
+ */
+function memCompareClear() {
+    memCompareState.results = [];
+    memCompareRender();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the result list
+ */
+function memCompareRender() {
+    const container = memCompareState.container;
+    if (!container) return;
+
+    const results = memCompareState.results;
+
+    if (results.length === 0) {
+        container.html('');
+        return;
+    }
+
+    const html = ['<table class="mem-compare-table">'];
+    html.push('<tr><th>Address</th><th>Old</th><th>New</th><th>Delta</th></tr>');
+
+    results.slice(0, MEM_COMPARE_MAX_ROWS).forEach(r => {
+        const delta = r.newValue - r.oldValue;
+        html.push(
+            `<tr data-address="${r.address}">` +
+            `<td>$${formatHexWord(r.address)}</td>` +
+            `<td>$${formatHexByte(r.oldValue)} (${r.oldValue})</td>` +
+            `<td>$${formatHexByte(r.newValue)} (${r.newValue})</td>` +
+            `<td>${delta > 0 ? '+' : ''}${delta}</td>` +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+
+    if (results.length > MEM_COMPARE_MAX_ROWS) {
+        html.push(`<div class="mem-compare-more">Showing the first ${MEM_COMPARE_MAX_ROWS} of ${results.length} matches. Narrow the filter or the range to see the rest.</div>`);
+    }
+
+    container.html(html.join(''));
+}
@@ -0,0 +1,417 @@
+/**
+ * mem-navigation.js
+ * Memory Navigation Component
+ *
+ * Back/forward navigation history and named bookmarks shared by the Hex,
+ * Disassembly and Screen viewers. A location is a view and an address.
+ *
+ * Jumps (address input, bookmarks, following disassembly targets, "view in
+ * Hex Viewer" links) record the location they leave in the history. Line
+ * and page scrolling are not recorded.
+ *
+ * Bookmarks are kept in localStorage ('memory_bookmarks') and can be
+ * exported/imported as JSON files.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const MEM_NAV_MAX_HISTORY = 100;
+const MEM_NAV_BOOKMARKS_KEY = 'memory_bookmarks';
+const MEM_NAV_FORMAT = 'c64u-bookmarks';
+const MEM_NAV_FORMAT_VERSION = 1;
+
+/**
+ * Views that can be navigated
+ */
+const MEM_NAV_VIEWS = {
+    hex:    { label: 'Hex' },
+    disasm: { label: 'Disassembly' },
+    screen: { label: 'Screen' }
+};
+
+let memNavState = {
+    container: null,
+    backStack: [],           // Locations to go back to, most recent last: { view, address }
+    forwardStack: [],        // Locations to go forward to, most recent last
+    bookmarks: [],           // { id, name, view, address }
+    nextId: 1
+};
+
+// ============================================================================
+// CALLBACKS
+// ============================================================================
+
+let memNavNavigateCallback = null;
+let memNavChangeCallback = null;
+
+/**
+ * Set callback that shows a location
+ * @param {Function} callback - Receives the location: { view, address }; returns
+ *   false if it could not be shown
+ */
+function memNavSetNavigateCallback(callback) {
+    memNavNavigateCallback = callback;
+}
+
+/**
+ * Set callback called when the history or the bookmarks change
+ * @param {Function} callback - Callback without arguments
+ */
+function memNavSetChangeCallback(callback) {
+    memNavChangeCallback = callback;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize navigation and load the bookmarks from localStorage
+ * @param {jQuery} container - Container element for the bookmark list
+ */
+function memNavInit(container) {
+    memNavState.container = container;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(MEM_NAV_BOOKMARKS_KEY) || '[]');
+        memNavState.bookmarks = saved.map(memNavDeserializeBookmark).filter(b => b !== null);
+    } catch (e) {
+        console.warn('MemNav: Invalid saved bookmarks, starting empty', e);
+        memNavState.bookmarks = [];
+    }
+
+    memNavState.bookmarks.forEach(b => { b.id = memNavState.nextId++; });
+    memNavRender();
+    memNavNotifyChange();
+
+    console.log(`MemNav: Initialized (${memNavState.bookmarks.length} bookmarks)`);
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Check if two locations are the same
+ * @param {Object} a - Location
+ * @param {Object} b - Location
+ * @returns {boolean} True if equal
+ */
+function memNavIsSameLocation(a, b) {
+    return !!a && !!b && a.view === b.view && a.address === b.address;
+}
+
+/**
+ * Record the location left by a jump. Clears the forward history.
+ * @param {Object} location - Current location: { view, address }
+ */
+function memNavRecord(location) {
+    const stack = memNavState.backStack;
+
+    if (!memNavIsSameLocation(stack[stack.length - 1], location)) {
+        stack.push({ view: location.view, address: location.address });
+        if (stack.length > MEM_NAV_MAX_HISTORY) {
+            stack.shift();
+        }
+    }
+
+    memNavState.forwardStack = [];
+    memNavNotifyChange();
+}
+
+/**
+ * Jump to a location, recording the current one
+ * @param {Object|null} current - Current location (null if not in a memory view)
+ * @param {Object} target - Target location
+ */
+function memNavJump(current, target) {
+    if (!memNavGo(target)) return;
+
+    if (current && !memNavIsSameLocation(current, target)) {
+        memNavRecord(current);
+    }
+}
+
+/**
+ * Go back to the previous location
+ * @param {Object} current - Current location (becomes the forward location)
+ * @returns {boolean} True if there was a location to go back to
+ */
+function memNavBack(current) {
+    return memNavMove(memNavState.backStack, memNavState.forwardStack, current);
+}
+
+/**
+ * Go forward to the location left by the last Back
+ * @param {Object} current - Current location (becomes the back location)
+ * @returns {boolean} True if there was a location to go forward to
+ */
+function memNavForward(current) {
+    return memNavMove(memNavState.forwardStack, memNavState.backStack, current);
+}
+
+/**
+ * Move through the history
+ * @param {Array} from - Stack to take the target from
+ * @param {Array} to - Stack that receives the current location
+ * @param {Object} current - Current location
+ * @returns {boolean} True if moved (false if the location could not be shown)
+ */
+function memNavMove(from, to, current) {
+    if (from.length === 0) return false;
+
+    // The history only moves if the location could be shown
+    if (!memNavGo(from[from.length - 1])) return false;
+
+    from.pop();
+    to.push({ view: current.view, address: current.address });
+    memNavNotifyChange();
+    return true;
+}
+
+/**
+ * Check if there are locations to go back to
+ * @returns {boolean} True if Back is possible
+ */
+function memNavCanGoBack() {
+    return memNavState.backStack.length > 0;
+}
+
+/**
+ * Check if there are locations to go forward to
+ * @returns {boolean} True if Forward is possible
+ */
+function memNavCanGoForward() {
+    return memNavState.forwardStack.length > 0;
+}
+
+/**
+ * Show a location through the navigate callback
+ * @param {Object} location - Location: { view, address }
+ * @returns {boolean} True if shown (false if the callback refused, e.g. the
+ *   current tab can't be left)
+ */
+function memNavGo(location) {
+    if (!memNavNavigateCallback) return false;
+    return memNavNavigateCallback(location) !== false;
+}
+
+/**
+ * Notify the change callback
+ */
+function memNavNotifyChange() {
+    if (memNavChangeCallback) {
+        memNavChangeCallback();
+    }
+}
+
+// ============================================================================
+// BOOKMARKS
+// ============================================================================
+
+/**
+ * Convert a bookmark to its stored/exported form
+ * @param {Object} bookmark - Bookmark
+ * @returns {Object} { name, view, address: "C000" }
+ */
+function memNavSerializeBookmark(bookmark) {
+    return {
+        name: bookmark.name,
+        view: bookmark.view,
+        address: formatHexWord(bookmark.address)
+    };
+}
+
+/**
+ * Convert a stored/exported bookmark back to a bookmark (without id)
+ * @param {Object} item - Stored bookmark
+ * @returns {Object|null} Bookmark, or null if invalid
+ */
+function memNavDeserializeBookmark(item) {
+    if (!item || typeof item.address !== 'string' || !/^[0-9A-Fa-f]{1,4}$/.test(item.address)) {
+        return null;
+    }
+
+    return {
+        name: String(item.name || '').trim() || `$${item.address.toUpperCase()}`,
+        view: MEM_NAV_VIEWS[item.view] ? item.view : 'hex',
+        address: parseInt(item.address, 16)
+    };
+}
+
+/**
+ * Save the bookmarks to localStorage
+ */
+function memNavSaveBookmarks() {
+    localStorage.setItem(MEM_NAV_BOOKMARKS_KEY, JSON.stringify(memNavState.bookmarks.map(memNavSerializeBookmark)));
+    memNavRender();
+    memNavNotifyChange();
+}
+
+/**
+ * Add a bookmark
+ * @param {Object} fields - { name, view, address }
+ * @returns {Object} The new bookmark
+ */
+function memNavAddBookmark(fields) {
+    const name = String(fields.name || '').trim();
+    if (!name) {
+        throw new Error('Enter a name for the bookmark');
+    }
+
+    const bookmark = { id: memNavState.nextId++, name: name, view: fields.view, address: fields.address };
+    memNavState.bookmarks.push(bookmark);
+    memNavSaveBookmarks();
+    return bookmark;
+}
+
+/**
+ * Update a bookmark
+ * @param {number} id - Bookmark id
+ * @param {Object} changes - Fields to change: { name, view, address }
+ */
+function memNavUpdateBookmark(id, changes) {
+    const bookmark = memNavGetBookmark(id);
+    if (!bookmark) return;
+
+    if (changes.name !== undefined) {
+        const name = String(changes.name).trim();
+        if (!name) throw new Error('Enter a name for the bookmark');
+        bookmark.name = name;
+    }
+    if (changes.address !== undefined) {
+        if (isNaN(changes.address) || changes.address < 0 || changes.address > 0xFFFF) {
+            throw new Error('Invalid address. Enter a hex value between 0000 and FFFF.');
+        }
+        bookmark.address = changes.address;
+    }
+    if (changes.view !== undefined && MEM_NAV_VIEWS[changes.view]) {
+        bookmark.view = changes.view;
+    }
+
+    memNavSaveBookmarks();
+}
+
+/**
+ * Remove a bookmark
+ * @param {number} id - Bookmark id
+ */
+function memNavRemoveBookmark(id) {
+    memNavState.bookmarks = memNavState.bookmarks.filter(b => b.id !== id);
+    memNavSaveBookmarks();
+}
+
+/**
+ * Get a bookmark by id
+ * @param {number} id - Bookmark id
+ * @returns {Object|undefined} Bookmark
+ */
+function memNavGetBookmark(id) {
+    return memNavState.bookmarks.find(b => b.id === id);
+}
+
+/**
+ * Get all bookmarks
+ * @returns {Array<Object>} Bookmarks
+ */
+function memNavGetBookmarks() {
+    return memNavState.bookmarks;
+}
+
+/**
+ * Download the bookmarks as a JSON file
+ */
+function memNavExportBookmarks() {
+    const content = {
+        format: MEM_NAV_FORMAT,
+        version: MEM_NAV_FORMAT_VERSION,
+        bookmarks: memNavState.bookmarks.map(memNavSerializeBookmark)
+    };
+
+    downloadFile('bookmarks.json', JSON.stringify(content, null, 2), 'application/json');
+}
+
+/**
+ * Import a bookmarks JSON file, adding its bookmarks to the current ones.
+ * Bookmarks with the same name, view and address are not duplicated.
+ * @param {File} file - Selected file
+ * @returns {Promise<number>} Promise resolving with the number of bookmarks added
+ */
+async function memNavImportFileAsync(file) {
+    let content;
+    try {
+        content = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name}: invalid JSON (${e.message})`);
+    }
+
+    if (!content || content.format !== MEM_NAV_FORMAT || !Array.isArray(content.bookmarks)) {
+        throw new Error(`${file.name}: not a bookmarks file`);
+    }
+
+    const imported = content.bookmarks.map(memNavDeserializeBookmark);
+    if (imported.includes(null)) {
+        throw new Error(`${file.name}: contains invalid bookmarks`);
+    }
+
+    let added = 0;
+    imported.forEach(item => {
+        const exists = memNavState.bookmarks.some(b =>
+            b.name === item.name && b.view === item.view && b.address === item.address);
+        if (!exists) {
+            item.id = memNavState.nextId++;
+            memNavState.bookmarks.push(item);
+            added++;
+        }
+    });
+
+    memNavSaveBookmarks();
+    return added;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the bookmark list
+ */
+function memNavRender() {
+    const container = memNavState.container;
+    if (!container) return;
+
+    if (memNavState.bookmarks.length === 0) {
+        container.html('<div class="trainer-empty">No bookmarks yet. Use the ★ button in the Hex, Disassembly or Screen viewer to add one.</div>');
+        return;
+    }
+
+    const viewOptions = (selected) => Object.keys(MEM_NAV_VIEWS).map(view =>
+        `<option value="${view}"${view === selected ? ' selected' : ''}>${MEM_NAV_VIEWS[view].label}</option>`
+    ).join('');
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>Name</th><th>View</th><th>Address</th><th></th></tr>');
+
+    memNavState.bookmarks.forEach(bookmark => {
+        html.push(
+            `<tr data-bookmark-id="${bookmark.id}">` +
+            `<td><input type="text" class="trainer-input-description" data-field="name" value="${escapeHtml(bookmark.name)}"></td>` +
+            `<td><select class="mem-select" data-field="view">${viewOptions(bookmark.view)}</select></td>` +
+            `<td><input type="text" class="mem-input-address" data-field="address" value="${formatHexWord(bookmark.address)}"></td>` +
+            '<td class="trainer-actions">' +
+            '<button class="btn-primary" data-action="go">Go</button> ' +
+            '<button class="btn-danger" data-action="remove">Remove</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
@@ -0,0 +1,135 @@
+/**
+ * mem-project.js
+ * Memory Project Component
+ *
+ * Named projects for reverse-engineering work in the Memory Browser. The
+ * code/data regions and the comments of the disassembly are kept per
+ * project, so several programs can be analysed without mixing their notes.
+ *
+ * The current project and the project list are kept in localStorage
+ * ('memory_project', 'memory_projects'). The data of each project is kept
+ * by the modules that own it.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const MEM_PROJECT_KEY = 'memory_project';
+const MEM_PROJECT_LIST_KEY = 'memory_projects';
+const MEM_PROJECT_DEFAULT = 'Default';
+
+let memProjectState = {
+    name: MEM_PROJECT_DEFAULT,
+    names: [MEM_PROJECT_DEFAULT]
+};
+
+// ============================================================================
+// CALLBACKS
+// ============================================================================
+
+let memProjectChangeCallback = null;
+
+/**
+ * Set callback called when the current project or the project list changes
+ * @param {Function} callback - Receives the current project name
+ */
+function memProjectSetChangeCallback(callback) {
+    memProjectChangeCallback = callback;
+}
+
+// ============================================================================
+// PROJECTS
+// ============================================================================
+
+/**
+ * Load the current project and the project list from localStorage
+ */
+function memProjectInit() {
+    try {
+        const names = JSON.parse(localStorage.getItem(MEM_PROJECT_LIST_KEY) || '[]');
+        memProjectState.names = names.filter(n => typeof n === 'string' && n.trim() !== '');
+    } catch (e) {
+        console.warn('MemProject: Invalid saved project list, starting with the default project', e);
+        memProjectState.names = [];
+    }
+
+    if (!memProjectState.names.includes(MEM_PROJECT_DEFAULT)) {
+        memProjectState.names.unshift(MEM_PROJECT_DEFAULT);
+    }
+
+    const current = localStorage.getItem(MEM_PROJECT_KEY);
+    memProjectState.name = memProjectState.names.includes(current) ? current : MEM_PROJECT_DEFAULT;
+
+    console.log(`MemProject: Initialized (project "${memProjectState.name}")`);
+}
+
+/**
+ * Get the current project name
+ * @returns {string} Project name
+ */
+function memProjectGetName() {
+    return memProjectState.name;
+}
+
+/**
+ * Get all project names
+ * @returns {Array<string>} Project names
+ */
+function memProjectGetNames() {
+    return memProjectState.names;
+}
+
+/**
+ * Switch to a project, creating it if it does not exist
+ * @param {string} name - Project name
+ */
+function memProjectSwitch(name) {
+    name = String(name || '').trim();
+    if (!name) {
+        throw new Error('Enter a name for the project');
+    }
+
+    if (!memProjectState.names.includes(name)) {
+        memProjectState.names.push(name);
+    }
+    memProjectState.name = name;
+
+    memProjectSave();
+}
+
+/**
+ * Remove a project from the list. The default project cannot be removed.
+ * The modules remove the data of the project (see disasmRegionsDeleteProject
+ * and disasmCommentsDeleteProjectAsync).
+ * @param {string} name - Project name
+ */
+function memProjectDelete(name) {
+    if (name === MEM_PROJECT_DEFAULT) {
+        throw new Error('The default project cannot be deleted');
+    }
+
+    memProjectState.names = memProjectState.names.filter(n => n !== name);
+    if (memProjectState.name === name) {
+        memProjectState.name = MEM_PROJECT_DEFAULT;
+    }
+
+    memProjectSave();
+}
+
+/**
+ * Save the current project and the project list, and notify the change
+ */
+function memProjectSave() {
+    localStorage.setItem(MEM_PROJECT_KEY, memProjectState.name);
+    localStorage.setItem(MEM_PROJECT_LIST_KEY, JSON.stringify(memProjectState.names));
+
+    if (memProjectChangeCallback) {
+        memProjectChangeCallback(memProjectState.name);
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * mem-range-ops.js
+ * Memory Range Operations Component
+ *
+ * Operations on memory ranges of any size: fill with a byte pattern, copy,
+ * move, swap two blocks, and XOR/AND/OR with a mask. An operation is first
+ * planned (reading the memory it needs) and shown as a preview; applying
+ * plans it again from current memory and writes it through the bulk write
+ * path and the write journal. If the memory changed since the preview, the
+ * new plan replaces the preview instead, to be confirmed with another Apply.
+ *
+ * Copy and move read the whole source before writing, so overlapping
+ * source and destination ranges are handled correctly.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const MEM_RANGE_OPS_PREVIEW_BYTES = 16;   // Bytes shown per block in the preview
+
+/**
+ * Range operations.
+ * needsDest: uses the destination address. valueHint: placeholder of the
+ * value input (null if the operation has no value). combine(byte, mask)
+ * computes the new value of the mask operations.
+ */
+const MEM_RANGE_OPS = {
+    fill: { label: 'Fill',  needsDest: false, valueHint: 'Pattern (00 or A0 20)' },
+    copy: { label: 'Copy',  needsDest: true,  valueHint: null },
+    move: { label: 'Move',  needsDest: true,  valueHint: 'Clear with (00)' },
+    swap: { label: 'Swap',  needsDest: true,  valueHint: null },
+    xor:  { label: 'XOR',   needsDest: false, valueHint: 'Mask (FF)', combine: (b, m) => b ^ m },
+    and:  { label: 'AND',   needsDest: false, valueHint: 'Mask (7F)', combine: (b, m) => b & m },
+    or:   { label: 'OR',    needsDest: false, valueHint: 'Mask (80)', combine: (b, m) => b | m }
+};
+
+let memRangeOpsState = {
+    container: null,
+    plan: null,              // Planned operation waiting to be applied
+    busy: false              // Planning or applying in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the range operations component
+ * @param {jQuery} container - Container element for the preview
+ */
+function memRangeOpsInit(container) {
+    memRangeOpsState.container = container;
+    memRangeOpsRender();
+
+    console.log('MemRangeOps: Initialized');
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Repeat a byte pattern to a given length
+ * @param {Array<number>} pattern - Bytes
+ * @param {number} length - Result length
+ * @returns {Uint8Array} Repeated pattern
+ */
+function memRangeOpsRepeat(pattern, length) {
+    const data = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        data[i] = pattern[i % pattern.length];
+    }
+    return data;
+}
+
+/**
+ * Plan a range operation, reading the memory it needs.
+ * @param {Object} options - { operation, start, end, dest, value }
+ *   start/end: source range (inclusive), dest: destination address,
+ *   value: pattern or mask text (hex bytes, e.g. "A0 20")
+ * @returns {Promise<Object>} Promise resolving with the plan:
+ *   { operation, options, description, writes: [{ address, data }] }
+ */
+async function memRangeOpsPlanAsync(options) {
+    const op = MEM_RANGE_OPS[options.operation];
+    const start = options.start;
+    const end = options.end;
+    const dest = options.dest;
+
+    if (start === null || end === null || end < start) {
+        throw new Error('Invalid range. Enter hex addresses between 0000 and FFFF.');
+    }
+
+    const length = end - start + 1;
+    const range = `$${formatHexWord(start)}-$${formatHexWord(end)}`;
+
+    if (op.needsDest) {
+        if (dest === null) {
+            throw new Error('Invalid destination. Enter a hex address between 0000 and FFFF.');
+        }
+        if (dest + length > 0x10000) {
+            throw new Error(`The destination block $${formatHexWord(dest)} (${length} bytes) runs past $FFFF`);
+        }
+    }
+
+    let pattern = null;
+    if (op.valueHint !== null) {
+        const text = options.value.trim();
+        if (text === '' && options.operation === 'move') {
+            pattern = [0x00];
+        } else {
+            pattern = parseHexBytes(text);
+            if (pattern === null) {
+                throw new Error('Enter the value as hex bytes (e.g. 00 or A0 20)');
+            }
+        }
+    }
+
+    const destRange = op.needsDest ? `$${formatHexWord(dest)}-$${formatHexWord(dest + length - 1)}` : '';
+    const writes = [];
+    let description;
+
+    switch (options.operation) {
+        case 'fill':
+            writes.push({ address: start, data: memRangeOpsRepeat(pattern, length) });
+            description = `Fill ${range} with ${formatHexBytes(pattern)}`;
+            break;
+
+        case 'copy':
+            if (dest === start) throw new Error('The source and destination are the same');
+            writes.push({ address: dest, data: await readMemoryRangeAsync(start, length) });
+            description = `Copy ${range} to ${destRange}`;
+            break;
+
+        case 'move': {
+            if (dest === start) throw new Error('The source and destination are the same');
+            writes.push({ address: dest, data: await readMemoryRangeAsync(start, length) });
+
+            // Clear the parts of the source that the destination does not cover
+            const destEnd = dest + length - 1;
+            if (start < dest) {
+                const clearEnd = Math.min(end, dest - 1);
+                writes.push({ address: start, data: memRangeOpsRepeat(pattern, clearEnd - start + 1) });
+            }
+            if (end > destEnd) {
+                const clearStart = Math.max(start, destEnd + 1);
+                writes.push({ address: clearStart, data: memRangeOpsRepeat(pattern, end - clearStart + 1) });
+            }
+            description = `Move ${range} to ${destRange}, clearing the source with ${formatHexBytes(pattern)}`;
+            break;
+        }
+
+        case 'swap': {
+            if (dest <= end && dest + length - 1 >= start) {
+                throw new Error('The blocks to swap must not overlap');
+            }
+            const source = await readMemoryRangeAsync(start, length);
+            const target = await readMemoryRangeAsync(dest, length);
+            writes.push({ address: start, data: target });
+            writes.push({ address: dest, data: source });
+            description = `Swap ${range} with ${destRange}`;
+            break;
+        }
+
+        default: {
+            const data = await readMemoryRangeAsync(start, length);
+            for (let i = 0; i < length; i++) {
+                data[i] = op.combine(data[i], pattern[i % pattern.length]);
+            }
+            writes.push({ address: start, data: data });
+            description = `${op.label} ${range} with ${formatHexBytes(pattern)}`;
+        }
+    }
+
+    return { operation: options.operation, options: options, description: description, writes: writes };
+}
+
+/**
+ * Plan an operation and keep it as the pending preview
+ * @param {Object} options - Operation options (see memRangeOpsPlanAsync)
+ * @returns {Promise<Object>} Promise resolving with the plan
+ */
+async function memRangeOpsPreviewAsync(options) {
+    if (memRangeOpsState.busy) {
+        throw new Error('A range operation is already in progress');
+    }
+
+    memRangeOpsState.busy = true;
+    memRangeOpsClear();
+
+    try {
+        memRangeOpsState.plan = await memRangeOpsPlanAsync(options);
+        memRangeOpsRender();
+        return memRangeOpsState.plan;
+    } finally {
+        memRangeOpsState.busy = false;
+    }
+}
+
+/**
+ * Check whether two plans write the same bytes
+ * @param {Object} a - Plan
+ * @param {Object} b - Plan
+ * @returns {boolean} True if the writes are equal
+ */
+function memRangeOpsSameWrites(a, b) {
+    return a.writes.length === b.writes.length && a.writes.every((w, i) => {
+        const other = b.writes[i];
+        return w.address === other.address && w.data.length === other.data.length &&
+            w.data.every((value, j) => value === other.data[j]);
+    });
+}
+
+/**
+ * Write the pending plan to the C64. The plan is rebuilt first: the memory
+ * read for the preview (copy source, swap blocks, mask input) may have
+ * changed since. If it did, nothing is written and the new plan becomes the
+ * pending preview.
+ * @param {Object} options - { verify, onProgress(done, total) }
+ * @returns {Promise<Object|null>} Promise resolving with the applied plan, or
+ *   null if the memory changed and the new preview must be confirmed
+ */
+async function memRangeOpsApplyAsync(options) {
+    const plan = memRangeOpsState.plan;
+    if (!plan) {
+        throw new Error('Preview the operation before applying it');
+    }
+    if (memRangeOpsState.busy) {
+        throw new Error('A range operation is already in progress');
+    }
+
+    memRangeOpsState.busy = true;
+
+    try {
+        const current = await memRangeOpsPlanAsync(plan.options);
+        if (!memRangeOpsSameWrites(plan, current)) {
+            memRangeOpsState.plan = current;
+            memRangeOpsRender();
+            console.log(`MemRangeOps: Memory changed since the preview of ${current.description}`);
+            return null;
+        }
+
+        await writeJournalWriteAsync(current.writes, current.description, options);
+
+        console.log(`MemRangeOps: ${current.description}`);
+        memRangeOpsClear();
+        return current;
+    } finally {
+        memRangeOpsState.busy = false;
+    }
+}
+
+/**
+ * Discard the pending plan
+ */
+function memRangeOpsClear() {
+    memRangeOpsState.plan = null;
+    memRangeOpsRender();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the preview of the pending plan
+ */
+function memRangeOpsRender() {
+    const container = memRangeOpsState.container;
+    if (!container) return;
+
+    const plan = memRangeOpsState.plan;
+    if (!plan) {
+        container.html('');
+        return;
+    }
+
+    const html = ['<table class="mem-compare-table mem-range-preview">'];
+    html.push('<tr><th>Write</th><th>Bytes</th><th>New data</th></tr>');
+
+    plan.writes.forEach(w => {
+        const last = w.address + w.data.length - 1;
+        const shown = Array.from(w.data.slice(0, MEM_RANGE_OPS_PREVIEW_BYTES));
+        const more = w.data.length > MEM_RANGE_OPS_PREVIEW_BYTES ? ' ...' : '';
+        html.push(
+            '<tr>' +
+            `<td>$${formatHexWord(w.address)}-$${formatHexWord(last)}</td>` +
+            `<td>${w.data.length}</td>` +
+            `<td>${formatHexBytes(shown)}${more}</td>` +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
@@ -0,0 +1,122 @@
+/**
+ * reasm6502.js
+ * 6502 Disassembler / Reassembler
+ *
+ * Bundled replacement of the 6502-reasm library, so the tools work without
+ * internet access. Keeps the same contract on window.reasm6502:
+ * - disasm(bytes, startAddress): [{ address, assembly, bytes }]
+ * - formatDisasm(instructions): listing text
+ * - reasm(text, startAddress): bytes of a formatDisasm listing (assembled at
+ *   the address of its first line) or of a list of instructions (assembled
+ *   at startAddress, which is then required)
+ *
+ * Instructions are decoded and assembled with the opcode table of asm6502.js
+ * (official and undocumented opcodes). Operands are uppercase hex: "LDA #$10",
+ * "STA $D020,X", "BNE $C010" (branch targets as absolute addresses). An
+ * instruction cut by the end of the bytes has undefined operand bytes and no
+ * operand in its assembly.
+ *
+ * Requires asm6502.js (loaded before this file).
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// DISASSEMBLY
+// ============================================================================
+
+/**
+ * Disassemble a block of bytes
+ * @param {Array<number>} bytes - Machine code
+ * @param {number} startAddress - Optional: address of the first byte (default 0)
+ * @returns {Array<Object>} Instructions: { address, assembly, bytes }
+ */
+function reasm6502Disasm(bytes, startAddress) {
+    const data = Array.from(bytes);
+    const start = startAddress || 0;
+    const instructions = [];
+
+    let offset = 0;
+    while (offset < data.length) {
+        const instr = asm6502DisassembleOne(data, offset, (start + offset) & 0xFFFF);
+        instructions.push({ address: instr.address, assembly: instr.assembly, bytes: instr.bytes });
+        offset += instr.bytes.length;
+    }
+
+    return instructions;
+}
+
+/**
+ * Format a disassembly as a listing: address, bytes and instruction
+ * @param {Array<Object>} instructions - Instructions from reasm6502Disasm
+ * @returns {string} e.g. "0000c002    a9 10        LDA #$10" per line
+ */
+function reasm6502FormatDisasm(instructions) {
+    return instructions.map(instr => {
+        const address = instr.address.toString(16).padStart(8, '0');
+        const bytes = instr.bytes
+            .filter(b => b !== undefined)
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join(' ');
+        return `${address}    ${bytes.padEnd(13)}${instr.assembly}`;
+    }).join('\n');
+}
+
+// ============================================================================
+// REASSEMBLY
+// ============================================================================
+
+/**
+ * Assemble a list of instructions or a formatDisasm listing
+ * @param {string} text - One instruction per line
+ * @param {number} startAddress - Address of the first instruction, for the
+ *   branches. Optional for a listing (default: the address of its first
+ *   line), required for a plain list of instructions.
+ * @returns {Array<number>} Machine code
+ * @throws {Error} If the code has errors, or a plain list has no start address
+ */
+function reasm6502Reasm(text, startAddress) {
+    let origin = startAddress;
+
+    // Listing lines: address, bytes, instruction
+    const lines = String(text).split(/\r?\n/).map(line => {
+        const match = line.match(/^\s*([0-9A-Fa-f]{4,8})\s{2,}(?:[0-9A-Fa-f]{2}\s)*[0-9A-Fa-f]{2}\s{2,}(.*)$/);
+        if (!match) {
+            return line;
+        }
+        if (origin === undefined) {
+            origin = parseInt(match[1], 16) & 0xFFFF;
+        }
+        return match[2];
+    });
+
+    // Branch targets are absolute addresses, so they need the real origin
+    if (origin === undefined) {
+        throw new Error('reasm: the start address is required for a list of instructions');
+    }
+
+    // Instructions without a label column
+    const source = lines.map(line => (line.trim() ? ` ${line.trim()}` : '')).join('\n');
+    const result = asm6502Assemble(source, { origin: origin });
+
+    if (result.errors.length > 0) {
+        throw new Error(asm6502FormatErrors(result.errors));
+    }
+
+    const bytes = [];
+    result.segments.forEach(segment => bytes.push(...segment.bytes));
+    return bytes;
+}
+
+// ============================================================================
+// GLOBAL ACCESS
+// ============================================================================
+
+window.reasm6502 = {
+    disasm: reasm6502Disasm,
+    formatDisasm: reasm6502FormatDisasm,
+    reasm: reasm6502Reasm
+};
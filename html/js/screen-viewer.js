@@ -134,18 +134,30 @@ function screenViewerGetCharAt(index) {
  */
 function screenViewerNavigateToAddress(address, callback) {
     address = screenViewerValidateAddress(address);
+    screenViewerState.address = address;
 
-    if (screenViewerState.autoRefreshEnabled && isApiBusy()) {
-        screenViewerState.address = address;
+    // While auto-refresh is running, the next refresh picks up the new address
+    if (screenViewerState.autoRefreshEnabled) {
         if (callback) callback();
         return;
     }
 
+    screenViewerLoadScreen(callback, { priority: API_PRIORITY.NAVIGATION, channel: 'screen' });
+}
+
+/**
+ * Read screen, color memory and border/background colors, then render
+ * @param {Function} callback - Callback function
+ * @param {Object} readOptions - Scheduling options for the screen memory read
+ */
+function screenViewerLoadScreen(callback, readOptions) {
+    const address = screenViewerState.address;
+    const priority = readOptions.priority;
+
     // Read screen memory (1000 bytes)
     readMemory(address, SCREEN_SIZE,
         function(screenArrayBuffer) {
             screenViewerState.screenData = new Uint8Array(screenArrayBuffer);
-            screenViewerState.address = address;
 
             // Read color memory (1000 bytes)
             readMemory(screenViewerState.startColorAddress, SCREEN_SIZE,
@@ -176,7 +188,8 @@ function screenViewerNavigateToAddress(address, callback) {
                                     screenViewerState.borderColor = C64_COLOR_PALETTE[14];
                                     screenViewerRender();
                                     if (callback) callback();
-                                }
+                                },
+                                { priority: priority }
                             );
                         },
                         function(err) {
@@ -184,7 +197,8 @@ function screenViewerNavigateToAddress(address, callback) {
                             screenViewerState.backgroundColor = C64_COLOR_PALETTE[14];
                             screenViewerRender();
                             if (callback) callback();
-                        }
+                        },
+                        { priority: priority }
                     );
                 },
                 function(err) {
@@ -192,13 +206,15 @@ function screenViewerNavigateToAddress(address, callback) {
                     screenViewerState.colorData = new Uint8Array(SCREEN_SIZE);
                     screenViewerRender();
                     if (callback) callback();
-                }
+                },
+                { priority: priority }
             );
         },
         function(err) {
             console.error('ScreenViewer: Failed to read screen memory:', err);
             if (callback) callback();
-        }
+        },
+        readOptions
     );
 }
 
@@ -303,7 +319,7 @@ function screenViewerDoAutoRefresh() {
         return;
     }
 
-    screenViewerNavigateToAddress(screenViewerState.address, () => {
+    screenViewerLoadScreen(() => {
         // Schedule next refresh after completion (non-strict)
         if (screenViewerState.autoRefreshEnabled) {
             screenViewerState.autoRefreshTimer = setTimeout(
@@ -311,7 +327,7 @@ function screenViewerDoAutoRefresh() {
                 screenViewerState.autoRefreshInterval
             );
         }
-    });
+    }, { priority: API_PRIORITY.BACKGROUND });
 }
 
 /**
@@ -344,14 +360,6 @@ function screenViewerHandleKey(e) {
         return false;
     }
 
-    // Don't navigate if API is busy
-    if (!screenViewerState.autoRefreshEnabled && isApiBusy()) {
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'r', 'R'].includes(e.key)) {
-            return true;
-        }
-        return false;
-    }
-
     // Allow browser defaults for modifier keys
     if (e.ctrlKey || e.shiftKey || e.altKey) {
         return false;
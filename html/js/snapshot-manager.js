@@ -0,0 +1,382 @@
+/**
+ * snapshot-manager.js
+ * Memory Snapshot Component
+ *
+ * Captures the full 64K memory of the C64 into snapshots, keeps them in a
+ * session list, saves them as .bin files with a JSON sidecar, loads them
+ * back from disk and restores them into C64 memory.
+ *
+ * Snapshot file format:
+ *   <name>.bin  - 65536 bytes, memory $0000-$FFFF
+ *   <name>.json - Sidecar with timestamp, device info and capture options
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const SNAPSHOT_SIZE = 0x10000;
+const SNAPSHOT_IO_START = 0xD000;
+const SNAPSHOT_IO_SIZE = 0x1000;
+const SNAPSHOT_FORMAT = 'c64u-snapshot';
+const SNAPSHOT_FORMAT_VERSION = 1;
+
+let snapshotManagerState = {
+    container: null,
+    snapshots: [],          // In-session snapshots, newest first
+    nextId: 1,
+    busy: false             // Capture or restore in progress
+};
+
+// ============================================================================
+// CALLBACKS
+// ============================================================================
+
+let snapshotManagerChangeCallback = null;
+
+/**
+ * Set callback called when the snapshot list changes
+ * @param {Function} callback - Callback without arguments
+ */
+function snapshotManagerSetChangeCallback(callback) {
+    snapshotManagerChangeCallback = callback;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the snapshot manager
+ * @param {jQuery} container - Container element for the snapshot list
+ */
+function snapshotManagerInit(container) {
+    snapshotManagerState.container = container;
+    snapshotManagerRender();
+
+    console.log('SnapshotManager: Initialized');
+}
+
+// ============================================================================
+// SNAPSHOT LIST
+// ============================================================================
+
+/**
+ * Add a snapshot to the session list
+ * @param {Object} snapshot - Snapshot object
+ * @returns {Object} The added snapshot (with id assigned)
+ */
+function snapshotManagerAdd(snapshot) {
+    snapshot.id = snapshotManagerState.nextId++;
+    snapshotManagerState.snapshots.unshift(snapshot);
+    snapshotManagerNotifyChange();
+    return snapshot;
+}
+
+/**
+ * Remove a snapshot from the session list
+ * @param {number} id - Snapshot id
+ */
+function snapshotManagerRemove(id) {
+    snapshotManagerState.snapshots = snapshotManagerState.snapshots.filter(s => s.id !== id);
+    snapshotManagerNotifyChange();
+}
+
+/**
+ * Get a snapshot by id
+ * @param {number} id - Snapshot id
+ * @returns {Object|null} Snapshot object, or null if not found
+ */
+function snapshotManagerGet(id) {
+    return snapshotManagerState.snapshots.find(s => s.id === id) || null;
+}
+
+/**
+ * Get all snapshots of the session, newest first
+ * @returns {Array<Object>} Snapshot objects
+ */
+function snapshotManagerGetAll() {
+    return snapshotManagerState.snapshots;
+}
+
+/**
+ * Re-render the list and notify the change callback
+ */
+function snapshotManagerNotifyChange() {
+    snapshotManagerRender();
+    if (snapshotManagerChangeCallback) {
+        snapshotManagerChangeCallback();
+    }
+}
+
+// ============================================================================
+// CAPTURE AND RESTORE
+// ============================================================================
+
+/**
+ * Get the memory ranges transferred for a snapshot.
+ * Reading $D000-$DFFF touches the I/O chips (e.g. reading CIA interrupt
+ * registers acknowledges interrupts), so the I/O area is only included on
+ * request. $0000-$0001 (6510 port) cannot be written by DMA.
+ * @param {boolean} includeIo - Include $D000-$DFFF
+ * @param {boolean} forWrite - Skip $0000-$0001
+ * @returns {Array<Object>} Ranges: { address, length }
+ */
+function snapshotManagerGetRanges(includeIo, forWrite) {
+    const start = forWrite ? 0x0002 : 0x0000;
+
+    if (includeIo) {
+        return [{ address: start, length: SNAPSHOT_SIZE - start }];
+    }
+
+    return [
+        { address: start, length: SNAPSHOT_IO_START - start },
+        { address: SNAPSHOT_IO_START + SNAPSHOT_IO_SIZE, length: SNAPSHOT_SIZE - SNAPSHOT_IO_START - SNAPSHOT_IO_SIZE }
+    ];
+}
+
+/**
+ * Capture the C64 memory into a new snapshot.
+ * @param {Object} options - { includeIo, pause, onProgress(done, total) }
+ * @returns {Promise<Object>} Promise resolving with the new snapshot (added to the list)
+ */
+async function snapshotManagerCaptureAsync(options) {
+    if (snapshotManagerState.busy) {
+        throw new Error('A snapshot operation is already in progress');
+    }
+
+    snapshotManagerState.busy = true;
+    let paused = false;
+
+    try {
+        // Device info is informative only - don't fail the capture without it
+        const device = await getSystemInfoAsync().catch(() => null);
+
+        if (options.pause) {
+            await machinePauseAsync();
+            paused = true;
+        }
+
+        const data = new Uint8Array(SNAPSHOT_SIZE);
+        const ranges = snapshotManagerGetRanges(options.includeIo, false);
+        const total = ranges.reduce((sum, r) => sum + r.length, 0);
+        let done = 0;
+
+        for (const range of ranges) {
+            const bytes = await readMemoryRangeAsync(range.address, range.length, {
+                onProgress: (rangeDone) => {
+                    if (options.onProgress) options.onProgress(done + rangeDone, total);
+                }
+            });
+            data.set(bytes, range.address);
+            done += range.length;
+        }
+
+        const timestamp = new Date();
+
+        return snapshotManagerAdd({
+            name: `Snapshot ${snapshotManagerState.nextId}`,
+            timestamp: timestamp.toISOString(),
+            fileName: snapshotManagerDefaultFileName(timestamp),
+            data: data,
+            ioIncluded: !!options.includeIo,
+            paused: paused,
+            device: device,
+            source: 'capture'
+        });
+    } finally {
+        if (paused) {
+            await machineResumeAsync().catch(() => {});
+        }
+        snapshotManagerState.busy = false;
+    }
+}
+
+/**
+ * Restore a snapshot into C64 memory.
+ * @param {Object} snapshot - Snapshot object
+ * @param {Object} options - { restoreIo, verify, pause, onProgress(done, total) }
+ * @returns {Promise<void>} Promise resolving when memory has been written
+ */
+async function snapshotManagerRestoreAsync(snapshot, options) {
+    if (snapshotManagerState.busy) {
+        throw new Error('A snapshot operation is already in progress');
+    }
+
+    snapshotManagerState.busy = true;
+    let paused = false;
+
+    try {
+        if (options.pause) {
+            await machinePauseAsync();
+            paused = true;
+        }
+
+        const includeIo = snapshot.ioIncluded && options.restoreIo;
+        const ranges = snapshotManagerGetRanges(includeIo, true);
+        const total = ranges.reduce((sum, r) => sum + r.length, 0);
+        let done = 0;
+
+        for (const range of ranges) {
+            await writeMemoryRangeAsync(range.address, snapshot.data.subarray(range.address, range.address + range.length), {
+                verify: options.verify,
+                onProgress: (rangeDone) => {
+                    if (options.onProgress) options.onProgress(done + rangeDone, total);
+                }
+            });
+            done += range.length;
+        }
+
+        console.log(`SnapshotManager: Restored "${snapshot.name}" (${total} bytes)`);
+    } finally {
+        if (paused) {
+            await machineResumeAsync().catch(() => {});
+        }
+        snapshotManagerState.busy = false;
+    }
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Build a default file name (without extension) from a date
+ * @param {Date} date - Capture date
+ * @returns {string} File name, e.g. "c64u-snapshot-20261019-153000"
+ */
+function snapshotManagerDefaultFileName(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `c64u-snapshot-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Build the JSON sidecar object for a snapshot
+ * @param {Object} snapshot - Snapshot object
+ * @returns {Object} Sidecar object
+ */
+function snapshotManagerBuildSidecar(snapshot) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_FORMAT_VERSION,
+        name: snapshot.name,
+        timestamp: snapshot.timestamp,
+        file: `${snapshot.fileName}.bin`,
+        size: SNAPSHOT_SIZE,
+        ioIncluded: snapshot.ioIncluded,
+        paused: snapshot.paused,
+        device: snapshot.device
+    };
+}
+
+/**
+ * Download a snapshot as .bin file plus .json sidecar
+ * @param {Object} snapshot - Snapshot object
+ */
+function snapshotManagerDownload(snapshot) {
+    downloadFile(`${snapshot.fileName}.bin`, snapshot.data, 'application/octet-stream');
+    downloadFile(`${snapshot.fileName}.json`, JSON.stringify(snapshotManagerBuildSidecar(snapshot), null, 2), 'application/json');
+}
+
+/**
+ * Load snapshots from files selected by the user.
+ * Each .bin file is paired with the .json sidecar of the same base name, if
+ * selected too. A .bin file without sidecar is loaded with default metadata.
+ * @param {FileList|Array<File>} files - Selected files
+ * @returns {Promise<Array<Object>>} Promise resolving with the added snapshots
+ */
+async function snapshotManagerLoadFilesAsync(files) {
+    files = Array.from(files);
+    const baseName = (name) => name.replace(/\.[^.]*$/, '');
+    const binFiles = files.filter(f => /\.bin$/i.test(f.name));
+    const added = [];
+
+    if (binFiles.length === 0) {
+        throw new Error('Select a snapshot .bin file (optionally with its .json sidecar)');
+    }
+
+    for (const binFile of binFiles) {
+        if (binFile.size !== SNAPSHOT_SIZE) {
+            throw new Error(`${binFile.name}: expected ${SNAPSHOT_SIZE} bytes, got ${binFile.size}`);
+        }
+
+        const data = new Uint8Array(await binFile.arrayBuffer());
+        const sidecarFile = files.find(f => /\.json$/i.test(f.name) && baseName(f.name) === baseName(binFile.name));
+
+        let sidecar = {};
+        if (sidecarFile) {
+            try {
+                sidecar = JSON.parse(await sidecarFile.text());
+            } catch (e) {
+                throw new Error(`${sidecarFile.name}: invalid JSON (${e.message})`);
+            }
+            if (sidecar.format !== SNAPSHOT_FORMAT) {
+                throw new Error(`${sidecarFile.name}: not a snapshot sidecar`);
+            }
+        }
+
+        added.push(snapshotManagerAdd({
+            name: sidecar.name || baseName(binFile.name),
+            timestamp: sidecar.timestamp || new Date(binFile.lastModified).toISOString(),
+            fileName: baseName(binFile.name),
+            data: data,
+            ioIncluded: !!sidecar.ioIncluded,
+            paused: !!sidecar.paused,
+            device: sidecar.device || null,
+            source: 'file'
+        }));
+    }
+
+    return added;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the snapshot list
+ */
+function snapshotManagerRender() {
+    const container = snapshotManagerState.container;
+    if (!container) return;
+
+    const snapshots = snapshotManagerState.snapshots;
+
+    if (snapshots.length === 0) {
+        container.html('<div class="snapshot-empty">No snapshots yet. Capture memory or load a snapshot file.</div>');
+        return;
+    }
+
+    const html = ['<table class="snapshot-table">'];
+    html.push('<tr><th>Name</th><th>Captured</th><th>Device</th><th>I/O</th><th>Paused</th><th></th></tr>');
+
+    snapshots.forEach(snapshot => {
+        const device = snapshot.device
+            ? `${snapshot.device.product || '?'} ${snapshot.device.firmware_version || ''}`
+            : '-';
+
+        html.push(
+            `<tr data-snapshot-id="${snapshot.id}">` +
+            `<td>${escapeHtml(snapshot.name)}</td>` +
+            `<td>${escapeHtml(new Date(snapshot.timestamp).toLocaleString())}</td>` +
+            `<td>${escapeHtml(device)}</td>` +
+            `<td>${snapshot.ioIncluded ? 'Yes' : 'No'}</td>` +
+            `<td>${snapshot.paused ? 'Yes' : 'No'}</td>` +
+            '<td class="snapshot-actions">' +
+            '<button class="btn-primary" data-action="download">Download</button>' +
+            '<button class="btn-warning" data-action="restore">Restore</button>' +
+            '<button class="btn-danger" data-action="delete">Delete</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
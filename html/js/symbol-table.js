@@ -0,0 +1,306 @@
+/**
+ * symbol-table.js
+ * Symbol Table Component
+ *
+ * Imports label files produced by assemblers and uses their symbols in the
+ * Memory Browser: disassembly operands and line labels, the hex subheader
+ * and tooltips, and the address inputs (a label name can be typed instead
+ * of a hex address, see parseAddressInput).
+ *
+ * Supported formats (detected per line):
+ * - VICE monitor labels: "al C:080d .start" (also KickAssembler .vs and
+ *   the VICE label output of ACME and 64tass)
+ * - KickAssembler .sym: ".label start=$080d", inside ".namespace name { }"
+ * - ACME / 64tass label dumps: "start = $080d"
+ *
+ * Symbols are kept per imported file in localStorage ('memory_symbols').
+ * Importing a file with the same name again replaces its symbols.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const SYMBOL_TABLE_KEY = 'memory_symbols';
+const SYMBOL_TABLE_SUBHEADER_LABELS = 3;   // Labels listed in the hex subheader
+
+let symbolTableState = {
+    container: null,
+    files: [],               // Imported files: { name, format, symbols: [{ name, address }] }
+    byName: new Map(),       // Symbol name -> address
+    byAddress: new Map()     // Address -> first symbol name
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the symbol table and load it from localStorage
+ * @param {jQuery} container - Container element for the file list
+ */
+function symbolTableInit(container) {
+    symbolTableState.container = container;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(SYMBOL_TABLE_KEY) || '[]');
+        symbolTableState.files = saved.filter(f => f && typeof f.name === 'string' && Array.isArray(f.symbols));
+    } catch (e) {
+        console.warn('SymbolTable: Invalid saved symbols, starting empty', e);
+        symbolTableState.files = [];
+    }
+
+    symbolTableRebuild();
+
+    console.log(`SymbolTable: Initialized (${symbolTableState.byName.size} symbols)`);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse the text of a label file
+ * @param {string} text - File content
+ * @returns {Object} { format, symbols: [{ name, address }] } (format of the first symbol found)
+ */
+function symbolTableParse(text) {
+    const symbols = [];
+    const namespaces = [];
+    let format = null;
+
+    const add = (name, address, lineFormat) => {
+        if (isNaN(address) || address < 0 || address > 0xFFFF || !name) return;
+        symbols.push({ name: name, address: address });
+        format = format || lineFormat;
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        let match;
+
+        // VICE: al C:080d .start
+        if ((match = line.match(/^\s*al\s+(?:C:)?\$?([0-9A-Fa-f]{1,4})\s+\.?(\S+)/i))) {
+            add(match[2], parseInt(match[1], 16), 'VICE');
+            return;
+        }
+
+        // KickAssembler: .namespace name {   ...   }
+        if ((match = line.match(/^\s*\.namespace\s+([A-Za-z_]\w*)\s*\{/))) {
+            namespaces.push(match[1]);
+            return;
+        }
+        if (/^\s*\}/.test(line)) {
+            namespaces.pop();
+            return;
+        }
+
+        // KickAssembler: .label start=$080d
+        if ((match = line.match(/^\s*\.label\s+([A-Za-z_@][\w.@]*)\s*=\s*\$([0-9A-Fa-f]+)/))) {
+            add(namespaces.concat(match[1]).join('.'), parseInt(match[2], 16), 'KickAssembler');
+            return;
+        }
+
+        // ACME / 64tass: start = $080d
+        if ((match = line.match(/^\s*([A-Za-z_.@][\w.@]*)\s*=\s*(\$[0-9A-Fa-f]+|[0-9]+)(?![\w.])/))) {
+            const value = match[2].charAt(0) === '$' ? parseInt(match[2].substring(1), 16) : parseInt(match[2], 10);
+            add(match[1], value, 'ACME/64tass');
+        }
+    });
+
+    return { format: format, symbols: symbols };
+}
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * Import a label file. A file with the same name replaces the old one.
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} Promise resolving with the imported file: { name, format, symbols }
+ */
+async function symbolTableImportFileAsync(file) {
+    const parsed = symbolTableParse(await file.text());
+    if (parsed.symbols.length === 0) {
+        throw new Error(`${file.name}: no labels found (expected VICE, KickAssembler or ACME/64tass labels)`);
+    }
+
+    const entry = { name: file.name, format: parsed.format, symbols: parsed.symbols };
+    symbolTableState.files = symbolTableState.files.filter(f => f.name !== file.name).concat(entry);
+    symbolTableSave();
+
+    console.log(`SymbolTable: Imported ${entry.symbols.length} symbols from ${file.name} (${entry.format})`);
+    return entry;
+}
+
+/**
+ * Remove an imported file and its symbols
+ * @param {string} name - File name
+ */
+function symbolTableRemoveFile(name) {
+    symbolTableState.files = symbolTableState.files.filter(f => f.name !== name);
+    symbolTableSave();
+}
+
+/**
+ * Remove all symbols
+ */
+function symbolTableClear() {
+    symbolTableState.files = [];
+    symbolTableSave();
+}
+
+/**
+ * Save the imported files to localStorage and rebuild the lookups
+ */
+function symbolTableSave() {
+    try {
+        localStorage.setItem(SYMBOL_TABLE_KEY, JSON.stringify(symbolTableState.files));
+    } catch (e) {
+        console.warn('SymbolTable: Storage full, symbols are kept for this session only');
+    }
+    symbolTableRebuild();
+}
+
+/**
+ * Rebuild the name and address lookups from the imported files.
+ * When several symbols share an address, the first one is shown.
+ */
+function symbolTableRebuild() {
+    symbolTableState.byName = new Map();
+    symbolTableState.byAddress = new Map();
+
+    symbolTableState.files.forEach(file => {
+        file.symbols.forEach(symbol => {
+            if (!symbolTableState.byName.has(symbol.name)) {
+                symbolTableState.byName.set(symbol.name, symbol.address);
+            }
+            if (!symbolTableState.byAddress.has(symbol.address)) {
+                symbolTableState.byAddress.set(symbol.address, symbol.name);
+            }
+        });
+    });
+
+    symbolTableRender();
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Get the imported symbol of an address
+ * @param {number} address - Address
+ * @returns {string|null} Symbol name, or null if none
+ */
+function symbolTableGetName(address) {
+    return symbolTableState.byAddress.get(address) || null;
+}
+
+/**
+ * Get the address of a symbol. Exact names are preferred, then names that
+ * differ only in case. A leading '.' (VICE style) is ignored.
+ * @param {string} name - Symbol name
+ * @returns {number|null} Address, or null if not found
+ */
+function symbolTableGetAddress(name) {
+    name = name.trim().replace(/^\./, '');
+    if (symbolTableState.byName.has(name)) {
+        return symbolTableState.byName.get(name);
+    }
+
+    const lower = name.toLowerCase();
+    for (const [symbol, address] of symbolTableState.byName) {
+        if (symbol.toLowerCase() === lower) return address;
+    }
+    return null;
+}
+
+/**
+ * Get the name of an address: an imported symbol, or else its name in the
+ * C64 memory map
+ * @param {number} address - Address
+ * @returns {string|null} Name, or null if none
+ */
+function symbolTableGetSymbol(address) {
+    return symbolTableGetName(address) || c64MemoryMapGetSymbol(address);
+}
+
+/**
+ * Replace the address operand of a disassembled instruction with its name
+ * @param {string} assembly - e.g. "BNE $C010"
+ * @returns {string} e.g. "BNE loop"
+ */
+function symbolTableSymbolize(assembly) {
+    return c64MemoryMapSymbolize(assembly, symbolTableGetSymbol);
+}
+
+/**
+ * Describe an address for tooltips
+ * @param {number} address - Address
+ * @returns {string} e.g. "$C010 loop" or the C64 memory map description
+ */
+function symbolTableDescribe(address) {
+    const name = symbolTableGetName(address);
+    return name ? `$${formatHexWord(address)} ${name}` : c64MemoryMapDescribe(address);
+}
+
+/**
+ * List the imported symbols in an address range for the subheaders
+ * @param {number} start - First address
+ * @param {number} end - Last address
+ * @returns {string} e.g. "start, loop +2 more", or '' if there are none
+ */
+function symbolTableDescribeRange(start, end) {
+    const names = [];
+    for (const [address, name] of symbolTableState.byAddress) {
+        if (address >= start && address <= end) {
+            names.push({ address: address, name: name });
+        }
+    }
+    if (names.length === 0) return '';
+
+    names.sort((a, b) => a.address - b.address);
+    const shown = names.slice(0, SYMBOL_TABLE_SUBHEADER_LABELS).map(n => n.name).join(', ');
+    const more = names.length - SYMBOL_TABLE_SUBHEADER_LABELS;
+    return more > 0 ? `${shown} +${more} more` : shown;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the list of imported files
+ */
+function symbolTableRender() {
+    const container = symbolTableState.container;
+    if (!container) return;
+
+    if (symbolTableState.files.length === 0) {
+        container.html('<div class="trainer-empty">No symbols yet. Import a VICE, KickAssembler or ACME/64tass label file.</div>');
+        return;
+    }
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>File</th><th>Format</th><th>Symbols</th><th></th></tr>');
+
+    symbolTableState.files.forEach(file => {
+        html.push(
+            `<tr data-symbol-file="${escapeHtml(file.name)}">` +
+            `<td>${escapeHtml(file.name)}</td>` +
+            `<td>${escapeHtml(file.format || '')}</td>` +
+            `<td>${file.symbols.length}</td>` +
+            '<td class="trainer-actions"><button class="btn-danger" data-action="remove">Remove</button></td>' +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
@@ -5,8 +5,8 @@
  * Provides reusable tab management functionality for tools that implement
  * a tabbed interface with tab lifecycle management.
  *
- * Version: 1.3
- * Date: February 18, 2026
+ * Version: 1.4
+ * Date: October 19, 2026
  */
 
 // ============================================================================
@@ -118,6 +118,11 @@ function initializeTabs(tabMap, initialTab) {
     // Set up keyboard handler - routes to active tab
     $(document).on('keydown', handleTabKeyDown);
 
+    // Re-sync the active tab when the device comes back after a disconnect
+    if (typeof onApiReconnect === 'function') {
+        onApiReconnect(refreshTab);
+    }
+
     console.log('Tab lifecycle initialized with tabs:', Object.keys(_tabMap));
 
     // Activate initial tab
@@ -0,0 +1,438 @@
+/**
+ * trainer.js
+ * Trainer (Poke Loop) Component
+ *
+ * Keeps a list of pokes (address = bytes) and writes them to C64 memory
+ * periodically while running, like the trainer of a freezer cartridge.
+ * Each poke has its own enable toggle and interval. Writes are sent with
+ * background priority, with at most one pending write per poke, so the
+ * trainer never delays user requests or floods the request queue.
+ * The loop keeps running while other tabs are in use, until it is stopped.
+ *
+ * The current list is kept in localStorage ('trainer_pokes'); named sets
+ * are stored in 'trainer_sets' and can be exported/imported as JSON files.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const TRAINER_DEFAULT_INTERVAL = 250;    // ms
+const TRAINER_MIN_INTERVAL = 50;         // ms
+const TRAINER_TICK = 50;                 // ms between checks for due pokes
+const TRAINER_POKES_KEY = 'trainer_pokes';
+const TRAINER_SETS_KEY = 'trainer_sets';
+const TRAINER_FORMAT = 'c64u-trainer';
+const TRAINER_FORMAT_VERSION = 1;
+
+let trainerState = {
+    container: null,
+    pokes: [],               // {id, address, bytes, interval, enabled, description}
+    nextId: 1,
+    running: false,
+    timer: null,
+    lastWrite: {},           // Poke id -> time of the last write
+    pending: new Set(),      // Poke ids with a write in progress
+    writeCount: 0,
+    lastError: null
+};
+
+// ============================================================================
+// CALLBACKS
+// ============================================================================
+
+let trainerStatusCallback = null;
+
+/**
+ * Set callback called when the running state or write counters change
+ * @param {Function} callback - Callback without arguments
+ */
+function trainerSetStatusCallback(callback) {
+    trainerStatusCallback = callback;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the trainer and load the poke list from localStorage
+ * @param {jQuery} container - Container element for the poke list
+ */
+function trainerInit(container) {
+    trainerState.container = container;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(TRAINER_POKES_KEY) || '[]');
+        trainerSetPokes(saved.map(trainerDeserializePoke).filter(p => p !== null));
+    } catch (e) {
+        console.warn('Trainer: Invalid saved poke list ignored:', e.message);
+        trainerSetPokes([]);
+    }
+
+    console.log('Trainer: Initialized with', trainerState.pokes.length, 'pokes');
+}
+
+// ============================================================================
+// POKE LIST
+// ============================================================================
+
+/**
+ * Check poke fields, returning an error message for the first invalid one
+ * @param {Object} poke - Poke fields: { address, bytes, interval }
+ * @returns {string|null} Error message, or null if valid
+ */
+function trainerValidatePoke(poke) {
+    if (!Number.isInteger(poke.address) || poke.address < 0x0002 || poke.address > 0xFFFF) {
+        return 'Address must be between 0002 and FFFF ($0000-$0001 cannot be written)';
+    }
+    if (!poke.bytes || poke.bytes.length === 0) {
+        return 'Enter the bytes to write, e.g. "05" or "05 0A"';
+    }
+    if (poke.address + poke.bytes.length > 0x10000) {
+        return 'The bytes run past $FFFF';
+    }
+    if (!Number.isInteger(poke.interval) || poke.interval < TRAINER_MIN_INTERVAL) {
+        return `Interval must be at least ${TRAINER_MIN_INTERVAL} ms`;
+    }
+    return null;
+}
+
+/**
+ * Add a poke to the list
+ * @param {Object} fields - { address, bytes, interval, enabled, description }
+ * @returns {Object} The added poke
+ */
+function trainerAddPoke(fields) {
+    const poke = {
+        id: trainerState.nextId++,
+        address: fields.address,
+        bytes: fields.bytes.slice(),
+        interval: fields.interval || TRAINER_DEFAULT_INTERVAL,
+        enabled: fields.enabled !== false,
+        description: fields.description || ''
+    };
+
+    const error = trainerValidatePoke(poke);
+    if (error) throw new Error(error);
+
+    trainerState.pokes.push(poke);
+    trainerNotifyChange();
+    return poke;
+}
+
+/**
+ * Change fields of a poke
+ * @param {number} id - Poke id
+ * @param {Object} changes - Fields to change
+ */
+function trainerUpdatePoke(id, changes) {
+    const poke = trainerState.pokes.find(p => p.id === id);
+    if (!poke) return;
+
+    const updated = Object.assign({}, poke, changes);
+    const error = trainerValidatePoke(updated);
+    if (error) throw new Error(error);
+
+    Object.assign(poke, changes);
+    trainerNotifyChange();
+}
+
+/**
+ * Remove a poke from the list
+ * @param {number} id - Poke id
+ */
+function trainerRemovePoke(id) {
+    trainerState.pokes = trainerState.pokes.filter(p => p.id !== id);
+    delete trainerState.lastWrite[id];
+    trainerNotifyChange();
+}
+
+/**
+ * Replace the whole poke list
+ * @param {Array<Object>} pokes - Poke fields (ids are reassigned)
+ */
+function trainerSetPokes(pokes) {
+    trainerState.pokes = [];
+    trainerState.lastWrite = {};
+    pokes.forEach(fields => {
+        trainerState.pokes.push(Object.assign({}, fields, { id: trainerState.nextId++ }));
+    });
+    trainerNotifyChange();
+}
+
+/**
+ * Get the poke list
+ * @returns {Array<Object>} Pokes
+ */
+function trainerGetPokes() {
+    return trainerState.pokes;
+}
+
+/**
+ * Save the list to localStorage and re-render it
+ */
+function trainerNotifyChange() {
+    localStorage.setItem(TRAINER_POKES_KEY, JSON.stringify(trainerState.pokes.map(trainerSerializePoke)));
+    trainerRender();
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Convert a poke to its stored/exported form
+ * @param {Object} poke - Poke
+ * @returns {Object} { address: "C010", data: "05 0A", interval, enabled, description }
+ */
+function trainerSerializePoke(poke) {
+    return {
+        address: formatHexWord(poke.address),
+        data: formatHexBytes(poke.bytes),
+        interval: poke.interval,
+        enabled: poke.enabled,
+        description: poke.description
+    };
+}
+
+/**
+ * Convert a stored/exported poke back to poke fields
+ * @param {Object} item - Stored poke
+ * @returns {Object|null} Poke fields, or null if invalid
+ */
+function trainerDeserializePoke(item) {
+    if (!item || typeof item.address !== 'string' || typeof item.data !== 'string') {
+        return null;
+    }
+
+    const fields = {
+        address: parseInt(item.address, 16),
+        bytes: parseHexBytes(item.data),
+        interval: parseInt(item.interval) || TRAINER_DEFAULT_INTERVAL,
+        enabled: item.enabled !== false,
+        description: String(item.description || '')
+    };
+
+    return trainerValidatePoke(fields) ? null : fields;
+}
+
+// ============================================================================
+// NAMED SETS
+// ============================================================================
+
+/**
+ * Get all saved sets
+ * @returns {Object} Set name -> array of stored pokes
+ */
+function trainerGetSets() {
+    try {
+        return JSON.parse(localStorage.getItem(TRAINER_SETS_KEY) || '{}');
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Save the current list as a named set
+ * @param {string} name - Set name (an existing set is replaced)
+ */
+function trainerSaveSet(name) {
+    const sets = trainerGetSets();
+    sets[name] = trainerState.pokes.map(trainerSerializePoke);
+    localStorage.setItem(TRAINER_SETS_KEY, JSON.stringify(sets));
+}
+
+/**
+ * Load a named set into the current list
+ * @param {string} name - Set name
+ */
+function trainerLoadSet(name) {
+    const pokes = trainerGetSets()[name];
+    if (!Array.isArray(pokes)) {
+        throw new Error(`Set "${name}" not found`);
+    }
+    trainerSetPokes(pokes.map(trainerDeserializePoke).filter(p => p !== null));
+}
+
+/**
+ * Delete a named set
+ * @param {string} name - Set name
+ */
+function trainerDeleteSet(name) {
+    const sets = trainerGetSets();
+    delete sets[name];
+    localStorage.setItem(TRAINER_SETS_KEY, JSON.stringify(sets));
+}
+
+/**
+ * Download the current list as a JSON file
+ * @param {string} name - Set name stored in the file
+ */
+function trainerExport(name) {
+    const content = {
+        format: TRAINER_FORMAT,
+        version: TRAINER_FORMAT_VERSION,
+        name: name,
+        pokes: trainerState.pokes.map(trainerSerializePoke)
+    };
+
+    const fileName = name.replace(/[^A-Za-z0-9_-]+/g, '_') || 'trainer';
+    downloadFile(`${fileName}.json`, JSON.stringify(content, null, 2), 'application/json');
+}
+
+/**
+ * Import a trainer JSON file into the current list and save it as a set
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} Promise resolving with the set name
+ */
+async function trainerImportFileAsync(file) {
+    let content;
+    try {
+        content = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name}: invalid JSON (${e.message})`);
+    }
+
+    if (!content || content.format !== TRAINER_FORMAT || !Array.isArray(content.pokes)) {
+        throw new Error(`${file.name}: not a trainer file`);
+    }
+
+    const pokes = content.pokes.map(trainerDeserializePoke);
+    if (pokes.includes(null)) {
+        throw new Error(`${file.name}: contains invalid pokes`);
+    }
+
+    const name = String(content.name || file.name.replace(/\.[^.]*$/, ''));
+    trainerSetPokes(pokes);
+    trainerSaveSet(name);
+    return name;
+}
+
+// ============================================================================
+// POKE LOOP
+// ============================================================================
+
+/**
+ * Start writing the enabled pokes periodically
+ */
+function trainerStart() {
+    if (trainerState.running) return;
+
+    trainerState.running = true;
+    trainerState.lastWrite = {};
+    trainerState.writeCount = 0;
+    trainerState.lastError = null;
+    trainerState.timer = setInterval(trainerTick, TRAINER_TICK);
+
+    console.log('Trainer: Started');
+    trainerTick();
+    trainerNotifyStatus();
+}
+
+/**
+ * Stop the poke loop. Writes already sent are left to complete.
+ */
+function trainerStop() {
+    if (!trainerState.running) return;
+
+    clearInterval(trainerState.timer);
+    trainerState.timer = null;
+    trainerState.running = false;
+
+    console.log('Trainer: Stopped');
+    trainerNotifyStatus();
+}
+
+/**
+ * Check if the poke loop is running
+ * @returns {boolean} True if running
+ */
+function trainerIsRunning() {
+    return trainerState.running;
+}
+
+/**
+ * Write the pokes that are due. A poke is skipped while its previous write
+ * is pending, and nothing is written while the device is not reachable.
+ */
+function trainerTick() {
+    if (!trainerState.running || getApiConnectionState() !== API_CONNECTION.ONLINE) {
+        return;
+    }
+
+    const now = Date.now();
+    const options = { priority: API_PRIORITY.BACKGROUND, spinner: false, reportErrors: false };
+
+    trainerState.pokes.forEach(poke => {
+        if (!poke.enabled || trainerState.pending.has(poke.id)) return;
+        if (now - (trainerState.lastWrite[poke.id] || 0) < poke.interval) return;
+
+        trainerState.lastWrite[poke.id] = now;
+        trainerState.pending.add(poke.id);
+
+        writeMemoryAsync(poke.address, poke.bytes, options).then(
+            () => {
+                trainerState.writeCount++;
+                trainerState.lastError = null;
+            },
+            (error) => {
+                trainerState.lastError = error.message;
+                console.warn(`Trainer: Write to $${formatHexWord(poke.address)} failed:`, error.message);
+            }
+        ).finally(() => {
+            trainerState.pending.delete(poke.id);
+            trainerNotifyStatus();
+        });
+    });
+}
+
+/**
+ * Notify the status callback
+ */
+function trainerNotifyStatus() {
+    if (trainerStatusCallback) {
+        trainerStatusCallback();
+    }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the poke list
+ */
+function trainerRender() {
+    const container = trainerState.container;
+    if (!container) return;
+
+    if (trainerState.pokes.length === 0) {
+        container.html('<div class="trainer-empty">No pokes yet. Add an address and value, or use Freeze in the Cheat Finder.</div>');
+        return;
+    }
+
+    const html = ['<table class="trainer-table">'];
+    html.push('<tr><th>On</th><th>Address</th><th>Data</th><th>Interval (ms)</th><th>Description</th><th></th></tr>');
+
+    trainerState.pokes.forEach(poke => {
+        html.push(
+            `<tr data-poke-id="${poke.id}">` +
+            `<td><input type="checkbox" data-field="enabled"${poke.enabled ? ' checked' : ''}></td>` +
+            `<td><input type="text" class="mem-input-address" data-field="address" value="${formatHexWord(poke.address)}"></td>` +
+            `<td><input type="text" class="trainer-input-data" data-field="bytes" value="${formatHexBytes(poke.bytes)}"></td>` +
+            `<td><input type="text" class="trainer-input-interval" data-field="interval" value="${poke.interval}"></td>` +
+            `<td><input type="text" class="trainer-input-description" data-field="description" value="${escapeHtml(poke.description)}"></td>` +
+            '<td class="trainer-actions"><button class="btn-danger" data-action="remove">Remove</button></td>' +
+            '</tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}
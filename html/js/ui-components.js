@@ -26,6 +26,29 @@ function showSpinner(show) {
     }
 }
 
+// ============================================================================
+// CONNECTION STATE
+// ============================================================================
+
+/**
+ * Update the connection indicator next to the spinner.
+ * The indicator is hidden while the device is online.
+ * @param {string} state - 'online', 'reconnecting' or 'offline'
+ */
+function showConnectionState(state) {
+    const $indicator = $('#connectionStatus');
+
+    $indicator.removeClass('online reconnecting offline').addClass(state);
+
+    if (state === 'reconnecting') {
+        $indicator.text('● Reconnecting...').attr('title', 'The device is not answering, trying to reconnect').show();
+    } else if (state === 'offline') {
+        $indicator.text('● Offline').attr('title', 'The device is not reachable, still trying to reconnect').show();
+    } else {
+        $indicator.hide();
+    }
+}
+
 // ============================================================================
 // ERROR DISPLAY
 // ============================================================================
@@ -98,6 +121,7 @@ function formatAddress(addressStr) {
 
 /**
  * Parse and validate address from an input field.
+ * Accepts a hex address or, on pages that load symbol-table.js, a symbol name.
  * Updates input with normalized 4-digit hex value, blurs input, returns address.
  * @param {string} inputId - Input ID (with or without # prefix)
  * @param {number} pageSize - Optional page size for boundary validation
@@ -110,10 +134,22 @@ function parseAddressInput(inputId, pageSize) {
 
     const $input = $(inputId);
     let addressStr = $input.val().trim();
+    let address = NaN;
 
-    addressStr = addressStr.replace(/[^0-9A-Fa-f]/g, '');
+    // Symbol names that are also valid hex ("beef") can be entered with a leading '.'
+    if (!/^\$?[0-9A-Fa-f]+$/.test(addressStr) && typeof symbolTableGetAddress === 'function') {
+        const symbolAddress = symbolTableGetAddress(addressStr);
+        if (symbolAddress !== null) {
+            address = symbolAddress;
+        }
+    }
 
-    let address = parseInt(addressStr, 16);
+    // Hex with an optional $ or 0x prefix and spaces; anything else (e.g. a
+    // mistyped symbol name) is invalid rather than read from its hex letters
+    if (isNaN(address) && /^(\$|0x)?[0-9A-Fa-f\s]+$/i.test(addressStr)) {
+        addressStr = addressStr.replace(/^(\$|0x)/i, '').replace(/\s/g, '');
+        address = parseInt(addressStr, 16);
+    }
 
     if (isNaN(address) || address < 0 || address > 0xFFFF) {
         return null;
@@ -152,6 +188,76 @@ function formatHexWord(value) {
     return (value & 0xFFFF).toString(16).padStart(4, '0').toUpperCase();
 }
 
+/**
+ * Parse hex bytes separated by spaces or commas ("05", "$05 0A")
+ * @param {string} text - Bytes text
+ * @returns {Array<number>|null} Bytes, or null if invalid or empty
+ */
+function parseHexBytes(text) {
+    const tokens = text.trim().split(/[\s,]+/).filter(t => t !== '');
+    if (tokens.length === 0) return null;
+
+    const bytes = [];
+    for (const token of tokens) {
+        const hex = token.replace(/^\$/, '');
+        if (!/^[0-9A-Fa-f]{1,2}$/.test(hex)) return null;
+        bytes.push(parseInt(hex, 16));
+    }
+    return bytes;
+}
+
+/**
+ * Format bytes as space-separated hex for display and editing
+ * @param {Array<number>} bytes - Bytes
+ * @returns {string} e.g. "05 0A"
+ */
+function formatHexBytes(bytes) {
+    return bytes.map(formatHexByte).join(' ');
+}
+
+// ============================================================================
+// TEXT FORMATTING
+// ============================================================================
+
+/**
+ * Escape text for insertion into HTML markup.
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// FILE DOWNLOAD
+// ============================================================================
+
+/**
+ * Offer data to the user as a file download.
+ * @param {string} filename - Suggested file name
+ * @param {string|Uint8Array|ArrayBuffer|Blob} data - File content
+ * @param {string} mimeType - MIME type (e.g. 'application/octet-stream')
+ */
+function downloadFile(filename, data, mimeType) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser time to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ============================================================================
 // INPUT HANDLING
 // ============================================================================
@@ -205,12 +311,17 @@ function handleButtonClick(buttonId, callback) {
  * @param {string} options.title - Dialog title/instructions
  * @param {string} options.placeholder - Textarea placeholder text
  * @param {string} options.submitText - Submit button text
- * @param {function} options.onSubmit - Called when user submits (receives text)
- * @param {function} options.onCancel - Called when user cancels
+ * @param {string} options.value - Optional initial text
+ * @param {string} options.error - Optional error message shown when the dialog opens
+ * @param {boolean} options.multiline - Optional: Enter adds a line, Ctrl+Enter submits
+ * @param {boolean} options.allowEmpty - Optional: submit empty text too (otherwise it just closes)
+ * @param {function} options.onSubmit - Called when user submits (receives text).
+ *   Returning an error message keeps the dialog open and shows the message.
+ * @param {function} options.onCancel - Called when the dialog closes
  * @returns {Object} { close: function } - Can be used to close dialog programmatically
  */
 function showInputDialog(options) {
-    const { title, placeholder, submitText, onSubmit, onCancel } = options;
+    const { title, placeholder, submitText, value, error, multiline, allowEmpty, onSubmit, onCancel } = options;
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -225,6 +336,12 @@ function showInputDialog(options) {
     const textarea = document.createElement('textarea');
     textarea.className = 'modal-textarea';
     textarea.placeholder = placeholder;
+    textarea.value = value || '';
+
+    const errorText = document.createElement('div');
+    errorText.className = 'modal-error';
+    errorText.textContent = error || '';
+    errorText.style.display = error ? '' : 'none';
 
     const buttons = document.createElement('div');
     buttons.className = 'modal-buttons';
@@ -239,6 +356,7 @@ function showInputDialog(options) {
     buttons.appendChild(submitBtn);
     dialog.appendChild(instructions);
     dialog.appendChild(textarea);
+    dialog.appendChild(errorText);
     dialog.appendChild(buttons);
     overlay.appendChild(dialog);
     document.body.appendChild(overlay);
@@ -252,8 +370,12 @@ function showInputDialog(options) {
 
     submitBtn.onclick = function() {
         const text = textarea.value.trim();
-        if (text && onSubmit) {
-            onSubmit(text);
+        const submitError = (text || allowEmpty) && onSubmit ? onSubmit(text) : null;
+        if (submitError) {
+            errorText.textContent = submitError;
+            errorText.style.display = '';
+            textarea.focus();
+            return;
         }
         closeDialog();
     };
@@ -269,7 +391,7 @@ function showInputDialog(options) {
     };
 
     textarea.onkeydown = function(e) {
-        if (e.key === 'Enter' && !e.ctrlKey && !e.shiftKey) {
+        if (e.key === 'Enter' && (multiline ? e.ctrlKey : !e.ctrlKey && !e.shiftKey)) {
             submitBtn.click();
             e.preventDefault();
             e.stopPropagation();
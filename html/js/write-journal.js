@@ -0,0 +1,315 @@
+/**
+ * write-journal.js
+ * Write Journal Component
+ *
+ * Keeps a persistent journal of the memory writes committed by the user
+ * (Hex and Disassembly edit saves, range operations). The bytes are read
+ * right before each write, so any entry can be reverted byte-for-byte.
+ *
+ * The journal is stored in localStorage ('write_journal'), trimmed to the
+ * newest entries within WRITE_JOURNAL_MAX_ENTRIES and WRITE_JOURNAL_MAX_BYTES.
+ *
+ * Pattern: Function-based with global state (matches codebase standard)
+ *
+ * Version: 1.0
+ * Date: October 19, 2026
+ */
+
+// ============================================================================
+// GLOBAL STATE
+// ============================================================================
+
+const WRITE_JOURNAL_KEY = 'write_journal';
+const WRITE_JOURNAL_MAX_ENTRIES = 100;
+const WRITE_JOURNAL_MAX_BYTES = 0x20000;   // Bytes written, summed over all entries
+
+let writeJournalState = {
+    container: null,
+    entries: [],             // Newest last: { id, timestamp, description, blocks: [{address, oldData, newData}] }
+    nextId: 1,
+    busy: false              // Revert in progress
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initialize the write journal and load it from localStorage
+ * @param {jQuery} container - Container element for the journal list (optional)
+ */
+function writeJournalInit(container) {
+    writeJournalState.container = container || null;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(WRITE_JOURNAL_KEY) || '[]');
+        writeJournalState.entries = saved.map(writeJournalDeserializeEntry);
+    } catch (e) {
+        console.warn('WriteJournal: Invalid saved journal, starting empty', e);
+        writeJournalState.entries = [];
+    }
+
+    writeJournalState.nextId = writeJournalState.entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    writeJournalRender();
+
+    console.log(`WriteJournal: Initialized (${writeJournalState.entries.length} entries)`);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Encode bytes as a compact hex string
+ * @param {Uint8Array} data - Bytes
+ * @returns {string} e.g. "A9008D20D0"
+ */
+function writeJournalEncodeHex(data) {
+    return Array.from(data).map(formatHexByte).join('');
+}
+
+/**
+ * Decode a compact hex string
+ * @param {string} hex - e.g. "A9008D20D0"
+ * @returns {Uint8Array} Bytes
+ */
+function writeJournalDecodeHex(hex) {
+    const data = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return data;
+}
+
+/**
+ * Convert an entry to its stored form
+ * @param {Object} entry - Journal entry
+ * @returns {Object} Stored entry (data as hex strings)
+ */
+function writeJournalSerializeEntry(entry) {
+    return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        description: entry.description,
+        blocks: entry.blocks.map(b => ({
+            address: b.address,
+            oldData: writeJournalEncodeHex(b.oldData),
+            newData: writeJournalEncodeHex(b.newData)
+        }))
+    };
+}
+
+/**
+ * Convert a stored entry back to a journal entry
+ * @param {Object} saved - Stored entry
+ * @returns {Object} Journal entry
+ */
+function writeJournalDeserializeEntry(saved) {
+    return {
+        id: saved.id,
+        timestamp: saved.timestamp,
+        description: saved.description,
+        blocks: saved.blocks.map(b => ({
+            address: b.address,
+            oldData: writeJournalDecodeHex(b.oldData),
+            newData: writeJournalDecodeHex(b.newData)
+        }))
+    };
+}
+
+/**
+ * Get the number of bytes written by an entry
+ * @param {Object} entry - Journal entry
+ * @returns {number} Bytes
+ */
+function writeJournalGetEntryLength(entry) {
+    return entry.blocks.reduce((sum, b) => sum + b.newData.length, 0);
+}
+
+/**
+ * Trim the journal to its limits and save it to localStorage.
+ * If the browser storage is full, the oldest entries are dropped.
+ */
+function writeJournalSave() {
+    const entries = writeJournalState.entries;
+
+    let total = entries.reduce((sum, e) => sum + writeJournalGetEntryLength(e), 0);
+    while (entries.length > 1 && (entries.length > WRITE_JOURNAL_MAX_ENTRIES || total > WRITE_JOURNAL_MAX_BYTES)) {
+        total -= writeJournalGetEntryLength(entries.shift());
+    }
+
+    while (entries.length > 0) {
+        try {
+            localStorage.setItem(WRITE_JOURNAL_KEY, JSON.stringify(entries.map(writeJournalSerializeEntry)));
+            break;
+        } catch (e) {
+            console.warn('WriteJournal: Storage full, dropping the oldest entry');
+            entries.shift();
+        }
+    }
+
+    if (entries.length === 0) {
+        localStorage.removeItem(WRITE_JOURNAL_KEY);
+    }
+
+    writeJournalRender();
+}
+
+// ============================================================================
+// JOURNALED WRITES
+// ============================================================================
+
+/**
+ * Write memory blocks and record them in the journal.
+ * The current contents of every block are read first for reverting.
+ * @param {Array<Object>} blocks - Blocks to write: { address, data }
+ * @param {string} description - Description shown in the journal
+ * @param {Object} options - Optional: { verify, onProgress(done, total) } (progress of the writes)
+ * @returns {Promise<Object>} Promise resolving with the journal entry
+ */
+async function writeJournalWriteAsync(blocks, description, options) {
+    options = options || {};
+
+    const entry = {
+        id: writeJournalState.nextId++,
+        timestamp: new Date().toISOString(),
+        description: description,
+        blocks: []
+    };
+
+    for (const block of blocks) {
+        const oldData = await readMemoryRangeAsync(block.address, block.data.length);
+        entry.blocks.push({ address: block.address, oldData: oldData, newData: new Uint8Array(block.data) });
+    }
+
+    const total = writeJournalGetEntryLength(entry);
+    let done = 0;
+
+    try {
+        for (const block of entry.blocks) {
+            await writeMemoryRangeAsync(block.address, block.newData, {
+                verify: options.verify,
+                onProgress: (blockDone) => {
+                    if (options.onProgress) options.onProgress(done + blockDone, total);
+                }
+            });
+            done += block.newData.length;
+        }
+    } finally {
+        // Journal failed writes too: some chunks may have been written
+        writeJournalState.entries.push(entry);
+        writeJournalSave();
+    }
+
+    console.log(`WriteJournal: ${description} (${total} bytes)`);
+    return entry;
+}
+
+/**
+ * Write memory blocks and record them in the journal.
+ * @param {Array<Object>} blocks - Blocks to write: { address, data }
+ * @param {string} description - Description shown in the journal
+ * @param {function} callback - Success callback, receives the journal entry
+ * @param {function} errorCallback - Error callback, receives error message string
+ */
+function writeJournalWrite(blocks, description, callback, errorCallback) {
+    apiCallbackAdapter(writeJournalWriteAsync(blocks, description), callback, errorCallback);
+}
+
+/**
+ * Revert a journal entry, writing back the bytes it replaced.
+ * The revert is journaled as well, so it can be reverted in turn.
+ * @param {number} id - Entry id
+ * @param {Object} options - Optional: { verify, onProgress(done, total) }
+ * @returns {Promise<Object>} Promise resolving with the journal entry of the revert
+ */
+async function writeJournalRevertAsync(id, options) {
+    const entry = writeJournalGet(id);
+    if (!entry) {
+        throw new Error('The journal entry is no longer available');
+    }
+    if (writeJournalState.busy) {
+        throw new Error('A revert is already in progress');
+    }
+
+    writeJournalState.busy = true;
+
+    try {
+        // Blocks are written back in reverse order in case they overlap
+        const blocks = entry.blocks.slice().reverse().map(b => ({ address: b.address, data: b.oldData }));
+        return await writeJournalWriteAsync(blocks, `Revert: ${entry.description}`, options);
+    } finally {
+        writeJournalState.busy = false;
+    }
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Get a journal entry by id
+ * @param {number} id - Entry id
+ * @returns {Object|undefined} Journal entry
+ */
+function writeJournalGet(id) {
+    return writeJournalState.entries.find(e => e.id === id);
+}
+
+/**
+ * Get all journal entries, oldest first
+ * @returns {Array<Object>} Journal entries
+ */
+function writeJournalGetAll() {
+    return writeJournalState.entries;
+}
+
+/**
+ * Remove all entries from the journal
+ */
+function writeJournalClear() {
+    writeJournalState.entries = [];
+    writeJournalSave();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render the journal list, newest first
+ */
+function writeJournalRender() {
+    const container = writeJournalState.container;
+    if (!container) return;
+
+    const entries = writeJournalState.entries;
+
+    if (entries.length === 0) {
+        container.html('<div class="snapshot-empty">No writes yet. Saves from the Hex and Disassembly editors and range operations are listed here.</div>');
+        return;
+    }
+
+    const html = ['<table class="snapshot-table">'];
+    html.push('<tr><th>Time</th><th>Write</th><th>Range</th><th>Bytes</th><th></th></tr>');
+
+    entries.slice().reverse().forEach(entry => {
+        const ranges = entry.blocks.map(b =>
+            `$${formatHexWord(b.address)}-$${formatHexWord(b.address + b.newData.length - 1)}`
+        ).join(', ');
+
+        html.push(
+            `<tr data-journal-id="${entry.id}">` +
+            `<td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>` +
+            `<td>${escapeHtml(entry.description)}</td>` +
+            `<td>${ranges}</td>` +
+            `<td>${writeJournalGetEntryLength(entry)}</td>` +
+            '<td class="snapshot-actions">' +
+            '<button class="btn-warning" data-action="revert">Revert</button>' +
+            '</td></tr>'
+        );
+    });
+
+    html.push('</table>');
+    container.html(html.join(''));
+}